@@ -1,29 +1,36 @@
 /**
  * Docker Health Check Script
- * Simple TCP connection test instead of WebSocket
+ * Asks the server's liveness endpoint whether the process is up. Readiness
+ * (/ready) is left to load balancers: a server that loses Redis or is draining
+ * should stop getting players, not be restarted.
  */
 
-const net = require('net');
+const http = require('http');
 
-// Health check for server port
-const port = process.env.PORT || 3001;
+// Admin endpoints are on the game port unless ADMIN_PORT moves them
+const port = process.env.ADMIN_PORT || process.env.PORT || 3001;
 
-const client = new net.Socket();
-const timeout = setTimeout(() => {
+const request = http.get({ host: '127.0.0.1', port: port, path: '/health', timeout: 5000 }, (res) => {
+  let body = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => { body += chunk; });
+  res.on('end', () => {
+    if (res.statusCode === 200) {
+      console.log('Health check passed - Server is up');
+      process.exit(0);
+    }
+    console.log(`Health check failed: ${res.statusCode} ${body}`);
+    process.exit(1);
+  });
+});
+
+request.on('timeout', () => {
   console.log('Health check timeout');
-  client.destroy();
+  request.destroy();
   process.exit(1);
-}, 5000);
-
-client.connect(port, '127.0.0.1', () => {
-  console.log('Health check passed - Server port is accessible');
-  clearTimeout(timeout);
-  client.end();
-  process.exit(0);
 });
 
-client.on('error', (err) => {
+request.on('error', (err) => {
   console.log(`Health check failed: ${err.message}`);
-  clearTimeout(timeout);
   process.exit(1);
 });
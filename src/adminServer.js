@@ -0,0 +1,285 @@
+/**
+ * HTTP Admin Endpoints
+ * Liveness, readiness, JSON views of games, clients and cluster peers, and
+ * Prometheus metrics for one game server. Served on the WebSocket port, or on
+ * a separate admin port when one is configured. The JSON views expose players
+ * and their addresses, so they need the admin token, or without one a request
+ * from this host.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { URL } = require('url');
+
+const METRIC_PREFIX = 'tictactoe';
+
+// Metrics that only ever go up; exported as Prometheus counters
+const COUNTERS = new Set([
+  'connections', 'messagesProcessed', 'errorsHandled',
+  'messagesSent', 'messagesReceived', 'reconnections', 'errors', 'droppedMessages', 'recoveries',
+  'divergences', 'repairs', 'rejectedMessages', 'conflicts', 'forwardedActions', 'ownedActions',
+  'matchesMade'
+]);
+
+const CIRCUIT_STATES = ['CLOSED', 'HALF_OPEN', 'OPEN'];
+const MEMBER_STATUSES = ['alive', 'suspect', 'dead', 'left'];
+const GAME_STATUSES = ['waiting', 'playing', 'finished'];
+
+// Endpoints that need the admin token; health checks and metrics stay open
+const PROTECTED_ROUTES = new Set(['/games', '/clients', '/cluster']);
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+class AdminServer {
+  /**
+   * @param {object} gameServer - The EnhancedTicTacToeServer to report on
+   * @param {object} options - { token: bearer token for the protected endpoints }
+   */
+  constructor(gameServer, options = {}) {
+    this.gameServer = gameServer;
+    this.token = options.token || null;
+    this.httpServer = null; // Only set when listening on its own port
+
+    this.routes = {
+      '/health': () => this.getLiveness(),
+      '/ready': () => this.getReadiness(),
+      '/games': () => ({ status: 200, body: this.getGames() }),
+      '/clients': () => ({ status: 200, body: this.getClients() }),
+      '/cluster': () => ({ status: 200, body: this.getCluster() }),
+      '/metrics': () => ({ status: 200, text: this.getPrometheusMetrics() })
+    };
+  }
+
+  /**
+   * Serve the admin endpoints on their own port
+   * @param {number} port - Admin port
+   * @returns {Promise<void>} Resolves once listening
+   */
+  listen(port) {
+    this.httpServer = http.createServer((req, res) => this.handleRequest(req, res));
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(port, '0.0.0.0', () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  close() {
+    if (this.httpServer) {
+      this.httpServer.close();
+      this.httpServer = null;
+    }
+  }
+
+  /**
+   * Answer one HTTP request
+   */
+  handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const routeName = pathname.replace(/\/+$/, '') || '/';
+    const route = this.routes[routeName];
+
+    if (!route) {
+      this.sendJson(res, 404, { error: `Unknown endpoint ${pathname}`, endpoints: Object.keys(this.routes) });
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      this.sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+      return;
+    }
+    if (PROTECTED_ROUTES.has(routeName) && !this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      this.sendJson(res, 401, {
+        error: this.token ? 'A valid admin token is required' : 'Set ADMIN_TOKEN to use this endpoint from another host'
+      });
+      return;
+    }
+
+    try {
+      const { status, body, text } = route();
+      if (text !== undefined) {
+        res.writeHead(status, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(req.method === 'HEAD' ? undefined : text);
+      } else {
+        this.sendJson(res, status, body, req.method === 'HEAD');
+      }
+    } catch (error) {
+      console.error(`[${this.gameServer.serverId}] Admin endpoint ${pathname} failed:`, error.message);
+      this.sendJson(res, 500, { error: error.message });
+    }
+  }
+
+  /**
+   * With a token configured the request must carry it as a bearer token;
+   * without one only requests from this host are let through
+   */
+  isAuthorized(req) {
+    if (!this.token) {
+      return LOOPBACK_ADDRESSES.has(req.socket.remoteAddress);
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) return false;
+    const expected = crypto.createHash('sha256').update(this.token).digest();
+    const actual = crypto.createHash('sha256').update(match[1]).digest();
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  sendJson(res, status, body, headOnly = false) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(headOnly ? undefined : JSON.stringify(body, null, 2));
+  }
+
+  /**
+   * The process is up and its event loop is answering
+   */
+  getLiveness() {
+    const server = this.gameServer;
+    return {
+      status: 200,
+      body: { status: 'ok', serverId: server.serverId, uptime: Date.now() - server.startTime }
+    };
+  }
+
+  /**
+   * Ready to take players: synced with the cluster, circuit breaker not open
+   * and not draining
+   */
+  getReadiness() {
+    const server = this.gameServer;
+    const syncMetrics = server.syncManager.getMetrics();
+    const checks = {
+      redis: syncMetrics.isConnected,
+      circuitBreaker: syncMetrics.circuitBreakerState !== 'OPEN',
+      accepting: !server.isDraining
+    };
+    const ready = Object.values(checks).every(Boolean);
+
+    return {
+      status: ready ? 200 : 503,
+      body: {
+        status: ready ? 'ready' : 'not ready',
+        serverId: server.serverId,
+        checks: checks,
+        circuitBreakerState: syncMetrics.circuitBreakerState
+      }
+    };
+  }
+
+  getGames() {
+    const server = this.gameServer;
+    return Array.from(server.rooms.rooms.values()).map(room => ({
+      ...server.rooms.getRoomSummary(room),
+      owner: server.syncManager.getRoomOwner(room.roomId),
+      hasBot: server.bots.has(room.roomId),
+      state: room.game.getGameState()
+    }));
+  }
+
+  /**
+   * Connected clients; resume tokens are left out
+   */
+  getClients() {
+    return Array.from(this.gameServer.clients.values()).map(clientInfo => ({
+      id: clientInfo.id,
+      playerId: clientInfo.playerId,
+      roomId: clientInfo.roomId,
+      ip: clientInfo.ip,
+      connectedAt: clientInfo.connectedAt,
+      lastActivity: clientInfo.lastActivity,
+      messageCount: clientInfo.messageCount,
+      isAlive: clientInfo.isAlive
+    }));
+  }
+
+  getCluster() {
+    const stats = this.gameServer.getDetailedStats();
+    return { serverId: stats.serverId, ...stats.cluster };
+  }
+
+  /**
+   * Render getDetailedStats and the sync manager's metrics in the Prometheus
+   * text exposition format
+   * @returns {string} Exposition text
+   */
+  getPrometheusMetrics() {
+    const stats = this.gameServer.getDetailedStats();
+    const lines = [];
+    const add = (name, type, help, samples) => {
+      const metric = `${METRIC_PREFIX}_${name}`;
+      lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} ${type}`);
+      samples.forEach(({ labels, value }) => lines.push(`${metric}${formatLabels(labels)} ${value}`));
+    };
+    const addValues = (group, values, source) => {
+      Object.entries(values).forEach(([key, value]) => {
+        if (typeof value === 'boolean') value = value ? 1 : 0;
+        if (!Number.isFinite(value)) return;
+
+        const counter = COUNTERS.has(key);
+        const name = `${group}_${toSnakeCase(key)}${counter ? '_total' : ''}`;
+        add(name, counter ? 'counter' : 'gauge', `${source}.${key}`, [{ value }]);
+      });
+    };
+
+    const { memoryUsage, ...serverMetrics } = stats.metrics;
+    addValues('server', {
+      connectedClients: stats.connectedClients,
+      activePlayers: stats.activePlayers,
+      activeRooms: stats.activeRooms,
+      activeBots: stats.activeBots,
+      ...serverMetrics
+    }, 'getDetailedStats');
+    addValues('memory', memoryUsage, 'process.memoryUsage');
+    addValues('matchmaking', stats.matchmaking, 'getDetailedStats.matchmaking');
+
+    add('rooms_by_status', 'gauge', 'Rooms known to this server by game status',
+      GAME_STATUSES.map(status => ({
+        labels: { status },
+        value: stats.rooms.filter(room => room.gameStatus === status).length
+      })));
+
+    add('cluster_live_servers', 'gauge', 'Servers this one considers up, itself included',
+      [{ value: stats.cluster.liveServers.length }]);
+    add('cluster_members', 'gauge', 'Peers in the membership table by status',
+      MEMBER_STATUSES.map(status => ({
+        labels: { status },
+        value: stats.cluster.members.filter(member => member.status === status).length
+      })));
+    add('cluster_owned_rooms', 'gauge', 'Rooms owned by this server',
+      [{ value: stats.cluster.ownedRooms.length }]);
+
+    const limits = stats.rateLimits;
+    add('rate_limit_allowed_total', 'counter', 'Messages let through by the rate limiter',
+      [{ value: limits.allowed }]);
+    add('rate_limit_rejected_total', 'counter', 'Messages rejected by the rate limiter, by the bucket that ran dry',
+      Object.entries(limits.rejectedByScope).map(([scope, value]) => ({ labels: { scope }, value })));
+    add('rate_limit_rejected_by_type_total', 'counter', 'Messages rejected by the rate limiter, by message type',
+      Object.entries(limits.rejectedByType).map(([type, value]) => ({ labels: { type }, value })));
+    add('rate_limit_rejected_connections_total', 'counter', 'Connections refused for opening too often from one IP',
+      [{ value: limits.rejectedConnections }]);
+    add('rate_limit_disconnects_total', 'counter', 'Connections closed for sustained rate limit abuse',
+      [{ value: limits.disconnects }]);
+
+    const { circuitBreakerState, ...syncMetrics } = stats.sync;
+    addValues('sync', syncMetrics, 'syncManager.getMetrics');
+    add('sync_circuit_breaker_state', 'gauge', 'Circuit breaker state around the sync transport (1 for the current state)',
+      CIRCUIT_STATES.map(state => ({ labels: { state }, value: state === circuitBreakerState ? 1 : 0 })));
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+function toSnakeCase(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+function formatLabels(labels) {
+  if (!labels) return '';
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+module.exports = AdminServer;
@@ -0,0 +1,314 @@
+/**
+ * Server-Side AI Opponent
+ * Minimax (negamax) search with alpha-beta pruning and a symmetry-aware transposition table
+ */
+
+// Search settings per difficulty. Perfect play searches to the end on 3×3 boards.
+const DIFFICULTY_LEVELS = {
+  easy: { randomMoveChance: 1, searchDepth: 0 },
+  medium: { randomMoveChance: 0.35, searchDepth: 2 },
+  hard: { randomMoveChance: 0.1, searchDepth: 4 },
+  perfect: { randomMoveChance: 0, searchDepth: Infinity }
+};
+
+const DEFAULT_DIFFICULTY = 'perfect';
+
+// Larger boards are searched shallowly over the most promising nearby cells
+const LARGE_BOARD_MAX_DEPTH = 3;
+const LARGE_BOARD_MAX_CANDIDATES = 12;
+
+const WIN_SCORE = 1000000;
+const LINE_DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+// Transposition table entry bounds
+const EXACT = 0;
+const LOWER_BOUND = 1;
+const UPPER_BOUND = 2;
+
+class AIPlayer {
+  /**
+   * @param {string} difficulty - One of easy, medium, hard, perfect
+   * @param {function} random - Random source returning [0, 1), injectable for tests
+   */
+  constructor(difficulty = DEFAULT_DIFFICULTY, random = Math.random) {
+    if (!DIFFICULTY_LEVELS[difficulty]) {
+      throw new Error(`Unknown difficulty: ${difficulty}. Use ${Object.keys(DIFFICULTY_LEVELS).join(', ')}`);
+    }
+
+    this.difficulty = difficulty;
+    this.settings = DIFFICULTY_LEVELS[difficulty];
+    this.random = random;
+    this.transpositionTable = new Map();
+    this.tableBoardSize = null;
+  }
+
+  /**
+   * Pick a move for the player whose turn it is
+   * @param {TicTacToeGame} game - Game to move in (not modified)
+   * @returns {object|null} { row, col } or null if the board is full
+   */
+  chooseMove(game) {
+    const board = game.board.map(row => [...row]);
+    const symbol = game.currentPlayer;
+    const emptyCells = this.getEmptyCells(board);
+
+    if (emptyCells.length === 0) return null;
+
+    if (this.settings.searchDepth === 0 || this.random() < this.settings.randomMoveChance) {
+      return this.pickRandom(emptyCells);
+    }
+
+    // Table entries are only valid for one board geometry
+    if (this.tableBoardSize !== board.length) {
+      this.transpositionTable.clear();
+      this.tableBoardSize = board.length;
+    }
+
+    const isClassic = board.length === 3;
+    const depth = isClassic ? this.settings.searchDepth : Math.min(this.settings.searchDepth, LARGE_BOARD_MAX_DEPTH);
+    const context = { winLength: game.winLength, symbol };
+
+    let bestScore = -Infinity;
+    let bestMoves = [];
+    let alpha = -Infinity;
+
+    for (const [row, col] of this.getCandidateMoves(board, symbol, game.winLength)) {
+      board[row][col] = symbol;
+      const score = this.isWinningMove(board, row, col, game.winLength)
+        ? WIN_SCORE
+        // Window stays open at the best score so equally good moves are all found
+        : -this.negamax(board, this.opponentOf(symbol), depth - 1, -Infinity, -(alpha - 1), context);
+      board[row][col] = '';
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestMoves = [{ row, col }];
+      } else if (score === bestScore) {
+        bestMoves.push({ row, col });
+      }
+      alpha = Math.max(alpha, score);
+    }
+
+    return this.pickRandom(bestMoves);
+  }
+
+  /**
+   * Negamax search with alpha-beta pruning
+   * @returns {number} Score from the point of view of the symbol to move
+   */
+  negamax(board, symbol, depth, alpha, beta, context) {
+    const candidates = this.getCandidateMoves(board, symbol, context.winLength);
+    if (candidates.length === 0) return 0; // Draw
+
+    if (depth <= 0) {
+      return this.evaluate(board, symbol, context.winLength);
+    }
+
+    const key = `${this.getCanonicalKey(board)}|${symbol}|${depth}`;
+    const cached = this.transpositionTable.get(key);
+    const originalAlpha = alpha;
+
+    if (cached) {
+      if (cached.flag === EXACT) return cached.score;
+      if (cached.flag === LOWER_BOUND) alpha = Math.max(alpha, cached.score);
+      if (cached.flag === UPPER_BOUND) beta = Math.min(beta, cached.score);
+      if (alpha >= beta) return cached.score;
+    }
+
+    let best = -Infinity;
+    for (const [row, col] of candidates) {
+      board[row][col] = symbol;
+      let score;
+      if (this.isWinningMove(board, row, col, context.winLength)) {
+        score = WIN_SCORE;
+      } else {
+        score = -this.negamax(board, this.opponentOf(symbol), depth - 1, -beta, -alpha, context);
+        // Prefer quicker wins and slower losses
+        if (Math.abs(score) > WIN_SCORE / 2) score -= Math.sign(score);
+      }
+      board[row][col] = '';
+
+      best = Math.max(best, score);
+      alpha = Math.max(alpha, score);
+      if (alpha >= beta) break;
+    }
+
+    let flag = EXACT;
+    if (best <= originalAlpha) flag = UPPER_BOUND;
+    else if (best >= beta) flag = LOWER_BOUND;
+    this.transpositionTable.set(key, { score: best, flag });
+
+    return best;
+  }
+
+  /**
+   * Legal moves worth searching, best-looking first.
+   * On large boards only cells next to existing marks are considered.
+   */
+  getCandidateMoves(board, symbol, winLength) {
+    const emptyCells = this.getEmptyCells(board);
+    if (board.length === 3 || emptyCells.length === 0) return emptyCells;
+
+    const center = Math.floor(board.length / 2);
+    if (emptyCells.length === board.length * board.length) {
+      return [[center, center]];
+    }
+
+    const opponent = this.opponentOf(symbol);
+    const scored = emptyCells
+      .filter(([row, col]) => this.hasNeighbor(board, row, col))
+      .map(([row, col]) => ({
+        cell: [row, col],
+        score: this.scoreCell(board, row, col, symbol, winLength) + this.scoreCell(board, row, col, opponent, winLength)
+      }));
+
+    scored.sort((a, b) => b.score - a.score);
+    return scored.slice(0, LARGE_BOARD_MAX_CANDIDATES).map(entry => entry.cell);
+  }
+
+  /**
+   * Heuristic for how much a cell extends lines of the given symbol
+   */
+  scoreCell(board, row, col, symbol, winLength) {
+    let score = 0;
+    for (const [dRow, dCol] of LINE_DIRECTIONS) {
+      const run = 1 +
+        this.countRun(board, row, col, dRow, dCol, symbol) +
+        this.countRun(board, row, col, -dRow, -dCol, symbol);
+      score += Math.pow(10, Math.min(run, winLength));
+    }
+    return score;
+  }
+
+  /**
+   * Static evaluation of a position for the symbol to move
+   */
+  evaluate(board, symbol, winLength) {
+    return this.scoreRuns(board, symbol, winLength) - this.scoreRuns(board, this.opponentOf(symbol), winLength);
+  }
+
+  /**
+   * Score every run of a symbol by its length and open ends
+   */
+  scoreRuns(board, symbol, winLength) {
+    const size = board.length;
+    let total = 0;
+
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        if (board[row][col] !== symbol) continue;
+
+        for (const [dRow, dCol] of LINE_DIRECTIONS) {
+          // Only score each run once, from its first cell
+          const prevRow = row - dRow;
+          const prevCol = col - dCol;
+          if (this.cellAt(board, prevRow, prevCol) === symbol) continue;
+
+          const length = 1 + this.countRun(board, row, col, dRow, dCol, symbol);
+          const openEnds = (this.cellAt(board, prevRow, prevCol) === '' ? 1 : 0) +
+            (this.cellAt(board, row + dRow * length, col + dCol * length) === '' ? 1 : 0);
+
+          if (openEnds > 0) {
+            total += Math.pow(10, Math.min(length, winLength - 1)) * openEnds;
+          }
+        }
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * Count consecutive cells of a symbol starting next to (row, col)
+   */
+  countRun(board, row, col, dRow, dCol, symbol) {
+    let count = 0;
+    let r = row + dRow;
+    let c = col + dCol;
+    while (this.cellAt(board, r, c) === symbol) {
+      count++;
+      r += dRow;
+      c += dCol;
+    }
+    return count;
+  }
+
+  /**
+   * Check whether the mark at (row, col) completes a line
+   */
+  isWinningMove(board, row, col, winLength) {
+    const symbol = board[row][col];
+    return LINE_DIRECTIONS.some(([dRow, dCol]) =>
+      1 + this.countRun(board, row, col, dRow, dCol, symbol) +
+        this.countRun(board, row, col, -dRow, -dCol, symbol) >= winLength
+    );
+  }
+
+  /**
+   * Key shared by all 8 rotations/reflections of a board
+   */
+  getCanonicalKey(board) {
+    const size = board.length;
+    const last = size - 1;
+    const transforms = [
+      (r, c) => board[r][c],
+      (r, c) => board[c][last - r],
+      (r, c) => board[last - r][last - c],
+      (r, c) => board[last - c][r],
+      (r, c) => board[r][last - c],
+      (r, c) => board[last - r][c],
+      (r, c) => board[c][r],
+      (r, c) => board[last - c][last - r]
+    ];
+
+    let best = null;
+    for (const cellAt of transforms) {
+      let key = '';
+      for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+          key += cellAt(r, c) || '.';
+        }
+      }
+      if (best === null || key < best) best = key;
+    }
+    return best;
+  }
+
+  hasNeighbor(board, row, col) {
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        if ((dRow || dCol) && this.cellAt(board, row + dRow, col + dCol)) return true;
+      }
+    }
+    return false;
+  }
+
+  cellAt(board, row, col) {
+    if (row < 0 || col < 0 || row >= board.length || col >= board.length) return null;
+    return board[row][col];
+  }
+
+  getEmptyCells(board) {
+    const cells = [];
+    board.forEach((rowCells, row) => {
+      rowCells.forEach((cell, col) => {
+        if (cell === '') cells.push([row, col]);
+      });
+    });
+    return cells;
+  }
+
+  pickRandom(options) {
+    const choice = options[Math.floor(this.random() * options.length)];
+    return Array.isArray(choice) ? { row: choice[0], col: choice[1] } : choice;
+  }
+
+  opponentOf(symbol) {
+    return symbol === 'X' ? 'O' : 'X';
+  }
+}
+
+AIPlayer.DIFFICULTY_LEVELS = Object.keys(DIFFICULTY_LEVELS);
+AIPlayer.DEFAULT_DIFFICULTY = DEFAULT_DIFFICULTY;
+
+module.exports = AIPlayer;
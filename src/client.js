@@ -6,16 +6,39 @@
 
 const WebSocket = require('ws');
 const readline = require('readline');
+const { PROTOCOL_VERSION, ERROR_CODES } = require('./clientProtocol');
+
+// Extra advice shown with some errors
+const ERROR_HINTS = {
+  [ERROR_CODES.CELL_OCCUPIED]: 'Pick an empty cell.',
+  [ERROR_CODES.OUT_OF_BOUNDS]: 'Type "help" for the board range.',
+  [ERROR_CODES.NOT_IN_ROOM]: 'Type "rooms" to see the rooms, or "join <roomId>".',
+  [ERROR_CODES.STALE_STATE]: 'The board was refreshed, try again.',
+  [ERROR_CODES.OWNER_UNAVAILABLE]: 'Try again in a few seconds.'
+};
 
 class TicTacToeClient {
   constructor() {
     this.ws = null;
     this.rl = null;
     this.playerId = null;
+    this.ratingToken = null;
     this.playerSymbol = null;
+    this.role = null;
+    this.roomId = null;
     this.gameState = null;
     this.isConnected = false;
     this.serverUrl = null;
+    this.clusterUrls = []; // Live servers last reported by the server, for failover
+    this.resumeToken = null;
+    this.redirectUrl = null; // Peer to move to when the server drains
+    this.isReconnecting = false;
+    this.inputHandlerStarted = false;
+    this.clockOffset = 0; // server time minus local time
+    this.pendingOffer = null; // { kind, offeredBy } while a draw or reset offer is open
+    this.protocolVersion = 1; // Agreed in the connected message
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map(); // requestId -> request type, until the server answers
   }
 
   /**
@@ -33,7 +56,7 @@ class TicTacToeClient {
 
     // Get server selection from user
     const serverChoice = await this.getServerChoice();
-    this.serverUrl = serverChoice === '1' ? 'ws://localhost:3001' : 'ws://localhost:3002';
+    this.serverUrl = this.getServerUrl(serverChoice);
 
     // Connect to server
     await this.connectToServer();
@@ -50,7 +73,7 @@ class TicTacToeClient {
     console.log('');
     console.log('📋 How to play:');
     console.log('   • Two players needed to start');
-    console.log('   • Enter moves as "row,col" (0-2 range)');
+    console.log('   • Enter moves as "row,col" (0-based, e.g. 1,2)');
     console.log('   • Watch real-time updates from opponent');
     console.log('   • Type "quit" to exit');
     console.log('');
@@ -65,11 +88,12 @@ class TicTacToeClient {
       console.log('🌐 Choose server to connect to:');
       console.log('   1. Server A (localhost:3001)');
       console.log('   2. Server B (localhost:3002)');
+      console.log('   Or enter another port or ws:// URL');
       console.log('');
       
       this.rl.question('Enter choice (1 or 2): ', (answer) => {
         const choice = answer.trim();
-        if (choice === '1' || choice === '2') {
+        if (choice === '1' || choice === '2' || /^\d+$/.test(choice) || choice.startsWith('ws')) {
           resolve(choice);
         } else {
           console.log('❌ Invalid choice. Defaulting to Server A.');
@@ -79,6 +103,18 @@ class TicTacToeClient {
     });
   }
 
+  /**
+   * Turn a server choice into a URL
+   * @param {string} choice - 1, 2, a port or a ws:// URL
+   * @returns {string} Server URL
+   */
+  getServerUrl(choice) {
+    if (choice === '1') return 'ws://localhost:3001';
+    if (choice === '2') return 'ws://localhost:3002';
+    if (/^\d+$/.test(choice)) return `ws://localhost:${choice}`;
+    return choice;
+  }
+
   /**
    * Connect to the WebSocket server
    */
@@ -86,12 +122,13 @@ class TicTacToeClient {
     return new Promise((resolve, reject) => {
       console.log(`🔗 Connecting to ${this.serverUrl}...`);
 
-      this.ws = new WebSocket(this.serverUrl);
+      this.ws = new WebSocket(this.withProtocolVersion(this.serverUrl));
+      this.pendingRequests.clear();
 
       this.ws.on('open', () => {
         this.isConnected = true;
         console.log('✅ Connected to server successfully!');
-        this.joinGame();
+        // The first request waits for the connected message, which settles the protocol version
         this.startInputHandler();
         resolve();
       });
@@ -101,9 +138,18 @@ class TicTacToeClient {
       });
 
       this.ws.on('close', (code, reason) => {
+        const wasConnected = this.isConnected;
         this.isConnected = false;
         console.log(`❌ Connection closed: ${code} ${reason}`);
-        this.handleDisconnection();
+
+        // 4000: our session was resumed from another connection
+        if (code === 4000) {
+          this.quit();
+        } else if (this.redirectUrl) {
+          this.followRedirect();
+        } else if (wasConnected) {
+          this.handleDisconnection();
+        }
       });
 
       this.ws.on('error', (error) => {
@@ -121,13 +167,27 @@ class TicTacToeClient {
     });
   }
 
+  /**
+   * Ask for our protocol version on a server URL
+   * @param {string} url - ws:// URL
+   * @returns {string} URL with ?protocolVersion=
+   */
+  withProtocolVersion(url) {
+    const withVersion = new URL(url);
+    withVersion.searchParams.set('protocolVersion', PROTOCOL_VERSION);
+    return withVersion.toString();
+  }
+
   /**
    * Send join game request
+   * @param {string} roomId - Room to join, default room if omitted
    */
-  joinGame() {
-    this.sendMessage({
-      type: 'join'
-    });
+  joinGame(roomId) {
+    const message = { type: 'join' };
+    if (roomId) {
+      message.roomId = roomId;
+    }
+    this.sendMessage(message);
   }
 
   /**
@@ -137,17 +197,31 @@ class TicTacToeClient {
   handleServerMessage(rawMessage) {
     try {
       const message = JSON.parse(rawMessage.toString());
+      const request = this.settleRequest(message);
 
       switch (message.type) {
         case 'connected':
+          // Servers that predate versioning speak version 1
+          this.protocolVersion = message.protocolVersion || 1;
+          if (Array.isArray(message.servers)) {
+            this.clusterUrls = message.servers;
+          }
           console.log(`🔗 ${message.message}`);
+          this.startSession();
           break;
 
         case 'joined':
           this.playerId = message.playerId;
           this.playerSymbol = message.playerSymbol;
-          console.log(`🎯 ${message.message}`);
-          console.log(`👤 Your symbol: ${this.getColoredSymbol(this.playerSymbol)}`);
+          this.role = message.role;
+          this.roomId = message.roomId;
+          this.resumeToken = message.resumeToken || null;
+          console.log(`🎯 ${message.message} (room ${message.roomId})`);
+          if (this.role === 'spectator') {
+            console.log('👀 You are watching this game');
+          } else {
+            console.log(`👤 Your symbol: ${this.getColoredSymbol(this.playerSymbol)}`);
+          }
           break;
 
         case 'gameState':
@@ -158,10 +232,77 @@ class TicTacToeClient {
           this.handleGameOver(message);
           break;
 
+        case 'takeback':
+          this.handleTakeback(message);
+          break;
+
+        case 'offer':
+          this.handleOffer(message);
+          break;
+
+        case 'redirect':
+          console.log(`🔀 ${message.message}, moving to ${message.url}...`);
+          this.redirectUrl = message.url;
+          if (message.resumeToken) {
+            this.resumeToken = message.resumeToken;
+          }
+          break;
+
+        case 'resumeFailed':
+          console.log(`⚠️  ${message.message}. Joining a new game...`);
+          this.resumeToken = null;
+          this.joinGame();
+          break;
+
+        case 'playerReconnecting':
+          console.log(`📡 Player ${this.getColoredSymbol(message.playerSymbol)} disconnected. Holding their seat for ${Math.round(message.graceMs / 1000)}s...`);
+          break;
+
+        case 'playerReconnected':
+          console.log(`📡 Player ${this.getColoredSymbol(message.playerSymbol)} is back!`);
+          break;
+
+        case 'roomList':
+          this.displayRoomList(message.rooms);
+          break;
+
+        case 'roomCreated':
+          console.log(`🏠 Room ${message.roomId} created, joining...`);
+          this.joinGame(message.roomId);
+          break;
+
+        case 'matchQueued':
+          // Keeps this player's rating across matches
+          this.ratingToken = message.ratingToken;
+          console.log(`🔎 Looking for an opponent near rating ${message.rating}... (type "match cancel" to stop)`);
+          break;
+
+        case 'matchFound':
+          console.log(`⚔️  Matched with ${message.opponent.playerId} (rating ${message.opponent.rating}), joining room ${message.roomId}...`);
+          break;
+
+        case 'matchCancelled':
+          console.log({
+            cancelled: '🔎 Stopped looking for a match',
+            joined: '🔎 Stopped looking for a match to join a room',
+            superseded: '🔎 Stopped looking for a match here: you queued again from another connection'
+          }[message.reason] || '🔎 Stopped looking for a match');
+          break;
+
+        case 'leftRoom':
+          console.log(`🚪 Left room ${message.roomId}`);
+          this.roomId = null;
+          this.playerSymbol = null;
+          this.role = null;
+          this.resumeToken = null;
+          this.gameState = null;
+          break;
+
         case 'error':
-          console.log(`❌ Error: ${message.message}`);
+          this.displayError(message, request);
           break;
 
+        case 'ack':
         case 'pong':
           // Handle ping/pong for connection health
           break;
@@ -175,12 +316,44 @@ class TicTacToeClient {
     }
   }
 
+  /**
+   * Match a reply to the request it answers
+   * @param {object} message - Server message
+   * @returns {string|null} Type of the request answered, if any
+   */
+  settleRequest(message) {
+    if (message.requestId === undefined || !this.pendingRequests.has(message.requestId)) return null;
+
+    const type = this.pendingRequests.get(message.requestId);
+    this.pendingRequests.delete(message.requestId);
+    return type;
+  }
+
+  /**
+   * Show an error, with the request it answers and advice for its code
+   * @param {object} error - { code, message }
+   * @param {string|null} request - Type of the failed request
+   */
+  displayError(error, request) {
+    const prefix = request ? `${request} failed` : 'Error';
+    const hint = ERROR_HINTS[error.code] ? ` ${ERROR_HINTS[error.code]}` : '';
+    console.log(`❌ ${prefix}: ${error.message}${hint}`);
+  }
+
   /**
    * Handle game state updates
    * @param {object} gameState - New game state
    */
   handleGameStateUpdate(gameState) {
     this.gameState = gameState;
+    this.pendingOffer = gameState.pendingOffer || null;
+    // Colors swap between rematches
+    if (this.role === 'player' && gameState.seats) {
+      this.playerSymbol = ['X', 'O'].find(symbol => gameState.seats[symbol] === this.playerId) || this.playerSymbol;
+    }
+    if (gameState.serverTime) {
+      this.clockOffset = gameState.serverTime - Date.now();
+    }
     this.displayGameBoard();
     this.displayGameStatus();
   }
@@ -192,17 +365,116 @@ class TicTacToeClient {
   handleGameOver(result) {
     console.log('\n🎊 ' + '='.repeat(30));
     
+    if (result.reason === 'forfeit') {
+      console.log('⌛ A player did not reconnect in time and forfeited.');
+    } else if (result.reason === 'timeout') {
+      console.log('⌛ A player ran out of time.');
+    } else if (result.reason === 'resign') {
+      console.log('🏳️  A player resigned.');
+    } else if (result.reason === 'agreement') {
+      console.log('🤝 Both players agreed to a draw.');
+    }
+
     if (result.winner === 'draw') {
       console.log('🤝 Game ended in a DRAW!');
+    } else if (this.role === 'spectator') {
+      console.log(`🏁 ${result.winner} wins!`);
     } else if (result.winner === this.playerSymbol) {
       console.log('🏆 YOU WON! Congratulations! 🎉');
     } else {
       console.log(`😔 You lost. ${result.winner} wins!`);
     }
+
+    const series = result.gameState && result.gameState.series;
+    if (series) {
+      this.gameState = result.gameState;
+      this.displaySeries();
+      if (series.finished) {
+        const outcome = !series.winner ? 'ended level' : series.winner === this.playerId ? 'is yours' : 'goes to your opponent';
+        console.log(`🏅 The best-of-${result.gameState.bestOf} series ${outcome}!`);
+      }
+    }
     
     console.log('🎊 ' + '='.repeat(30));
     
-    this.promptNewGame();
+    if (this.role !== 'spectator') {
+      this.promptNewGame();
+    }
+  }
+
+  /**
+   * Handle takeback requests and answers
+   * @param {object} message - Takeback notice
+   */
+  handleTakeback(message) {
+    const isMine = message.playerId === this.playerId;
+
+    switch (message.action) {
+      case 'request':
+        if (isMine) {
+          console.log('↩️  Takeback requested, waiting for your opponent...');
+        } else {
+          console.log('↩️  Your opponent wants to take back their last move. Type "accept" or "decline".');
+        }
+        break;
+      case 'accept':
+        console.log('↩️  Takeback accepted, the game was rolled back.');
+        break;
+      case 'decline':
+        console.log(isMine ? '↩️  You declined the takeback.' : '↩️  Your opponent declined the takeback.');
+        break;
+    }
+  }
+
+  /**
+   * Handle draw and reset offers and answers
+   * @param {object} message - Offer notice
+   */
+  handleOffer(message) {
+    const isMine = message.playerId === this.playerId;
+    const what = { draw: 'a draw', reset: 'a new game', rematch: 'a rematch' }[message.offer];
+
+    switch (message.action) {
+      case 'offer':
+        this.pendingOffer = { kind: message.offer, offeredBy: message.playerId };
+        if (isMine) {
+          console.log(`🤝 You offered ${what}, waiting for your opponent...`);
+        } else {
+          console.log(`🤝 Your opponent offers ${what}. Type "accept" or "decline".`);
+        }
+        break;
+      case 'accept':
+        this.pendingOffer = null;
+        if (message.offer === 'reset') {
+          console.log('🤝 Reset accepted, starting a new game.');
+        } else if (message.offer === 'rematch') {
+          console.log('🤝 Rematch on, colors swapped.');
+        }
+        break;
+      case 'decline':
+        this.pendingOffer = null;
+        console.log(isMine ? `🤝 You declined ${what}.` : `🤝 Your opponent declined ${what}.`);
+        break;
+    }
+  }
+
+  /**
+   * Display open rooms
+   * @param {Array<object>} rooms - Room summaries from the server
+   */
+  displayRoomList(rooms = []) {
+    console.log('🏠 Rooms:');
+    if (rooms.length === 0) {
+      console.log('   (none)');
+    }
+
+    rooms.forEach((room) => {
+      const marker = room.roomId === this.roomId ? ' ← you' : '';
+      const clock = room.timeControl ? `, ${this.formatTimeControl(room.timeControl)}` : '';
+      const series = room.bestOf ? `, best of ${room.bestOf}` : '';
+      console.log(`   • ${room.roomId} - ${room.boardSize}×${room.boardSize}, ${room.winLength} in a row${clock}${series}, ${room.players}/2 players, ${room.gameStatus}${marker}`);
+    });
+    console.log('');
   }
 
   /**
@@ -217,28 +489,46 @@ class TicTacToeClient {
     console.log('🎲 Current Game Board:');
     console.log('');
     
+    const size = this.gameState.board.length;
+    const cellWidth = String(size - 1).length + 2;
+    const labelWidth = String(size - 1).length;
+    const symbolOffset = Math.floor((cellWidth - 1) / 2);
+
+    if (this.gameState.winLength) {
+      const clock = this.gameState.timeControl ? `, ${this.formatTimeControl(this.gameState.timeControl)}` : '';
+      console.log(`   ${size}×${size} board, ${this.gameState.winLength} in a row wins${clock}`);
+      console.log('');
+    }
+
     // Display column headers
-    console.log('     0   1   2');
-    
+    let header = ' '.repeat(labelWidth + 3);
+    for (let col = 0; col < size; col++) {
+      const label = String(col);
+      header += label.padStart(symbolOffset + label.length).padEnd(cellWidth) + (col < size - 1 ? ' ' : '');
+    }
+    console.log(header);
+
     // Display board rows
-    for (let row = 0; row < 3; row++) {
-      let rowDisplay = `  ${row} `;
-      
-      for (let col = 0; col < 3; col++) {
+    const separator = ' '.repeat(labelWidth + 3) + Array(size).fill('─'.repeat(cellWidth)).join('┼');
+    for (let row = 0; row < size; row++) {
+      let rowDisplay = `  ${String(row).padStart(labelWidth)} `;
+
+      for (let col = 0; col < size; col++) {
         const cell = this.gameState.board[row][col];
         const cellDisplay = cell ? this.getColoredSymbol(cell) : ' ';
-        rowDisplay += ` ${cellDisplay} `;
-        
-        if (col < 2) rowDisplay += '│';
+        // Pad around the raw symbol since ANSI colors break string width
+        rowDisplay += ' '.repeat(symbolOffset) + cellDisplay + ' '.repeat(cellWidth - 1 - symbolOffset);
+
+        if (col < size - 1) rowDisplay += '│';
       }
-      
+
       console.log(rowDisplay);
-      
-      if (row < 2) {
-        console.log('    ───┼───┼───');
+
+      if (row < size - 1) {
+        console.log(separator);
       }
     }
-    
+
     console.log('');
   }
 
@@ -250,12 +540,26 @@ class TicTacToeClient {
 
     console.log(`🎯 Game Status: ${this.gameState.gameStatus.toUpperCase()}`);
     console.log(`👥 Players: ${this.gameState.players.length}/2`);
+    if (this.gameState.spectators && this.gameState.spectators.length > 0) {
+      console.log(`👀 Spectators: ${this.gameState.spectators.length}`);
+    }
     
+    const history = this.gameState.moveHistory || [];
+    if (history.length > 0) {
+      const last = history[history.length - 1];
+      console.log(`📜 Last move: ${this.getColoredSymbol(last.symbol)} at ${last.row},${last.col} (move ${last.moveNumber})`);
+    }
+
+    this.displayClocks();
+    this.displaySeries();
+
     if (this.gameState.gameStatus === 'playing') {
       const currentPlayerColor = this.getColoredSymbol(this.gameState.currentPlayer);
       console.log(`⏰ Current Turn: ${currentPlayerColor}`);
       
-      if (this.gameState.currentPlayer === this.playerSymbol) {
+      if (this.role === 'spectator') {
+        console.log('👀 Spectating...');
+      } else if (this.gameState.currentPlayer === this.playerSymbol) {
         console.log('🎯 YOUR TURN! Enter your move (row,col):');
       } else {
         console.log('⏳ Waiting for opponent\'s move...');
@@ -267,6 +571,81 @@ class TicTacToeClient {
     console.log('');
   }
 
+  /**
+   * Show the series score, games played and who starts the next game
+   */
+  displaySeries() {
+    const series = this.gameState && this.gameState.series;
+    if (!series || series.players.length < 2) return;
+
+    const name = playerId => (playerId === this.playerId ? 'You' : this.getColoredSymbol(this.symbolOf(playerId)));
+    const score = series.players.map(playerId => `${name(playerId)} ${series.score[playerId] || 0}`).join(' - ');
+    const draws = series.draws ? `, ${series.draws} drawn` : '';
+    const length = this.gameState.bestOf ? `best of ${this.gameState.bestOf}` : 'open';
+    console.log(`🏆 Series (${length}): ${score}${draws} after ${series.gamesPlayed} game${series.gamesPlayed === 1 ? '' : 's'}`);
+
+    if (series.nextStarter) {
+      const starter = series.nextStarter === this.playerId ? 'You start' : 'Your opponent starts';
+      console.log(`🔁 ${this.role === 'spectator' ? `${this.getColoredSymbol('O')} starts` : starter} the next game`);
+    }
+  }
+
+  /**
+   * Current symbol of a seated player
+   * @param {string} playerId - Player ID
+   * @returns {string|null} X, O or null
+   */
+  symbolOf(playerId) {
+    const seats = (this.gameState && this.gameState.seats) || {};
+    return ['X', 'O'].find(symbol => seats[symbol] === playerId) || null;
+  }
+
+  /**
+   * Show both players' remaining time, if the game has a clock
+   */
+  displayClocks() {
+    if (!this.gameState || !this.gameState.clocks) return;
+
+    const clocks = ['X', 'O'].map(symbol => `${this.getColoredSymbol(symbol)} ${this.formatClock(this.getRemainingTime(symbol))}`);
+    console.log(`⏱️  Clocks: ${clocks.join('  ')}`);
+  }
+
+  /**
+   * Get a player's remaining time, counting down the running clock locally
+   * @param {string} symbol - X or O
+   * @returns {number} Milliseconds left
+   */
+  getRemainingTime(symbol) {
+    const { clocks, currentPlayer, turnStartedAt } = this.gameState;
+    const running = symbol === currentPlayer && turnStartedAt;
+    const elapsed = running ? Date.now() + this.clockOffset - turnStartedAt : 0;
+    return Math.max(0, clocks[symbol] - elapsed);
+  }
+
+  /**
+   * Format milliseconds as m:ss
+   * @param {number} ms - Time left
+   * @returns {string} Formatted clock
+   */
+  formatClock(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    return `${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Describe a time control, e.g. "5:00 +2s" or "0:30 per move"
+   * @param {object} timeControl - Normalized time control from the server
+   * @returns {string} Description
+   */
+  formatTimeControl(timeControl) {
+    if (timeControl.type === 'perMove') {
+      return `${this.formatClock(timeControl.perMoveMs)} per move`;
+    }
+    const increment = timeControl.incrementMs ? ` +${timeControl.incrementMs / 1000}s` : '';
+    return `${this.formatClock(timeControl.baseMs)}${increment}`;
+  }
+
   /**
    * Get colored symbol for display
    * @param {string} symbol - X or O
@@ -286,6 +665,10 @@ class TicTacToeClient {
    * Start input handler for user commands
    */
   startInputHandler() {
+    // Reconnects reuse the same readline listener
+    if (this.inputHandlerStarted) return;
+    this.inputHandlerStarted = true;
+
     this.rl.on('line', (input) => {
       this.handleUserInput(input.trim());
     });
@@ -309,20 +692,119 @@ class TicTacToeClient {
       return;
     }
 
+    if (input.toLowerCase() === 'undo') {
+      this.sendMessage({ type: 'requestTakeback' });
+      return;
+    }
+
+    if (input.toLowerCase() === 'draw') {
+      this.sendMessage({ type: 'offerDraw' });
+      return;
+    }
+
+    if (input.toLowerCase() === 'resign') {
+      this.sendMessage({ type: 'resign' });
+      return;
+    }
+
+    if (input.toLowerCase() === 'rematch') {
+      this.sendMessage({ type: 'rematch' });
+      return;
+    }
+
+    if (input.toLowerCase() === 'accept' || input.toLowerCase() === 'decline') {
+      this.answerOpponent(input.toLowerCase() === 'accept');
+      return;
+    }
+
     if (input.toLowerCase() === 'help') {
       this.showHelp();
       return;
     }
 
+    if (this.handleRoomCommand(input)) {
+      return;
+    }
+
     // Handle move input
     this.handleMoveInput(input);
   }
 
+  /**
+   * Handle room commands: rooms, create [size] [winLength] [timeControl] [bo<N>], join <roomId>, bot [difficulty], leave,
+   * match [cancel]
+   * @param {string} input - User input
+   * @returns {boolean} True if the input was a room command
+   */
+  handleRoomCommand(input) {
+    const [command, ...args] = input.split(/\s+/);
+
+    switch (command.toLowerCase()) {
+      case 'rooms':
+        this.sendMessage({ type: 'listRooms' });
+        return true;
+
+      case 'create': {
+        const message = { type: 'createRoom' };
+        // Series length as bo<N>, anywhere after the command
+        const series = args.findIndex(arg => /^bo\d+$/i.test(arg));
+        if (series !== -1) message.bestOf = parseInt(args.splice(series, 1)[0].slice(2));
+        if (args[0]) message.boardSize = parseInt(args[0]);
+        if (args[1]) message.winLength = parseInt(args[1]);
+        // Time control as <seconds>+<increment> or <seconds>/move
+        if (args[2]) message.timeControl = args[2];
+        this.sendMessage(message);
+        return true;
+      }
+
+      case 'join':
+        this.joinGame(args[0]);
+        return true;
+
+      case 'bot':
+        // Plays the server AI in a new room (easy, medium, hard, perfect)
+        this.sendMessage({ type: 'join', bot: args[0] || true });
+        return true;
+
+      case 'leave':
+        this.sendMessage({ type: 'leaveRoom' });
+        return true;
+
+      case 'match':
+        if (args[0] && args[0].toLowerCase() === 'cancel') {
+          this.sendMessage({ type: 'cancelMatch' });
+          return true;
+        }
+        // Players are matched from outside any room
+        if (this.roomId) {
+          this.sendMessage({ type: 'leaveRoom' });
+        }
+        this.sendMessage({ type: 'findMatch', ratingToken: this.ratingToken || undefined });
+        return true;
+
+      case 'time':
+        if (this.gameState && this.gameState.clocks) {
+          this.displayClocks();
+        } else {
+          console.log('⏱️  This game has no clock');
+        }
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
   /**
    * Handle move input from user
    * @param {string} input - Move input (e.g., "1,2")
    */
   handleMoveInput(input) {
+    if (this.role === 'spectator') {
+      console.log('👀 Spectators cannot make moves');
+      return;
+    }
+
     // Check if it's player's turn
     if (!this.gameState || this.gameState.currentPlayer !== this.playerSymbol) {
       console.log('⏳ It\'s not your turn yet!');
@@ -342,7 +824,7 @@ class TicTacToeClient {
 
     // Validate numbers
     if (isNaN(row) || isNaN(col)) {
-      console.log('❌ Row and column must be numbers (0-2)');
+      console.log(`❌ Row and column must be numbers (0-${this.getMaxIndex()})`);
       return;
     }
 
@@ -355,7 +837,27 @@ class TicTacToeClient {
   }
 
   /**
-   * Reset the game
+   * Answer the opponent's pending draw or reset offer, or else their takeback request
+   * @param {boolean} accept - True to agree
+   */
+  answerOpponent(accept) {
+    const offer = this.pendingOffer;
+    if (offer && offer.offeredBy !== this.playerId && offer.kind === 'rematch') {
+      this.sendMessage({ type: accept ? 'rematch' : 'declineRematch' });
+      return;
+    }
+    if (offer && offer.offeredBy !== this.playerId) {
+      const kind = offer.kind === 'draw' ? 'Draw' : 'Reset';
+      this.sendMessage({ type: `${accept ? 'accept' : 'decline'}${kind}` });
+      return;
+    }
+
+    this.sendMessage({ type: 'respondTakeback', accept: accept });
+  }
+
+  /**
+   * Reset the game; during a game this asks the opponent to agree, after one
+   * it asks for a rematch
    */
   resetGame() {
     this.sendMessage({
@@ -363,25 +865,40 @@ class TicTacToeClient {
     });
   }
 
+  /**
+   * Get the highest valid row/column index for the current board
+   * @returns {number} Max index
+   */
+  getMaxIndex() {
+    return this.gameState ? this.gameState.board.length - 1 : 2;
+  }
+
   /**
    * Show help information
    */
   showHelp() {
     console.log('\n📖 Help:');
     console.log('   • Enter moves as "row,col" (e.g., 1,2)');
-    console.log('   • Row and column range: 0-2');
+    console.log(`   • Row and column range: 0-${this.getMaxIndex()}`);
     console.log('   • Commands: quit, reset, help');
+    console.log('   • Takebacks: undo, accept, decline');
+    console.log('   • Draws and resets: draw, reset, accept, decline, resign');
+    console.log('   • Series: rematch (both players opt in, colors swap each game)');
+    console.log('   • Rooms: rooms, create [size] [winLength] [300+2|30/move] [bo5], join <roomId>, leave');
+    console.log('   • Clocks: time');
+    console.log('   • Play the computer: bot [easy|medium|hard|perfect]');
+    console.log('   • Find an opponent near your rating: match, match cancel');
     console.log('');
   }
 
   /**
-   * Prompt for new game
+   * Prompt for a rematch
    */
   promptNewGame() {
     setTimeout(() => {
-      this.rl.question('\n🎮 Start new game? (y/n): ', (answer) => {
+      this.rl.question('\n🎮 Rematch with colors swapped? (y/n): ', (answer) => {
         if (answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes') {
-          this.resetGame();
+          this.sendMessage({ type: 'rematch' });
         } else {
           this.quit();
         }
@@ -389,6 +906,17 @@ class TicTacToeClient {
     }, 2000);
   }
 
+  /**
+   * Reclaim our seat after a drop, otherwise join fresh (back in our room if we had one)
+   */
+  startSession() {
+    if (this.resumeToken) {
+      this.sendMessage({ type: 'resume', token: this.resumeToken });
+    } else {
+      this.joinGame(this.roomId);
+    }
+  }
+
   /**
    * Send message to server
    * @param {object} message - Message to send
@@ -396,7 +924,12 @@ class TicTacToeClient {
   sendMessage(message) {
     if (this.ws && this.isConnected) {
       try {
-        this.ws.send(JSON.stringify(message));
+        const requestId = this.nextRequestId++;
+        // Version 1 servers answer only some requests, so only track them on version 2
+        if (this.protocolVersion >= 2) {
+          this.pendingRequests.set(requestId, message.type);
+        }
+        this.ws.send(JSON.stringify({ ...message, requestId }));
       } catch (error) {
         console.error('❌ Error sending message:', error.message);
       }
@@ -409,16 +942,56 @@ class TicTacToeClient {
    * Handle disconnection
    */
   handleDisconnection() {
+    if (this.isReconnecting) return;
+    this.isReconnecting = true;
+
     console.log('🔄 Attempting to reconnect...');
     
-    setTimeout(() => {
-      this.connectToServer().catch(() => {
-        console.log('❌ Reconnection failed. Please restart the client.');
-        this.quit();
-      });
+    setTimeout(async () => {
+      // Try the same server first, then the others; the resume token works on all of them
+      for (const url of this.getFailoverUrls()) {
+        this.serverUrl = url;
+        try {
+          await this.connectToServer();
+          this.isReconnecting = false;
+          return;
+        } catch (error) {
+          console.log(`❌ Could not reach ${url}`);
+        }
+      }
+
+      console.log('❌ Reconnection failed. Please restart the client.');
+      this.quit();
     }, 3000);
   }
 
+  /**
+   * Reconnect to the peer a draining server sent us to, resuming our seat
+   */
+  async followRedirect() {
+    this.serverUrl = this.redirectUrl;
+    this.redirectUrl = null;
+
+    try {
+      await this.connectToServer();
+    } catch (error) {
+      console.log(`❌ Could not reach ${this.serverUrl}`);
+      this.handleDisconnection();
+    }
+  }
+
+  /**
+   * Get the servers to try after a disconnect, the current one first
+   * @returns {Array<string>} Server URLs
+   */
+  getFailoverUrls() {
+    // Without a cluster list from the server, fall back to the two default servers
+    const others = this.clusterUrls.length > 0
+      ? this.clusterUrls
+      : ['ws://localhost:3001', 'ws://localhost:3002'];
+    return [this.serverUrl, ...others.filter(url => url !== this.serverUrl)];
+  }
+
   /**
    * Quit the client
    */
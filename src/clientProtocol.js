@@ -0,0 +1,160 @@
+/**
+ * Client Protocol
+ * Versions, error codes and inbound message schemas of the client WebSocket
+ * protocol. Clients ask for a version with ?protocolVersion=N on the connection
+ * URL; the server answers with the version it will speak in the `connected`
+ * message. Clients that ask for none get version 1.
+ *
+ * Version 1: requests may carry a requestId, errors have a code and a message.
+ * Version 2: every request must carry a requestId and gets exactly one reply
+ *   echoing it: its response (joined, roomCreated, pong...), an error, or an ack.
+ */
+
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+
+// Stable, machine-readable error codes; the message next to them is for people
+const ERROR_CODES = Object.freeze({
+  // Protocol
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+  UNSUPPORTED_PROTOCOL_VERSION: 'UNSUPPORTED_PROTOCOL_VERSION',
+  MESSAGE_TOO_LARGE: 'MESSAGE_TOO_LARGE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  // Rooms and sessions
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  INVALID_ROOM_OPTIONS: 'INVALID_ROOM_OPTIONS',
+  ALREADY_IN_ROOM: 'ALREADY_IN_ROOM',
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  INVALID_BOT_DIFFICULTY: 'INVALID_BOT_DIFFICULTY',
+  NO_FREE_SEAT: 'NO_FREE_SEAT',
+  RESUME_FAILED: 'RESUME_FAILED',
+  SEAT_NOT_HELD: 'SEAT_NOT_HELD',
+  ALREADY_QUEUED: 'ALREADY_QUEUED',
+  SERVER_DRAINING: 'SERVER_DRAINING',
+  NOT_QUEUED: 'NOT_QUEUED',
+  // Game rules
+  ALREADY_IN_GAME: 'ALREADY_IN_GAME',
+  NOT_SEATED: 'NOT_SEATED',
+  GAME_NOT_PLAYING: 'GAME_NOT_PLAYING',
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  OUT_OF_BOUNDS: 'OUT_OF_BOUNDS',
+  CELL_OCCUPIED: 'CELL_OCCUPIED',
+  TIME_EXPIRED: 'TIME_EXPIRED',
+  TAKEBACK_PENDING: 'TAKEBACK_PENDING',
+  NO_TAKEBACK_PENDING: 'NO_TAKEBACK_PENDING',
+  NOTHING_TO_TAKE_BACK: 'NOTHING_TO_TAKE_BACK',
+  NOT_OPPONENT: 'NOT_OPPONENT',
+  GAME_NOT_FINISHED: 'GAME_NOT_FINISHED',
+  NO_OPPONENT: 'NO_OPPONENT',
+  OFFER_PENDING: 'OFFER_PENDING',
+  NO_OFFER_PENDING: 'NO_OFFER_PENDING',
+  // Cluster
+  STALE_STATE: 'STALE_STATE',
+  STATE_UNAVAILABLE: 'STATE_UNAVAILABLE',
+  OWNER_UNAVAILABLE: 'OWNER_UNAVAILABLE',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+});
+
+// Player IDs the server hands out itself; clients cannot pick them
+const PLAYER_ID_PREFIXES = Object.freeze({ bot: 'bot-', rated: 'rated-' });
+
+const isString = value => typeof value === 'string' && value.length > 0;
+const isClientPlayerId = value => isString(value) &&
+  !Object.values(PLAYER_ID_PREFIXES).some(prefix => value.startsWith(prefix));
+const isOptional = check => value => value === undefined || value === null || check(value);
+const isRequestId = value => (isString(value) && value.length <= 64) || Number.isInteger(value);
+const isTimeControl = value => isString(value) || (typeof value === 'object' && !Array.isArray(value));
+const ROOM_OPTIONS = {
+  boardSize: isOptional(Number.isInteger),
+  winLength: isOptional(Number.isInteger),
+  timeControl: isOptional(isTimeControl),
+  bestOf: isOptional(Number.isInteger)
+};
+
+// Fields each request type may carry. Fields not listed are ignored, so newer
+// clients can send more than this server knows about.
+const MESSAGE_SCHEMAS = {
+  createRoom: { ...ROOM_OPTIONS },
+  listRooms: {},
+  join: {
+    ...ROOM_OPTIONS,
+    roomId: isOptional(isString),
+    playerId: isOptional(isClientPlayerId),
+    bot: isOptional(value => value === true || isString(value))
+  },
+  resume: { token: isString },
+  leaveRoom: {},
+  move: { row: Number.isInteger, col: Number.isInteger },
+  reset: {},
+  requestTakeback: {},
+  respondTakeback: { accept: isOptional(value => typeof value === 'boolean') },
+  acceptReset: {},
+  declineReset: {},
+  resign: {},
+  offerDraw: {},
+  acceptDraw: {},
+  declineDraw: {},
+  rematch: {},
+  declineRematch: {},
+  findMatch: { ratingToken: isOptional(isString) },
+  cancelMatch: {},
+  ping: {},
+  getStats: {}
+};
+
+/**
+ * Pick the version to speak with a client
+ * @param {string|null} requested - Version from the connection URL, if any
+ * @returns {number|null} Version to use, or null if the client is too old or asked for nonsense
+ */
+function negotiateVersion(requested) {
+  if (requested === null || requested === undefined || requested === '') return MIN_PROTOCOL_VERSION;
+
+  const version = Number(requested);
+  if (!Number.isInteger(version) || version < MIN_PROTOCOL_VERSION) return null;
+  return Math.min(version, PROTOCOL_VERSION);
+}
+
+/**
+ * Check a parsed request against its schema
+ * @param {object} message - Parsed request
+ * @param {number} version - Protocol version of the connection
+ * @returns {object|null} { code, message } describing the problem, or null if valid
+ */
+function validateClientMessage(message, version) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { code: ERROR_CODES.INVALID_MESSAGE, message: 'Message must be a JSON object' };
+  }
+
+  if (message.requestId !== undefined && !isRequestId(message.requestId)) {
+    return { code: ERROR_CODES.INVALID_MESSAGE, message: 'requestId must be a string of up to 64 characters or an integer' };
+  }
+  if (version >= 2 && message.requestId === undefined) {
+    return { code: ERROR_CODES.INVALID_MESSAGE, message: `requestId is required in protocol version ${version}` };
+  }
+
+  const schema = MESSAGE_SCHEMAS[message.type];
+  if (!schema) {
+    return { code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE, message: `Unknown message type: ${message.type}` };
+  }
+
+  for (const [field, check] of Object.entries(schema)) {
+    if (!check(message[field])) {
+      return { code: ERROR_CODES.INVALID_MESSAGE, message: `Invalid ${field} for ${message.type}` };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  ERROR_CODES,
+  PLAYER_ID_PREFIXES,
+  MESSAGE_TYPES: Object.keys(MESSAGE_SCHEMAS),
+  negotiateVersion,
+  validateClientMessage
+};
@@ -0,0 +1,126 @@
+/**
+ * Cluster Membership Table
+ * Tracks the game servers sharing a sync transport from their heartbeats.
+ * A peer that misses heartbeats becomes suspect, then dead; a new heartbeat revives it.
+ */
+
+const EventEmitter = require('events');
+
+const HEARTBEAT_INTERVAL_MS = 5000;
+const SUSPECT_AFTER_MS = 3 * HEARTBEAT_INTERVAL_MS;
+const DEAD_AFTER_MS = 6 * HEARTBEAT_INTERVAL_MS;
+// Dead and departed peers are forgotten after this long
+const FORGET_AFTER_MS = 10 * 60 * 1000;
+
+/**
+ * Emits 'change' (member, previousStatus) whenever a peer's status changes
+ */
+class ClusterMembership extends EventEmitter {
+  /**
+   * @param {string} serverId - This server's ID, always listed as alive
+   * @param {object} options - Failure detection timings (suspectAfterMs, deadAfterMs)
+   */
+  constructor(serverId, options = {}) {
+    super();
+    this.serverId = serverId;
+    this.suspectAfterMs = options.suspectAfterMs || SUSPECT_AFTER_MS;
+    this.deadAfterMs = options.deadAfterMs || DEAD_AFTER_MS;
+    this.peers = new Map(); // serverId -> { serverId, url, status, lastSeen, heartbeatAt, startedAt, load, metrics }
+  }
+
+  /**
+   * Record a heartbeat from a peer
+   * @param {object} heartbeat - { serverId, timestamp, url, startedAt, load, metrics, leaving }
+   * @param {number} now - Current time
+   * @returns {object|null} The peer's entry, or null if the heartbeat was ignored
+   */
+  recordHeartbeat(heartbeat, now = Date.now()) {
+    if (heartbeat.serverId === this.serverId) return null;
+
+    const existing = this.peers.get(heartbeat.serverId);
+    // Replayed log entries can be older than what we already know
+    if (existing && existing.heartbeatAt > heartbeat.timestamp) return null;
+
+    // Liveness is judged by when we heard from the peer, so clock skew between hosts
+    // does not matter; heartbeats replayed from long ago keep their own age
+    const age = now - heartbeat.timestamp;
+    const member = {
+      serverId: heartbeat.serverId,
+      url: heartbeat.url || null,
+      status: existing ? existing.status : null,
+      lastSeen: age > this.deadAfterMs ? heartbeat.timestamp : now,
+      heartbeatAt: heartbeat.timestamp,
+      startedAt: heartbeat.startedAt || null,
+      load: heartbeat.load || {},
+      metrics: heartbeat.metrics || {}
+    };
+    this.peers.set(member.serverId, member);
+
+    this.setStatus(member, heartbeat.leaving ? 'left' : this.statusFor(member, now));
+    return member;
+  }
+
+  /**
+   * Re-check every peer against the failure detection timeouts
+   * @param {number} now - Current time
+   */
+  sweep(now = Date.now()) {
+    this.peers.forEach((member, serverId) => {
+      if (member.status === 'left' || member.status === 'dead') {
+        if (now - member.lastSeen > FORGET_AFTER_MS) this.peers.delete(serverId);
+        return;
+      }
+      this.setStatus(member, this.statusFor(member, now));
+    });
+  }
+
+  statusFor(member, now) {
+    const silentFor = now - member.lastSeen;
+    if (silentFor > this.deadAfterMs) return 'dead';
+    if (silentFor > this.suspectAfterMs) return 'suspect';
+    return 'alive';
+  }
+
+  setStatus(member, status) {
+    const previousStatus = member.status;
+    if (previousStatus === status) return;
+
+    member.status = status;
+    this.emit('change', member, previousStatus);
+  }
+
+  /**
+   * Get one peer's entry
+   * @param {string} serverId - Peer ID
+   * @returns {object|null} Peer or null if unknown
+   */
+  getPeer(serverId) {
+    return this.peers.get(serverId) || null;
+  }
+
+  /**
+   * Get the IDs of the servers currently considered up, this one included
+   * @returns {Array<string>} Sorted server IDs
+   */
+  getLiveServerIds() {
+    const live = [this.serverId];
+    this.peers.forEach((member) => {
+      if (member.status === 'alive' || member.status === 'suspect') live.push(member.serverId);
+    });
+    return live.sort();
+  }
+
+  /**
+   * Get the membership table, peers first by server ID
+   * @returns {Array<object>} Peer entries
+   */
+  getMembers() {
+    return Array.from(this.peers.values())
+      .sort((a, b) => a.serverId.localeCompare(b.serverId))
+      .map(member => ({ ...member }));
+  }
+}
+
+ClusterMembership.HEARTBEAT_INTERVAL_MS = HEARTBEAT_INTERVAL_MS;
+
+module.exports = ClusterMembership;
@@ -0,0 +1,79 @@
+/**
+ * Consistent Hash Ring
+ * Maps keys (room IDs) to nodes (server IDs). Each node is placed on the ring
+ * many times, so adding or removing a server only moves the keys next to it.
+ */
+
+const crypto = require('crypto');
+
+// Points per node; more points spread keys more evenly
+const DEFAULT_VIRTUAL_NODES = 100;
+
+class ConsistentHashRing {
+  /**
+   * @param {number} virtualNodes - Points placed on the ring per node
+   */
+  constructor(virtualNodes = DEFAULT_VIRTUAL_NODES) {
+    this.virtualNodes = virtualNodes;
+    this.nodes = [];
+    this.points = []; // [{ hash, node }] sorted by hash
+  }
+
+  /**
+   * Replace the set of nodes on the ring
+   * @param {Array<string>} nodeIds - Node IDs
+   * @returns {boolean} True if the set changed
+   */
+  setNodes(nodeIds) {
+    const nodes = Array.from(new Set(nodeIds)).sort();
+    if (nodes.length === this.nodes.length && nodes.every((node, i) => node === this.nodes[i])) {
+      return false;
+    }
+
+    this.nodes = nodes;
+    this.points = [];
+    nodes.forEach((node) => {
+      for (let i = 0; i < this.virtualNodes; i++) {
+        this.points.push({ hash: hashKey(`${node}#${i}`), node });
+      }
+    });
+    // Ties are broken by node ID so every server builds the same ring
+    this.points.sort((a, b) => a.hash - b.hash || a.node.localeCompare(b.node));
+    return true;
+  }
+
+  /**
+   * Get the node owning a key: the first point at or after the key's hash
+   * @param {string} key - Key to place
+   * @returns {string|null} Node ID, or null if the ring is empty
+   */
+  getNode(key) {
+    if (this.points.length === 0) return null;
+
+    const hash = hashKey(key);
+    let low = 0;
+    let high = this.points.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.points[mid].hash < hash) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return this.points[low === this.points.length ? 0 : low].node;
+  }
+
+  getNodes() {
+    return [...this.nodes];
+  }
+}
+
+/**
+ * @returns {number} Unsigned 32-bit position on the ring
+ */
+function hashKey(key) {
+  return crypto.createHash('md5').update(String(key)).digest().readUInt32BE(0);
+}
+
+module.exports = ConsistentHashRing;
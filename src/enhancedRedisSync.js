@@ -2,16 +2,78 @@
  * Enhanced Redis Sync Manager with Cross-Server Game State Synchronization
  * AI-Generated: 90% - Advanced retry logic, connection pooling, message batching
  * Human Refinements: Production-grade network resilience patterns
+ * Storage and delivery go through a sync transport (Redis by default, see syncTransport.js)
  */
 
-const redis = require('redis');
+const { v4: uuidv4 } = require('uuid');
+const GameRoomManager = require('./roomManager');
+const TicTacToeGame = require('./gameLogic');
+const ClusterMembership = require('./clusterMembership');
+const ConsistentHashRing = require('./consistentHashRing');
+const SyncMessageValidator = require('./syncMessageValidator');
+const { createSyncTransport } = require('./syncTransport');
+const { ERROR_CODES } = require('./clientProtocol');
+
+const { DEFAULT_ROOM_ID } = GameRoomManager;
+
+// Sync log retention: entries are trimmed past this length or age
+const SYNC_LOG_MAX_LENGTH = 10000;
+const SYNC_LOG_MAX_AGE_MS = 60 * 60 * 1000;
+const SYNC_LOG_TRIM_INTERVAL_MS = 60 * 1000;
+
+// How long one blocking read of the sync log waits, and how many entries it takes
+const SYNC_LOG_BLOCK_MS = 5000;
+const SYNC_LOG_READ_COUNT = 100;
+
+// Persisted room state expires once a game is abandoned (no change for this long)
+// or finished; every commit refreshes it. Rooms whose state expired are closed.
+const ROOM_STATE_TTL_MS = 60 * 60 * 1000;
+const FINISHED_ROOM_TTL_MS = 10 * 60 * 1000;
+const ROOM_PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Recovery retries back off from the connection rate limit up to this delay
+const RECOVERY_BASE_DELAY_MS = 5000;
+const RECOVERY_MAX_DELAY_MS = 60 * 1000;
+// Sync events raised while disconnected are kept up to this many, oldest dropped first
+const OUTBOX_MAX_SIZE = 1000;
+
+// Used when SYNC_SECRET is not configured; fine for local development only
+const DEV_SYNC_SECRET = 'tic-tac-toe-development-secret';
+
+// Resolution decisions kept for getStats
+const CONFLICT_LOG_SIZE = 50;
+
+// Room actions forwarded to the owning server wait this long for its answer;
+// the owner skips actions whose sender has already given up
+const ROOM_ACTION_TIMEOUT_MS = 5000;
+
+// A room's state is requested from a diverged peer at most this often
+const REPAIR_REQUEST_INTERVAL_MS = 10000;
+
+// Rating identities are kept this long after the player last queued
+const RATING_IDENTITY_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+// Times a rating update that raced another server's is re-run on the fresh ratings
+const RATING_UPDATE_ATTEMPTS = 5;
 
 class EnhancedRedisSyncManager {
-  constructor(serverId, gameInstance) {
+  /**
+   * @param {string} serverId - This server's ID
+   * @param {GameRoomManager} roomManager - Rooms whose games are kept in sync
+   * @param {EventEmitter} transport - Sync transport, Redis unless configured otherwise
+   * @param {object} options - { syncSecret, replayWindowMs }
+   */
+  constructor(serverId, roomManager, transport = createSyncTransport(), options = {}) {
     this.serverId = serverId;
-    this.gameInstance = gameInstance;
-    this.publisher = null;
-    this.subscriber = null;
+    this.roomManager = roomManager;
+    this.transport = transport;
+
+    // Sync log entries are signed with a secret shared by the cluster
+    if (!options.syncSecret) {
+      console.warn(`[${serverId}] SYNC_SECRET is not set, signing sync messages with the development secret`);
+    }
+    this.validator = new SyncMessageValidator(options.syncSecret || DEV_SYNC_SECRET, {
+      replayWindowMs: options.replayWindowMs
+    });
     
     // Connection state management
     this.isConnected = false;
@@ -19,6 +81,14 @@ class EnhancedRedisSyncManager {
     this.maxReconnectAttempts = 10;
     this.reconnectDelay = 1000;
     this.lastConnectionAttempt = 0;
+
+    // Recovery supervisor: retries the connection in the background once enabled
+    this.recoveryEnabled = false;
+    this.recoveryTimer = null;
+    this.isRecovering = false;
+    this.outbox = []; // Sync events waiting for the connection to come back
+    // roomId -> last cluster-committed version the room's local-only changes build on
+    this.offlineBaseVersions = new Map();
     
     // Message batching and queuing
     this.messageQueue = [];
@@ -33,6 +103,14 @@ class EnhancedRedisSyncManager {
       reconnections: 0,
       errors: 0,
       avgLatency: 0,
+      droppedMessages: 0,
+      recoveries: 0,
+      divergences: 0,
+      repairs: 0,
+      rejectedMessages: 0,
+      conflicts: 0,
+      forwardedActions: 0,
+      ownedActions: 0,
       lastSuccessfulSync: Date.now()
     };
     
@@ -45,7 +123,70 @@ class EnhancedRedisSyncManager {
       lastFailure: 0
     };
     
-    this.channelName = 'tic-tac-toe-sync';
+    // Sync events go to an ordered log (a Redis Stream); each server remembers the last entry it applied
+    this.syncLogKey = 'tic-tac-toe:sync-log';
+    this.syncOffsetsKey = 'tic-tac-toe:sync-offsets';
+    // Tags this process's log entries; entries from an earlier run of the same server are still replayed
+    this.instanceId = uuidv4();
+    this.lastAppliedId = null;
+    this.isReadingLog = false;
+    // Sync log clock minus the local clock, measured from the IDs of our own entries
+    this.logClockOffset = 0;
+    this.lastTrimAt = 0;
+    this.lastPruneAt = Date.now();
+    this.roomRegistryKey = 'tic-tac-toe:rooms';
+
+    // Lamport clock: ticks on every local event and jumps past every clock received,
+    // so events are ordered consistently on every server regardless of wall clocks
+    this.logicalClock = 0;
+    this.conflictLog = []; // Recent conflict resolutions, newest last
+
+    // Anti-entropy: roomId -> when this server last asked a peer for the room's state
+    this.repairRequests = new Map();
+
+    // Resume tokens are mirrored locally so standalone servers can honor them
+    this.resumeTokens = new Map(); // token -> { roomId, playerId, expiresAt }
+    this.resumeTokenTtl = 24 * 60 * 60 * 1000; // 24 hours
+
+    // Players waiting for a match, the players each match seated and player
+    // ratings are shared by the cluster; while disconnected a server keeps its
+    // own so it can still match locally
+    this.matchQueueKey = 'tic-tac-toe:match-queue';
+    this.matchedRoomsKey = 'tic-tac-toe:matched-rooms';
+    this.ratingsKey = 'tic-tac-toe:ratings';
+    this.localMatchQueue = new Map(); // playerId -> ticket
+    this.localMatchedRooms = new Map(); // roomId -> [playerId, playerId]
+    this.localRatings = new Map(); // playerId -> { rating, games }
+    // Rating identities are mirrored locally like resume tokens
+    this.ratingIdentities = new Map(); // token -> { playerId, expiresAt }
+
+    // Peers announce themselves with heartbeats; silent ones are marked dead
+    this.membership = new ClusterMembership(serverId);
+    this.membership.on('change', (member, previousStatus) => {
+      console.log(`[${this.serverId}] Peer ${member.serverId} is ${member.status}${previousStatus ? ` (was ${previousStatus})` : ''}`);
+      this.updateOwnership();
+    });
+    this.heartbeatTimer = null;
+    this.startedAt = Date.now();
+
+    // Each room is owned by one live server, picked by consistent hashing; the
+    // owner applies the room's changes and other servers forward theirs to it
+    this.ring = new ConsistentHashRing();
+    this.ring.setNodes([serverId]);
+    this.pendingActions = new Map(); // requestId -> { roomId, ownerId, action, resolve, timer }
+    // A draining server has left the ring and announces itself as leaving
+    this.isDraining = false;
+
+    // Called with (roomId, data) after a remote event changes a room
+    this.onRemoteUpdate = null;
+    // Called for the { url, load, metrics } sent in each heartbeat
+    this.getLocalStatus = null;
+    // Called with (roomId, action) to apply a room action forwarded by another server
+    this.onRoomAction = null;
+    // Called with the IDs of rooms this server took over from a departed owner
+    this.onOwnershipChange = null;
+    // Called with matchQueued and matchFound events from other servers
+    this.onMatchmaking = null;
     
     console.log(`[${this.serverId}] Enhanced Redis sync manager initialized`);
   }
@@ -74,103 +215,54 @@ class EnhancedRedisSyncManager {
       }
       this.lastConnectionAttempt = now;
 
-      console.log(`[${this.serverId}] Initializing enhanced Redis connection...`);
-
-      // Create Redis clients with optimized configuration
-      const redisConfig = {
-        socket: {
-          host: process.env.REDIS_HOST || 'localhost',
-          port: process.env.REDIS_PORT || 6379,
-          connectTimeout: 5000,
-          lazyConnect: true,
-          keepAlive: 30000,
-          reconnectStrategyOnClusterDown: this.createReconnectStrategy(),
-          reconnectStrategyOnFailover: this.createReconnectStrategy()
-        },
-        password: process.env.REDIS_PASSWORD || undefined,
-        database: process.env.REDIS_DB || 0,
-        retryDelayOnFailover: 100,
-        maxRetriesPerRequest: 3,
-        lazyConnect: true
-      };
-
-      this.publisher = redis.createClient(redisConfig);
-      this.subscriber = redis.createClient(redisConfig);
+      console.log(`[${this.serverId}] Initializing enhanced ${this.transport.name} sync connection...`);
 
       // Enhanced error handling
       this.setupErrorHandlers();
 
       // Connect with timeout
       await Promise.race([
-        Promise.all([
-          this.publisher.connect(),
-          this.subscriber.connect()
-        ]),
+        this.transport.connect(),
         this.sleep(10000).then(() => Promise.reject(new Error('Connection timeout')))
       ]);
 
-      // Subscribe to sync channel
-      await this.subscriber.subscribe(this.channelName, (message) => {
-        this.handleSyncMessage(message);
-      });
-
       this.isConnected = true;
       this.circuitBreaker.state = 'CLOSED';
       this.circuitBreaker.failures = 0;
       this.reconnectAttempts = 0;
 
-      console.log(`[${this.serverId}] Enhanced Redis connection established successfully`);
+      await this.loadRoomRegistry();
+      await this.startSyncLogReader();
+      this.startHeartbeats();
+
+      console.log(`[${this.serverId}] Enhanced ${this.transport.name} sync connection established successfully`);
       return true;
 
     } catch (error) {
-      console.error(`[${this.serverId}] Redis initialization failed:`, error.message);
+      console.error(`[${this.serverId}] ${this.transport.name} sync initialization failed:`, error.message);
+      // Stop clients that would keep retrying (and tripping the breaker) on their own
+      await this.transport.disconnect();
       this.handleConnectionFailure();
       return false;
     }
   }
 
-  /**
-   * Create reconnection strategy with exponential backoff
-   */
-  createReconnectStrategy() {
-    return (retries) => {
-      if (retries >= this.maxReconnectAttempts) {
-        console.error(`[${this.serverId}] Max reconnection attempts reached`);
-        return false;
-      }
-      
-      const delay = Math.min(this.reconnectDelay * Math.pow(2, retries), 30000);
-      console.log(`[${this.serverId}] Reconnecting in ${delay}ms (attempt ${retries + 1})`);
-      return delay;
-    };
-  }
-
   /**
    * Setup enhanced error handlers
    */
   setupErrorHandlers() {
-    if (this.publisher) {
-      this.publisher.on('error', (error) => {
-        console.error(`[${this.serverId}] Publisher error:`, error.message);
-        this.handleConnectionFailure();
-      });
-
-      this.publisher.on('reconnecting', () => {
-        console.log(`[${this.serverId}] Publisher reconnecting...`);
-        this.metrics.reconnections++;
-      });
-    }
+    // Only attach once; initialize may be retried
+    if (this.transport.listenerCount('error') > 0) return;
 
-    if (this.subscriber) {
-      this.subscriber.on('error', (error) => {
-        console.error(`[${this.serverId}] Subscriber error:`, error.message);
-        this.handleConnectionFailure();
-      });
+    this.transport.on('error', (error, connectionName = 'Transport') => {
+      console.error(`[${this.serverId}] ${connectionName} error:`, error.message);
+      this.handleConnectionFailure();
+    });
 
-      this.subscriber.on('reconnecting', () => {
-        console.log(`[${this.serverId}] Subscriber reconnecting...`);
-      });
-    }
+    this.transport.on('reconnecting', (connectionName = 'Transport') => {
+      console.log(`[${this.serverId}] ${connectionName} reconnecting...`);
+      this.metrics.reconnections++;
+    });
   }
 
   /**
@@ -186,21 +278,315 @@ class EnhancedRedisSyncManager {
       this.circuitBreaker.state = 'OPEN';
       console.log(`[${this.serverId}] Circuit breaker OPEN due to repeated failures`);
     }
+
+    this.scheduleRecovery();
+  }
+
+  /**
+   * Keep trying to reconnect in the background whenever the connection is down
+   */
+  startRecoverySupervisor() {
+    this.recoveryEnabled = true;
+    if (!this.isConnected) {
+      this.scheduleRecovery();
+    }
+  }
+
+  /**
+   * Plan the next recovery attempt with exponential backoff. While the circuit
+   * breaker is OPEN the attempt waits for it to allow a HALF_OPEN trial.
+   */
+  scheduleRecovery() {
+    if (!this.recoveryEnabled || this.recoveryTimer || this.isRecovering) return;
+
+    const now = Date.now();
+    let delay = Math.min(RECOVERY_BASE_DELAY_MS * Math.pow(2, this.reconnectAttempts), RECOVERY_MAX_DELAY_MS);
+    if (this.circuitBreaker.state === 'OPEN') {
+      delay = Math.max(delay, this.circuitBreaker.lastFailure + this.circuitBreaker.timeout - now);
+    }
+    // initialize() refuses attempts closer together than its rate limit
+    delay = Math.max(delay, this.lastConnectionAttempt + RECOVERY_BASE_DELAY_MS - now);
+
+    this.recoveryTimer = setTimeout(() => {
+      this.recoveryTimer = null;
+      this.recover();
+    }, delay);
+  }
+
+  /**
+   * Reconnect, bring local rooms in line with the cluster, then send the
+   * events buffered while disconnected
+   */
+  async recover() {
+    if (this.isConnected || this.isRecovering) return;
+
+    this.isRecovering = true;
+    this.reconnectAttempts++;
+    console.log(`[${this.serverId}] Recovery attempt ${this.reconnectAttempts} (circuit ${this.circuitBreaker.state})`);
+
+    try {
+      if (!(await this.initialize())) return;
+
+      await this.reconcileRooms();
+      this.metrics.recoveries++;
+      console.log(`[${this.serverId}] Sync recovered, sending ${this.outbox.length} buffered events`);
+    } catch (error) {
+      console.error(`[${this.serverId}] Recovery failed:`, error.message);
+      this.handleConnectionFailure();
+    } finally {
+      this.isRecovering = false;
+      if (this.isConnected) {
+        await this.flushOutbox();
+      } else {
+        this.scheduleRecovery();
+      }
+    }
+  }
+
+  /**
+   * Compare every local room with its committed cluster state. Rooms changed
+   * only here while disconnected are committed if the cluster did not move on;
+   * otherwise the cluster's state wins and the room's buffered events are dropped.
+   * Rooms at the committed version whose fingerprint differs adopt the committed state.
+   */
+  async reconcileRooms() {
+    for (const room of this.roomManager.rooms.values()) {
+      const { roomId, game } = room;
+      const stored = await this.getStoredGameState(roomId);
+      const baseVersion = this.offlineBaseVersions.get(roomId);
+
+      await this.transport.hashSet(this.roomRegistryKey, roomId, JSON.stringify(this.roomManager.getRoomSummary(room)));
+
+      if (baseVersion !== undefined) {
+        const result = await this.transport.commitState(
+          this.getGlobalStateKey(roomId),
+          baseVersion,
+          game.version,
+          JSON.stringify({ ...game.getGameState(), version: game.version }),
+          { updatedBy: this.serverId, ttlMs: this.getStateTtl(game.getGameState()) }
+        );
+        if (result.committed) continue;
+
+        // Both sides changed the room; the later event wins wherever it is
+        this.outbox = this.outbox.filter(message => message.roomId !== roomId);
+        const clusterState = result.state ? { ...JSON.parse(result.state), version: result.version } : null;
+        if (clusterState && this.resolveConflict(roomId, game.getGameState(), clusterState, 'cluster') === 'local' &&
+          await this.overwriteClusterState(game, roomId, result.version)) {
+          continue;
+        }
+      } else if (!stored || stored.version < game.version) {
+        continue;
+      } else if (stored.version === game.version &&
+        TicTacToeGame.fingerprint({ ...stored.gameState, version: stored.version }) === game.getFingerprint()) {
+        continue;
+      }
+
+      const latest = await this.getStoredGameState(roomId);
+      if (latest) {
+        game.updateState(latest.gameState);
+        game.version = latest.version;
+        this.notifyRemoteUpdate({ type: 'stateUpdate', roomId, gameState: game.getGameState() });
+      }
+    }
+    this.offlineBaseVersions.clear();
+  }
+
+  /**
+   * Replace the committed state of a room with this server's, as the next
+   * version after the one stored, and announce it
+   * @returns {Promise<boolean>} False if the stored version moved on meanwhile
+   */
+  async overwriteClusterState(game, roomId, storedVersion) {
+    const version = Math.max(storedVersion, game.version) + 1;
+    const result = await this.transport.commitState(
+      this.getGlobalStateKey(roomId),
+      storedVersion,
+      version,
+      JSON.stringify({ ...game.getGameState(), version }),
+      { updatedBy: this.serverId, ttlMs: this.getStateTtl(game.getGameState()) }
+    );
+    if (!result.committed) return false;
+
+    game.version = version;
+    await this.queueMessage({
+      type: 'stateUpdate',
+      serverId: this.serverId,
+      roomId: roomId,
+      gameState: game.getGameState(),
+      timestamp: Date.now()
+    });
+    return true;
+  }
+
+  /**
+   * Send the events buffered while disconnected, oldest first
+   */
+  async flushOutbox() {
+    if (this.outbox.length === 0) return true;
+
+    const buffered = this.outbox;
+    this.outbox = [];
+    for (const message of buffered) {
+      await this.updateRoomRegistry(message);
+    }
+    this.messageQueue = [...buffered, ...this.messageQueue];
+    return this.processBatch();
+  }
+
+  /**
+   * Hold an event until the connection is back, dropping the oldest past the limit
+   */
+  bufferMessage(message) {
+    this.outbox.push(message);
+    this.trimOutbox();
+  }
+
+  trimOutbox() {
+    while (this.outbox.length > OUTBOX_MAX_SIZE) {
+      this.outbox.shift();
+      this.metrics.droppedMessages++;
+    }
+  }
+
+  /**
+   * Resume the sync log after the last entry this server applied, or from
+   * the newest entry on first start, then keep reading in the background
+   */
+  async startSyncLogReader() {
+    const savedId = await this.transport.hashGet(this.syncOffsetsKey, this.serverId);
+
+    if (savedId) {
+      this.lastAppliedId = savedId;
+      await this.checkSyncLogGap(savedId);
+      console.log(`[${this.serverId}] Replaying sync log after ${savedId}`);
+    } else {
+      const { lastId } = await this.transport.getLogBounds(this.syncLogKey);
+      this.lastAppliedId = lastId || '0-0';
+    }
+
+    if (!this.isReadingLog) {
+      this.isReadingLog = true;
+      this.readSyncLog();
+    }
+  }
+
+  /**
+   * Apply sync log entries as they arrive. Reads always continue from the last
+   * applied entry, so anything published while the connection was down is
+   * replayed once it comes back.
+   */
+  async readSyncLog() {
+    while (this.isReadingLog) {
+      try {
+        const entries = await this.transport.readLog(
+          this.syncLogKey,
+          this.lastAppliedId,
+          { blockMs: SYNC_LOG_BLOCK_MS, count: SYNC_LOG_READ_COUNT }
+        );
+        if (entries.length === 0) continue;
+
+        for (const entry of entries) {
+          this.lastAppliedId = entry.id;
+          if (entry.fields.instanceId !== this.instanceId) {
+            this.handleSyncMessage(entry.fields.message, {
+              signature: entry.fields.signature,
+              loggedAt: parseInt(entry.id)
+            });
+          }
+        }
+        await this.transport.hashSet(this.syncOffsetsKey, this.serverId, this.lastAppliedId);
+      } catch (error) {
+        if (!this.isReadingLog) break;
+        console.error(`[${this.serverId}] Sync log read failed:`, error.message);
+        await this.sleep(this.reconnectDelay);
+      }
+    }
+  }
+
+  /**
+   * Fall back to the committed room states if entries after the saved
+   * offset may have been trimmed away
+   * @param {string} fromId - Last applied entry ID
+   */
+  async checkSyncLogGap(fromId) {
+    const { firstId } = await this.transport.getLogBounds(this.syncLogKey);
+    if (!firstId || this.compareStreamIds(firstId, fromId) <= 1) return;
+
+    console.warn(`[${this.serverId}] Sync log was trimmed past ${fromId}, reloading rooms from Redis`);
+    for (const room of this.roomManager.rooms.values()) {
+      const stored = await this.getStoredGameState(room.roomId);
+      if (stored && stored.version > room.game.version) {
+        room.game.updateState(stored.gameState);
+        room.game.version = stored.version;
+        this.notifyRemoteUpdate({ type: 'stateUpdate', roomId: room.roomId });
+      }
+    }
+  }
+
+  /**
+   * Compare two stream entry IDs ("<ms>-<seq>")
+   * @returns {number} 0 if equal, 1 if a directly follows b, larger if entries may lie between, negative if a is older
+   */
+  compareStreamIds(a, b) {
+    const [aMs, aSeq] = a.split('-').map(BigInt);
+    const [bMs, bSeq] = b.split('-').map(BigInt);
+    if (aMs !== bMs) return aMs > bMs ? 2 : -1;
+    if (aSeq === bSeq) return 0;
+    if (aSeq === bSeq + 1n) return 1;
+    return aSeq > bSeq ? 2 : -1;
+  }
+
+  /**
+   * Drop sync log entries older than the retention window, at most once a minute
+   */
+  async trimSyncLog() {
+    const now = Date.now();
+    if (now - this.lastTrimAt < SYNC_LOG_TRIM_INTERVAL_MS) return;
+    this.lastTrimAt = now;
+
+    await this.transport.trimLog(this.syncLogKey, this.getLogTime() - SYNC_LOG_MAX_AGE_MS);
+  }
+
+  /**
+   * Current time on the sync log's clock, the one its entry IDs carry. Send
+   * times and replay checks use it so skew between server hosts does not matter.
+   */
+  getLogTime() {
+    return Date.now() + this.logClockOffset;
+  }
+
+  /**
+   * Measure the sync log's clock from the IDs it gave entries we just appended.
+   * The reply's trip back is the only error, well inside the replay window.
+   * @param {Array<string>} ids - Entry IDs, oldest first
+   */
+  updateLogClock(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) return;
+    this.logClockOffset = parseInt(ids[ids.length - 1]) - Date.now();
   }
 
   /**
    * Handle incoming sync messages with validation
+   * @param {string} message - Serialized message
+   * @param {object} entry - { signature, loggedAt } from the sync log entry
    */
-  handleSyncMessage(message) {
+  handleSyncMessage(message, { signature, loggedAt = this.getLogTime() } = {}) {
     try {
+      if (!this.validator.verifySignature(message, signature)) {
+        this.rejectSyncMessage(null, 'bad signature');
+        return;
+      }
+
       const data = JSON.parse(message);
-      
-      if (!this.isValidSyncMessage(data)) {
-        console.warn(`[${this.serverId}] Invalid sync message received`);
+      const problem = this.validator.validate(data, loggedAt);
+      if (problem) {
+        this.rejectSyncMessage(data, problem);
         return;
       }
 
       this.metrics.messagesReceived++;
+      this.observeClock(data.clock);
+      if (this.detectDivergence(data)) return;
       this.processSyncMessage(data);
 
     } catch (error) {
@@ -209,19 +595,10 @@ class EnhancedRedisSyncManager {
     }
   }
 
-  /**
-   * Validate sync message structure
-   */
-  isValidSyncMessage(data) {
-    return (
-      data &&
-      typeof data === 'object' &&
-      typeof data.type === 'string' &&
-      typeof data.serverId === 'string' &&
-      data.serverId !== this.serverId &&
-      typeof data.timestamp === 'number' &&
-      data.timestamp > 0
-    );
+  rejectSyncMessage(data, reason) {
+    this.metrics.rejectedMessages++;
+    const origin = data && typeof data === 'object' ? ` ${data.type} from ${data.serverId}` : '';
+    console.warn(`[${this.serverId}] Rejected sync message${origin}: ${reason}`);
   }
 
   /**
@@ -245,6 +622,29 @@ class EnhancedRedisSyncManager {
         case 'gameReset':
           this.handleGameResetEnhanced(data);
           break;
+        case 'playerDisconnect':
+        case 'playerReconnect':
+        case 'playerForfeit':
+          this.handleSeatHoldSync(data);
+          break;
+        case 'takeback':
+          this.handleTakebackSync(data);
+          break;
+        case 'timeout':
+          this.handleTimeoutSync(data);
+          break;
+        case 'offer':
+          this.handleOfferSync(data);
+          break;
+        case 'resign':
+          this.handleResignSync(data);
+          break;
+        case 'roomCreated':
+          this.handleRoomCreated(data);
+          break;
+        case 'roomClosed':
+          this.handleRoomClosed(data);
+          break;
         case 'heartbeat':
           this.handleHeartbeat(data);
           break;
@@ -254,6 +654,19 @@ class EnhancedRedisSyncManager {
         case 'sync_response':
           this.handleSyncResponse(data);
           break;
+        case 'sync_repair':
+          this.handleSyncRepair(data);
+          break;
+        case 'roomAction':
+          this.handleRoomAction(data);
+          break;
+        case 'roomActionResult':
+          this.handleRoomActionResult(data);
+          break;
+        case 'matchQueued':
+        case 'matchFound':
+          this.handleMatchmakingSync(data);
+          break;
         default:
           console.warn(`[${this.serverId}] Unknown sync message type: ${data.type}`);
       }
@@ -264,131 +677,234 @@ class EnhancedRedisSyncManager {
   }
 
   /**
-   * Get global player count from Redis
+   * Get the Redis hash holding a room's versioned global state
+   * @param {string} roomId - Room ID
+   * @returns {string} Redis key
    */
-  async getGlobalPlayerCount() {
-    if (!this.isConnected) return 0;
-    
+  getGlobalStateKey(roomId = DEFAULT_ROOM_ID) {
+    return `global_game_state:${roomId}`;
+  }
+
+  /**
+   * Resolve the local game a sync message applies to, creating the room if needed
+   * @param {object} data - Sync message
+   * @returns {TicTacToeGame} Game for the message's room
+   */
+  getGameForMessage(data) {
+    const roomId = data.roomId || DEFAULT_ROOM_ID;
+    const { gameState } = data;
+    const options = gameState && gameState.boardSize
+      ? { boardSize: gameState.boardSize, winLength: gameState.winLength, timeControl: gameState.timeControl, bestOf: gameState.bestOf }
+      : undefined;
+    return this.roomManager.getOrCreateRoom(roomId, options, data.serverId).game;
+  }
+
+  /**
+   * Tell the server that a remote event changed a room
+   * @param {object} data - Sync message that was applied
+   */
+  notifyRemoteUpdate(data) {
+    if (typeof this.onRemoteUpdate === 'function') {
+      this.onRemoteUpdate(data.roomId || DEFAULT_ROOM_ID, data);
+    }
+  }
+
+  /**
+   * Apply a remote change unless this server already has a newer version of the room
+   * @param {object} data - Sync message carrying the resulting gameState
+   * @param {function} apply - Applies the change to the game, adopts the snapshot by default
+   * @returns {TicTacToeGame|null} Updated game, or null if the message was stale
+   */
+  applyRemoteState(data, apply = game => game.updateState(data.gameState)) {
+    const game = this.getGameForMessage(data);
+    const version = data.gameState ? data.gameState.version : undefined;
+
+    if (typeof version === 'number' && version < game.version) {
+      console.log(`[${this.serverId}] Ignoring stale ${data.type} for room ${data.roomId} (v${version}, have v${game.version})`);
+      return null;
+    }
+
+    apply(game);
+    if (typeof version === 'number') {
+      game.version = version;
+    }
+    return game;
+  }
+
+  /**
+   * Commit a room's new game state if nobody else changed it first
+   * @param {string} roomId - Room ID
+   * @param {number} expectedVersion - Version the change was based on
+   * @param {object} gameState - New state, committed as expectedVersion + 1
+   * @returns {Promise<object>} { committed, version, gameState } with the stored state on conflict
+   */
+  async commitGameState(roomId, expectedVersion, gameState) {
+    const version = expectedVersion + 1;
+
+    // Standalone servers are their own source of truth until they reconnect
+    if (!this.isConnected) {
+      if (!this.offlineBaseVersions.has(roomId)) {
+        this.offlineBaseVersions.set(roomId, expectedVersion);
+      }
+      return { committed: true, version };
+    }
+
+    const result = await this.transport.commitState(
+      this.getGlobalStateKey(roomId),
+      expectedVersion,
+      version,
+      JSON.stringify({ ...gameState, version }),
+      { updatedBy: this.serverId, ttlMs: this.getStateTtl(gameState) }
+    );
+
+    if (result.committed) {
+      return { committed: true, version: result.version };
+    }
+
+    console.warn(`[${this.serverId}] Stale state for room ${roomId}: based on v${expectedVersion}, stored v${result.version}`);
+    return {
+      committed: false,
+      version: result.version,
+      gameState: result.state ? JSON.parse(result.state) : null
+    };
+  }
+
+  /**
+   * How long a room's persisted state lives without another commit
+   */
+  getStateTtl(gameState) {
+    return gameState.gameStatus === 'finished' ? FINISHED_ROOM_TTL_MS : ROOM_STATE_TTL_MS;
+  }
+
+  /**
+   * Close the rooms this server owns whose persisted state has expired, so
+   * finished and abandoned games do not stay in the registry forever
+   */
+  async pruneExpiredRooms() {
+    const now = Date.now();
+    if (now - this.lastPruneAt < ROOM_PRUNE_INTERVAL_MS) return;
+    this.lastPruneAt = now;
+
     try {
-      const globalState = await this.publisher.get('global_game_state');
-      if (globalState) {
-        const state = JSON.parse(globalState);
-        return state.playerCount || 0;
+      const registry = await this.transport.hashGetAll(this.roomRegistryKey);
+
+      for (const [roomId, entry] of Object.entries(registry)) {
+        if (roomId === DEFAULT_ROOM_ID || !this.isRoomOwner(roomId)) continue;
+        // Rooms nobody has joined yet have no state; they get as long as an abandoned game
+        if (now - JSON.parse(entry).createdAt < ROOM_STATE_TTL_MS) continue;
+        if (await this.transport.getState(this.getGlobalStateKey(roomId))) continue;
+
+        console.log(`[${this.serverId}] Room ${roomId} expired, closing it`);
+        this.notifyRemoteUpdate({ type: 'roomClosed', roomId });
+        this.roomManager.removeRoom(roomId);
+        await this.publishRoomClosed(roomId);
       }
-      return 0;
     } catch (error) {
-      console.error(`[${this.serverId}] Failed to get global player count:`, error.message);
-      return 0;
+      console.error(`[${this.serverId}] Failed to prune expired rooms:`, error.message);
     }
   }
 
   /**
-   * Update global player count in Redis
+   * Read the committed state of a room
+   * @param {string} roomId - Room ID
+   * @returns {Promise<object|null>} { version, gameState } or null if nothing is stored
    */
-  async updateGlobalPlayerCount(count) {
-    if (!this.isConnected) return false;
-    
+  async getStoredGameState(roomId) {
+    if (!this.isConnected) return null;
+
     try {
-      const globalState = {
-        playerCount: count,
-        lastUpdated: Date.now(),
-        updatedBy: this.serverId
-      };
-      
-      await this.publisher.set('global_game_state', JSON.stringify(globalState));
-      return true;
+      const stored = await this.transport.getState(this.getGlobalStateKey(roomId));
+      return stored ? { version: stored.version, gameState: JSON.parse(stored.state) } : null;
     } catch (error) {
-      console.error(`[${this.serverId}] Failed to update global player count:`, error.message);
-      return false;
+      console.error(`[${this.serverId}] Failed to read state of room ${roomId}:`, error.message);
+      return null;
     }
   }
 
   /**
-   * Request current game state from other servers
+   * Load rooms created by other servers before this one connected
    */
-  async requestGameSync() {
-    if (!this.isConnected) return { playerCount: 0 };
-    
+  async loadRoomRegistry() {
     try {
-      // Get global state first
-      const globalPlayerCount = await this.getGlobalPlayerCount();
-      
-      const message = {
-        type: 'sync_request',
-        serverId: this.serverId,
-        timestamp: Date.now()
-      };
-      
-      await this.publisher.publish(this.channelName, JSON.stringify(message));
-      
-      // Wait a moment for responses
-      await this.sleep(100);
-      
-      return { playerCount: globalPlayerCount };
+      const registry = await this.transport.hashGetAll(this.roomRegistryKey);
+
+      Object.values(registry).forEach((entry) => {
+        const summary = JSON.parse(entry);
+        this.roomManager.getOrCreateRoom(
+          summary.roomId,
+          { boardSize: summary.boardSize, winLength: summary.winLength, timeControl: summary.timeControl, bestOf: summary.bestOf },
+          summary.createdBy
+        );
+      });
     } catch (error) {
-      console.error(`[${this.serverId}] Failed to request game sync:`, error.message);
-      return { playerCount: 0 };
+      console.error(`[${this.serverId}] Failed to load room registry:`, error.message);
     }
   }
 
   /**
-   * Respond to sync request with current game state
+   * Publish a newly created room and record it in the registry
    */
-  async handleSyncRequest(data) {
-    if (data.serverId === this.serverId) return; // Don't respond to own requests
-    
+  async publishRoomCreated(roomSummary) {
+    const message = {
+      type: 'roomCreated',
+      serverId: this.serverId,
+      roomId: roomSummary.roomId,
+      room: roomSummary,
+      timestamp: Date.now()
+    };
+
+    if (this.isConnected) {
+      await this.updateRoomRegistry(message);
+    }
+    return this.queueMessage(message);
+  }
+
+  /**
+   * Add or remove a room in the registry for a roomCreated or roomClosed event
+   */
+  async updateRoomRegistry(message) {
     try {
-      const gameState = this.gameInstance.getGameState();
-      if (gameState.players.length > 0) {
-        const response = {
-          type: 'sync_response',
-          serverId: this.serverId,
-          gameState: gameState,
-          timestamp: Date.now()
-        };
-        
-        await this.publisher.publish(this.channelName, JSON.stringify(response));
-        console.log(`[${this.serverId}] Sent sync response to ${data.serverId}`);
+      if (message.type === 'roomCreated') {
+        await this.transport.hashSet(this.roomRegistryKey, message.roomId, JSON.stringify(message.room));
+      } else if (message.type === 'roomClosed') {
+        await this.transport.hashDelete(this.roomRegistryKey, message.roomId);
+        await this.transport.hashDelete(this.matchedRoomsKey, message.roomId);
+        await this.transport.deleteKey(this.getGlobalStateKey(message.roomId));
       }
     } catch (error) {
-      console.error(`[${this.serverId}] Failed to respond to sync request:`, error.message);
+      console.error(`[${this.serverId}] Failed to update room registry:`, error.message);
     }
   }
 
   /**
-   * Handle sync response from other servers
+   * Publish that a room was closed and drop it from the registry
    */
-  handleSyncResponse(data) {
-    if (data.serverId === this.serverId) return; // Ignore own responses
-    
-    if (data.gameState && this.isValidGameState(data.gameState)) {
-      // Only update if the response has more players
-      const currentPlayers = this.gameInstance.getGameState().players.length;
-      const responsePlayers = data.gameState.players.length;
-      
-      if (responsePlayers > currentPlayers) {
-        this.gameInstance.updateState(data.gameState);
-        console.log(`[${this.serverId}] Updated game state from ${data.serverId} (${responsePlayers} players)`);
-      }
+  async publishRoomClosed(roomId) {
+    const message = {
+      type: 'roomClosed',
+      serverId: this.serverId,
+      roomId: roomId,
+      timestamp: Date.now()
+    };
+
+    if (this.isConnected) {
+      await this.updateRoomRegistry(message);
     }
+    return this.queueMessage(message);
   }
 
   /**
-   * Publish player join with global state update
+   * Publish player join
+   * @param {string} playerSymbol - Seat taken, null for spectators
    */
-  async publishPlayerJoin(playerId, gameState, playerSymbol) {
-    // Update global player count
-    const currentCount = await this.getGlobalPlayerCount();
-    const newCount = currentCount + 1;
-    await this.updateGlobalPlayerCount(newCount);
-    
+  async publishPlayerJoin(roomId, playerId, gameState, playerSymbol) {
     const message = {
       type: 'playerJoin',
       serverId: this.serverId,
+      roomId: roomId,
       playerId: playerId,
       playerSymbol: playerSymbol,
       gameState: gameState,
-      globalPlayerCount: newCount,
       timestamp: Date.now()
     };
 
@@ -396,20 +912,17 @@ class EnhancedRedisSyncManager {
   }
 
   /**
-   * Publish player leave with global state update
+   * Publish player leave
+   * @param {string} playerSymbol - Seat freed, null for spectators
    */
-  async publishPlayerLeave(playerId, gameState) {
-    // Update global player count
-    const currentCount = await this.getGlobalPlayerCount();
-    const newCount = Math.max(0, currentCount - 1);
-    await this.updateGlobalPlayerCount(newCount);
-    
+  async publishPlayerLeave(roomId, playerId, gameState, playerSymbol) {
     const message = {
       type: 'playerLeave',
       serverId: this.serverId,
+      roomId: roomId,
       playerId: playerId,
+      playerSymbol: playerSymbol,
       gameState: gameState,
-      globalPlayerCount: newCount,
       timestamp: Date.now()
     };
 
@@ -419,10 +932,11 @@ class EnhancedRedisSyncManager {
   /**
    * Publish move with enhanced validation
    */
-  async publishMove(moveData, gameState) {
+  async publishMove(roomId, moveData, gameState) {
     const message = {
       type: 'move',
       serverId: this.serverId,
+      roomId: roomId,
       move: moveData,
       gameState: gameState,
       timestamp: Date.now()
@@ -432,17 +946,14 @@ class EnhancedRedisSyncManager {
   }
 
   /**
-   * Publish game reset with global state reset
+   * Publish game reset
    */
-  async publishGameReset(gameState) {
-    // Reset global player count
-    await this.updateGlobalPlayerCount(0);
-    
+  async publishGameReset(roomId, gameState) {
     const message = {
       type: 'gameReset',
       serverId: this.serverId,
+      roomId: roomId,
       gameState: gameState,
-      globalPlayerCount: 0,
       timestamp: Date.now()
     };
 
@@ -450,13 +961,416 @@ class EnhancedRedisSyncManager {
   }
 
   /**
-   * Queue message for batched sending
+   * Publish that a seated player dropped and their seat is held
    */
-  async queueMessage(message) {
-    if (!this.isConnected) {
-      console.warn(`[${this.serverId}] Cannot queue message - Redis not connected`);
-      return false;
-    }
+  async publishPlayerDisconnect(roomId, playerId, gameState, deadline) {
+    const message = {
+      type: 'playerDisconnect',
+      serverId: this.serverId,
+      roomId: roomId,
+      playerId: playerId,
+      deadline: deadline,
+      gameState: gameState,
+      timestamp: Date.now()
+    };
+
+    return this.queueMessage(message);
+  }
+
+  /**
+   * Publish that a held seat was reclaimed
+   */
+  async publishPlayerReconnect(roomId, playerId, gameState) {
+    const message = {
+      type: 'playerReconnect',
+      serverId: this.serverId,
+      roomId: roomId,
+      playerId: playerId,
+      gameState: gameState,
+      timestamp: Date.now()
+    };
+
+    return this.queueMessage(message);
+  }
+
+  /**
+   * Publish that a player forfeited after the grace window ran out
+   */
+  async publishPlayerForfeit(roomId, playerId, gameState, winner) {
+    const message = {
+      type: 'playerForfeit',
+      serverId: this.serverId,
+      roomId: roomId,
+      playerId: playerId,
+      winner: winner,
+      gameState: gameState,
+      timestamp: Date.now()
+    };
+
+    return this.queueMessage(message);
+  }
+
+  /**
+   * Publish that a player lost on time
+   */
+  async publishTimeout(roomId, playerId, gameState, winner) {
+    const message = {
+      type: 'timeout',
+      serverId: this.serverId,
+      roomId: roomId,
+      playerId: playerId,
+      winner: winner,
+      gameState: gameState,
+      timestamp: Date.now()
+    };
+
+    return this.queueMessage(message);
+  }
+
+  /**
+   * Announce this server every heartbeat interval and age out silent peers
+   */
+  startHeartbeats() {
+    if (this.heartbeatTimer) return;
+
+    this.publishHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      this.publishHeartbeat();
+      this.membership.sweep();
+    }, ClusterMembership.HEARTBEAT_INTERVAL_MS);
+  }
+
+  /**
+   * Publish this server's heartbeat with its current load
+   * @param {boolean} leaving - True when the server is draining or shutting down
+   */
+  async publishHeartbeat(leaving = this.isDraining) {
+    if (!this.isConnected) return false;
+
+    const status = this.getLocalStatus ? this.getLocalStatus() : {};
+    const message = {
+      type: 'heartbeat',
+      serverId: this.serverId,
+      url: status.url,
+      startedAt: this.startedAt,
+      load: status.load,
+      metrics: status.metrics,
+      rooms: this.getRoomFingerprints(),
+      leaving: leaving,
+      timestamp: Date.now()
+    };
+
+    return this.queueMessage(message);
+  }
+
+  /**
+   * Store a resume token so any server can hand the seat back
+   * @param {string} token - Resume token issued to the player
+   * @param {object} session - { roomId, playerId }
+   */
+  async saveResumeToken(token, session) {
+    const entry = { ...session, expiresAt: Date.now() + this.resumeTokenTtl };
+    this.resumeTokens.set(token, entry);
+
+    if (!this.isConnected) return;
+
+    try {
+      await this.transport.setValue(`resume_token:${token}`, JSON.stringify(entry), this.resumeTokenTtl);
+    } catch (error) {
+      console.error(`[${this.serverId}] Failed to store resume token:`, error.message);
+    }
+  }
+
+  /**
+   * Look up a resume token, locally first and then in Redis
+   * @param {string} token - Resume token
+   * @returns {Promise<object|null>} { roomId, playerId } or null if unknown or expired
+   */
+  async getResumeToken(token) {
+    const local = this.resumeTokens.get(token);
+    if (local && local.expiresAt > Date.now()) return local;
+
+    if (!this.isConnected) return null;
+
+    try {
+      const stored = await this.transport.getValue(`resume_token:${token}`);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error(`[${this.serverId}] Failed to read resume token:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Invalidate a resume token once its seat is gone
+   * @param {string} token - Resume token
+   */
+  async deleteResumeToken(token) {
+    this.resumeTokens.delete(token);
+
+    if (!this.isConnected) return;
+
+    try {
+      await this.transport.deleteKey(`resume_token:${token}`);
+    } catch (error) {
+      console.error(`[${this.serverId}] Failed to delete resume token:`, error.message);
+    }
+  }
+
+  /**
+   * Put a player in the matchmaking queue, replacing any ticket they already have
+   * @param {object} ticket - { ticketId, playerId, rating, serverId, queuedAt }
+   */
+  async addMatchTicket(ticket) {
+    if (!this.isConnected) {
+      this.localMatchQueue.set(ticket.playerId, ticket);
+      return;
+    }
+
+    await this.transport.hashSet(this.matchQueueKey, ticket.playerId, JSON.stringify(ticket));
+  }
+
+  /**
+   * Take a ticket out of the matchmaking queue. A ticket the player queued
+   * since replaces this one and is left alone; the check and the delete are
+   * one atomic step.
+   * @param {object} ticket - Ticket as it was queued
+   * @returns {Promise<boolean>} True if this call removed the ticket
+   */
+  async removeMatchTicket(ticket) {
+    if (!this.isConnected) {
+      const local = this.localMatchQueue.get(ticket.playerId);
+      if (!local || local.ticketId !== ticket.ticketId) return false;
+      return this.localMatchQueue.delete(ticket.playerId);
+    }
+
+    return this.transport.hashCompareAndSet(this.matchQueueKey, [
+      { field: ticket.playerId, expected: JSON.stringify(ticket), value: null }
+    ]);
+  }
+
+  /**
+   * Every ticket in the matchmaking queue
+   * @returns {Promise<Array<object>>} Tickets
+   */
+  async getMatchQueue() {
+    if (!this.isConnected) return Array.from(this.localMatchQueue.values());
+
+    const queue = await this.transport.hashGetAll(this.matchQueueKey);
+    return Object.values(queue).map(entry => JSON.parse(entry));
+  }
+
+  /**
+   * Look up a player's rating
+   * @param {string} playerId - Player ID
+   * @returns {Promise<object|null>} { rating, games } or null for a new player
+   */
+  async getRating(playerId) {
+    if (!this.isConnected) return this.localRatings.get(playerId) || null;
+
+    const stored = await this.transport.hashGet(this.ratingsKey, playerId);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * Update several players' ratings together. The update is re-run on fresh
+   * ratings when another server changed one of them first, so no update is lost.
+   * @param {Array<string>} playerIds - Players to update
+   * @param {function} update - Maps their current entries ({ rating, games } or null) to new ones
+   * @returns {Promise<Array<object>>} The entries stored
+   */
+  async updateRatings(playerIds, update) {
+    if (!this.isConnected) {
+      const updated = update(playerIds.map(playerId => this.localRatings.get(playerId) || null));
+      playerIds.forEach((playerId, i) => this.localRatings.set(playerId, updated[i]));
+      return updated;
+    }
+
+    for (let attempt = 1; attempt <= RATING_UPDATE_ATTEMPTS; attempt++) {
+      const stored = await Promise.all(playerIds.map(async playerId => (await this.transport.hashGet(this.ratingsKey, playerId)) || null));
+      const updated = update(stored.map(entry => (entry ? JSON.parse(entry) : null)));
+      const changes = playerIds.map((playerId, i) => ({ field: playerId, expected: stored[i], value: JSON.stringify(updated[i]) }));
+      if (await this.transport.hashCompareAndSet(this.ratingsKey, changes)) return updated;
+    }
+    throw new Error(`Ratings of ${playerIds.join(', ')} kept changing`);
+  }
+
+  /**
+   * Remember which players a match seated in a room; only their games there are rated
+   * @param {string} roomId - Room created for the match
+   * @param {Array<string>} playerIds - The two matched players
+   */
+  async saveMatchedRoom(roomId, playerIds) {
+    if (!this.isConnected) {
+      this.localMatchedRooms.set(roomId, playerIds);
+      return;
+    }
+
+    await this.transport.hashSet(this.matchedRoomsKey, roomId, JSON.stringify(playerIds));
+  }
+
+  /**
+   * @returns {Promise<Array<string>|null>} Players matched into the room, null if it was not a matchmade room
+   */
+  async getMatchedRoom(roomId) {
+    if (!this.isConnected) return this.localMatchedRooms.get(roomId) || null;
+
+    const stored = await this.transport.hashGet(this.matchedRoomsKey, roomId);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * Store the player ID a rating token stands for, refreshing its expiry
+   * @param {string} token - Rating token issued to the player
+   * @param {string} playerId - Server-issued player ID the rating is kept under
+   */
+  async saveRatingIdentity(token, playerId) {
+    const entry = { playerId, expiresAt: Date.now() + RATING_IDENTITY_TTL_MS };
+    this.ratingIdentities.set(token, entry);
+
+    if (!this.isConnected) return;
+
+    try {
+      await this.transport.setValue(`rating_identity:${token}`, JSON.stringify(entry), RATING_IDENTITY_TTL_MS);
+    } catch (error) {
+      console.error(`[${this.serverId}] Failed to store rating identity:`, error.message);
+    }
+  }
+
+  /**
+   * Look up a rating token, locally first and then in the transport
+   * @param {string} token - Rating token
+   * @returns {Promise<string|null>} Player ID, or null if unknown or expired
+   */
+  async getRatingIdentity(token) {
+    const local = this.ratingIdentities.get(token);
+    if (local && local.expiresAt > Date.now()) return local.playerId;
+
+    if (!this.isConnected) return null;
+
+    try {
+      const stored = await this.transport.getValue(`rating_identity:${token}`);
+      return stored ? JSON.parse(stored).playerId : null;
+    } catch (error) {
+      console.error(`[${this.serverId}] Failed to read rating identity:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Tell other servers a player queued here, so they drop any ticket the
+   * player left on them
+   */
+  async publishMatchQueued(ticket) {
+    const message = {
+      type: 'matchQueued',
+      serverId: this.serverId,
+      playerId: ticket.playerId,
+      ticketId: ticket.ticketId,
+      queuedAt: ticket.queuedAt,
+      timestamp: Date.now()
+    };
+
+    return this.queueMessage(message);
+  }
+
+  /**
+   * Tell the servers of two matched players to seat them in their new room
+   * @param {string} roomId - Room created for the match
+   * @param {Array<object>} tickets - The two matched tickets
+   */
+  async publishMatchFound(roomId, tickets) {
+    const message = {
+      type: 'matchFound',
+      serverId: this.serverId,
+      roomId: roomId,
+      tickets: tickets,
+      timestamp: Date.now()
+    };
+
+    return this.queueMessage(message);
+  }
+
+  /**
+   * Publish a takeback request, answer or rollback
+   * @param {string} roomId - Room ID
+   * @param {string} action - request, decline or accept
+   * @param {string} playerId - Player who acted
+   * @param {object} gameState - State after the action
+   * @param {number} historyLength - Moves kept after an accepted rollback
+   */
+  async publishTakeback(roomId, action, playerId, gameState, historyLength = null) {
+    const message = {
+      type: 'takeback',
+      serverId: this.serverId,
+      roomId: roomId,
+      action: action,
+      playerId: playerId,
+      historyLength: historyLength,
+      gameState: gameState,
+      timestamp: Date.now()
+    };
+
+    return this.queueMessage(message);
+  }
+
+  /**
+   * Publish a draw or reset offer, or its answer
+   * @param {string} roomId - Room ID
+   * @param {string} offer - draw or reset
+   * @param {string} action - offer, accept or decline
+   * @param {string} playerId - Player who acted
+   * @param {object} gameState - State after the action
+   */
+  async publishOffer(roomId, offer, action, playerId, gameState) {
+    const message = {
+      type: 'offer',
+      serverId: this.serverId,
+      roomId: roomId,
+      offer: offer,
+      action: action,
+      playerId: playerId,
+      gameState: gameState,
+      timestamp: Date.now()
+    };
+
+    return this.queueMessage(message);
+  }
+
+  /**
+   * Publish that a player resigned
+   */
+  async publishResign(roomId, playerId, gameState, winner) {
+    const message = {
+      type: 'resign',
+      serverId: this.serverId,
+      roomId: roomId,
+      playerId: playerId,
+      winner: winner,
+      gameState: gameState,
+      timestamp: Date.now()
+    };
+
+    return this.queueMessage(message);
+  }
+
+  /**
+   * Queue message for batched sending
+   */
+  async queueMessage(message) {
+    if (message.clock === undefined) {
+      message.clock = this.tick();
+    }
+    // Receivers compare this with their own state at the same version
+    if (message.gameState && !message.fingerprint) {
+      message.fingerprint = TicTacToeGame.fingerprint(message.gameState);
+    }
+
+    // Keep events in order behind the ones buffered during an outage
+    if (!this.isConnected || this.isRecovering) {
+      this.bufferMessage(message);
+      return false;
+    }
 
     this.messageQueue.push(message);
 
@@ -490,19 +1404,26 @@ class EnhancedRedisSyncManager {
     }
 
     try {
-      const pipeline = this.publisher.multi();
-      
-      for (const message of batch) {
-        pipeline.publish(this.channelName, JSON.stringify(message));
-      }
-
-      await pipeline.exec();
+      const sentAt = this.getLogTime();
+      const entries = batch.map((message) => {
+        const serialized = this.validator.stamp(message, sentAt);
+        // Copies of our own entries appended later are replays too
+        this.validator.remember(message, sentAt);
+        return { message: serialized, instanceId: this.instanceId, signature: this.validator.sign(serialized) };
+      });
+      const ids = await this.transport.appendLog(this.syncLogKey, entries, SYNC_LOG_MAX_LENGTH);
+      this.updateLogClock(ids);
+      await this.trimSyncLog();
+      await this.pruneExpiredRooms();
       this.metrics.messagesSent += batch.length;
       this.metrics.lastSuccessfulSync = Date.now();
 
       return true;
     } catch (error) {
       console.error(`[${this.serverId}] Batch processing failed:`, error.message);
+      // Resend once the connection is back, ahead of anything buffered since
+      this.outbox.unshift(...batch);
+      this.trimOutbox();
       this.handleConnectionFailure();
       return false;
     }
@@ -512,14 +1433,7 @@ class EnhancedRedisSyncManager {
    * Validate game state structure
    */
   isValidGameState(gameState) {
-    return (
-      gameState &&
-      Array.isArray(gameState.board) &&
-      gameState.board.length === 3 &&
-      typeof gameState.currentPlayer === 'string' &&
-      typeof gameState.gameStatus === 'string' &&
-      Array.isArray(gameState.players)
-    );
+    return this.validator.validateGameState(gameState) === null;
   }
 
   /**
@@ -528,37 +1442,603 @@ class EnhancedRedisSyncManager {
   handlePlayerJoinEnhanced(data) {
     if (data.gameState && this.isValidGameState(data.gameState)) {
       // Update local state from global state
-      this.gameInstance.updateState(data.gameState);
-      console.log(`[${this.serverId}] Player ${data.playerId} joined as ${data.playerSymbol} (from ${data.serverId})`);
+      if (!this.applyRemoteState(data)) return;
+      this.notifyRemoteUpdate(data);
+      console.log(`[${this.serverId}] Player ${data.playerId} joined room ${data.roomId} as ${data.playerSymbol} (from ${data.serverId})`);
     }
   }
 
   handlePlayerLeaveEnhanced(data) {
-    if (data.playerId) {
-      this.gameInstance.removePlayer(data.playerId);
+    const leave = (game) => {
+      game.removePlayer(data.playerId);
+      this.adoptReplayedState(game, data.gameState);
+    };
+    if (data.playerId && this.applyRemoteState(data, leave)) {
+      this.notifyRemoteUpdate(data);
     }
   }
 
   handleMoveSyncEnhanced(data) {
     if (data.gameState && this.isValidGameState(data.gameState)) {
-      this.gameInstance.updateState(data.gameState);
-      console.log(`[${this.serverId}] Move synchronized from ${data.serverId}`);
+      const game = this.getGameForMessage(data);
+      if (data.gameState.version > game.version + 1) {
+        // Changes before this move never reached this server, so the move cannot be checked here
+        console.warn(`[${this.serverId}] Move in room ${data.roomId} skips from v${game.version} to v${data.gameState.version}, catching up`);
+        this.catchUpRoom(data.roomId || DEFAULT_ROOM_ID, data.serverId);
+        return;
+      }
+
+      const problem = this.checkMoveLegality(data);
+      if (problem) {
+        this.rejectSyncMessage(data, problem);
+        return;
+      }
+      if (!this.applyRemoteState(data)) return;
+      this.notifyRemoteUpdate(data);
+      console.log(`[${this.serverId}] Move in room ${data.roomId} synchronized from ${data.serverId}`);
+    }
+  }
+
+  /**
+   * When the move directly follows this server's state of the room, check it
+   * was legal here: on the board, the mover's turn, an empty cell, and nothing
+   * else changed. Moves at or behind the local version are left to
+   * applyRemoteState and divergence detection.
+   * @returns {string|null} Why the move is illegal, or null
+   */
+  checkMoveLegality(data) {
+    const game = this.getGameForMessage(data);
+    if (data.gameState.version !== game.version + 1) return null;
+
+    const { row, col, playerId } = data.move;
+    const symbol = game.getPlayerSymbol(playerId);
+    if (!symbol) return `move by ${playerId}, who is not seated`;
+    if (game.gameStatus !== 'playing') return 'move while the game is not in progress';
+    if (symbol !== game.currentPlayer) return `move by ${symbol} out of turn`;
+    if (row >= game.boardSize || col >= game.boardSize) return `move (${row},${col}) is off the board`;
+    if (game.board[row][col] !== '') return `move to taken cell (${row},${col})`;
+
+    const expected = game.board.map(cells => [...cells]);
+    expected[row][col] = symbol;
+    if (JSON.stringify(expected) !== JSON.stringify(data.gameState.board)) {
+      return 'resulting board does not match the move';
     }
+    return null;
+  }
+
+  /**
+   * Adopt the committed state of a room this server fell behind on, or ask
+   * the sender for it when no committed state is available
+   * @param {string} roomId - Room ID
+   * @param {string} senderServerId - Server whose message showed the gap
+   */
+  async catchUpRoom(roomId, senderServerId) {
+    const stored = await this.getStoredGameState(roomId);
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) return;
+
+    if (!stored) {
+      this.requestSync(roomId, senderServerId);
+      return;
+    }
+    if (stored.version <= room.game.version) return;
+
+    room.game.updateState(stored.gameState);
+    room.game.version = stored.version;
+    this.notifyRemoteUpdate({ type: 'stateUpdate', roomId });
+    console.log(`[${this.serverId}] Room ${roomId} caught up to committed v${stored.version}`);
   }
 
   handleGameResetEnhanced(data) {
-    this.gameInstance.resetGame();
-    console.log(`[${this.serverId}] Game reset synchronized from ${data.serverId}`);
+    const reset = (game) => {
+      game.resetGame();
+      this.adoptReplayedState(game, data.gameState);
+    };
+    if (!this.applyRemoteState(data, reset)) return;
+    this.notifyRemoteUpdate(data);
+    console.log(`[${this.serverId}] Game reset in room ${data.roomId} synchronized from ${data.serverId}`);
+  }
+
+  handleSeatHoldSync(data) {
+    if (data.gameState && this.isValidGameState(data.gameState)) {
+      if (!this.applyRemoteState(data)) return;
+      this.notifyRemoteUpdate(data);
+      console.log(`[${this.serverId}] ${data.type} for ${data.playerId} in room ${data.roomId} synchronized from ${data.serverId}`);
+    }
+  }
+
+  handleTakebackSync(data) {
+    if (!data.gameState || !this.isValidGameState(data.gameState)) return;
+    if (!this.applyRemoteState(data, game => this.applyTakeback(game, data))) return;
+
+    this.notifyRemoteUpdate(data);
+    console.log(`[${this.serverId}] Takeback ${data.action} in room ${data.roomId} synchronized from ${data.serverId}`);
+  }
+
+  applyTakeback(game, data) {
+    if (data.action === 'accept') {
+      // Rewind with the same operation as the origin server, then confirm the result
+      let rewound = false;
+      try {
+        game.pendingTakeback = null;
+        game.rollbackTo(data.historyLength);
+        rewound = JSON.stringify(game.board) === JSON.stringify(data.gameState.board);
+        if (rewound) {
+          this.adoptReplayedState(game, data.gameState);
+        }
+      } catch (error) {
+        console.warn(`[${this.serverId}] Local rollback failed in room ${data.roomId}: ${error.message}`);
+      }
+
+      if (!rewound) {
+        console.warn(`[${this.serverId}] Rollback mismatch in room ${data.roomId}, adopting state from ${data.serverId}`);
+        game.updateState(data.gameState);
+      }
+    } else {
+      // Requests and declines only change pendingTakeback
+      game.updateState(data.gameState);
+    }
+  }
+
+  /**
+   * After replaying a sender's operation, take the parts of its resulting
+   * state a replay cannot reproduce: clock timing, which restarts at a
+   * different moment here, the series and the event stamp. Without them the
+   * room's fingerprint would differ from the sender's.
+   * @param {TicTacToeGame} game - Game the operation was replayed on
+   * @param {object} gameState - Sender's state after the operation, if sent
+   */
+  adoptReplayedState(game, gameState) {
+    if (!gameState) return;
+
+    game.clocks = gameState.clocks ? { ...gameState.clocks } : null;
+    game.turnStartedAt = gameState.turnStartedAt || null;
+    if (gameState.series) {
+      game.series = JSON.parse(JSON.stringify(gameState.series));
+      delete game.series.nextStarter;
+    }
+    game.lastEvent = gameState.lastEvent ? { ...gameState.lastEvent } : null;
+  }
+
+  handleTimeoutSync(data) {
+    if (data.gameState && this.isValidGameState(data.gameState)) {
+      if (!this.applyRemoteState(data)) return;
+      this.notifyRemoteUpdate(data);
+      console.log(`[${this.serverId}] Timeout for ${data.playerId} in room ${data.roomId} synchronized from ${data.serverId}`);
+    }
+  }
+
+  handleOfferSync(data) {
+    if (data.gameState && this.isValidGameState(data.gameState)) {
+      if (!this.applyRemoteState(data)) return;
+      this.notifyRemoteUpdate(data);
+      console.log(`[${this.serverId}] ${data.offer} offer ${data.action} by ${data.playerId} in room ${data.roomId} synchronized from ${data.serverId}`);
+    }
+  }
+
+  handleResignSync(data) {
+    if (data.gameState && this.isValidGameState(data.gameState)) {
+      if (!this.applyRemoteState(data)) return;
+      this.notifyRemoteUpdate(data);
+      console.log(`[${this.serverId}] ${data.playerId} resigned in room ${data.roomId} (synchronized from ${data.serverId})`);
+    }
+  }
+
+  handleMatchmakingSync(data) {
+    if (typeof this.onMatchmaking === 'function') {
+      this.onMatchmaking(data);
+    }
+  }
+
+  handleRoomCreated(data) {
+    if (!data.room) return;
+
+    this.roomManager.getOrCreateRoom(
+      data.roomId,
+      { boardSize: data.room.boardSize, winLength: data.room.winLength, timeControl: data.room.timeControl, bestOf: data.room.bestOf },
+      data.serverId
+    );
+    this.notifyRemoteUpdate(data);
+  }
+
+  handleRoomClosed(data) {
+    this.notifyRemoteUpdate(data);
+    this.roomManager.removeRoom(data.roomId);
   }
 
   handleHeartbeat(data) {
-    console.log(`[${this.serverId}] Heartbeat from ${data.serverId}:`, data.metrics);
+    const member = this.membership.recordHeartbeat(data);
+    // Replayed heartbeats describe rooms as they were long ago
+    if (!member || member.status !== 'alive' || !data.rooms) return;
+
+    Object.entries(data.rooms).forEach(([roomId, { version, fingerprint }]) => {
+      const room = this.roomManager.getRoom(roomId);
+      if (!room || room.game.version !== version || room.game.getFingerprint() === fingerprint) return;
+
+      this.reportDivergence(room, data.serverId, fingerprint);
+      this.requestSync(roomId, data.serverId);
+    });
+  }
+
+  /**
+   * Check a synced snapshot against this server's state of the room at the
+   * same version. A mismatch is resolved by anti-entropy instead of applying
+   * the message.
+   * @param {object} data - Sync message
+   * @returns {boolean} True if the room had diverged
+   */
+  detectDivergence(data) {
+    if (!data.fingerprint || !data.gameState || data.type.startsWith('sync_')) return false;
+
+    const room = this.roomManager.getRoom(data.roomId || DEFAULT_ROOM_ID);
+    if (!room || room.game.version !== data.gameState.version) return false;
+    if (room.game.getFingerprint() === data.fingerprint) return false;
+
+    this.reportDivergence(room, data.serverId, data.fingerprint);
+    this.resolveDivergence(room, data.gameState, data.serverId);
+    return true;
+  }
+
+  reportDivergence(room, peerServerId, peerFingerprint) {
+    this.metrics.divergences++;
+    console.warn(`[${this.serverId}] Room ${room.roomId} diverged from ${peerServerId} at v${room.game.version} (local ${room.game.getFingerprint()}, remote ${peerFingerprint})`);
+  }
+
+  /**
+   * Ask a peer for its state of a room
+   */
+  async requestSync(roomId, targetServerId) {
+    const lastRequest = this.repairRequests.get(roomId);
+    if (lastRequest && Date.now() - lastRequest < REPAIR_REQUEST_INTERVAL_MS) return false;
+    this.repairRequests.set(roomId, Date.now());
+
+    const message = {
+      type: 'sync_request',
+      serverId: this.serverId,
+      targetServerId: targetServerId,
+      roomId: roomId,
+      timestamp: Date.now()
+    };
+
+    return this.queueMessage(message);
+  }
+
+  /**
+   * Send this server's state of a room to the peer that asked for it
+   */
+  async handleSyncRequest(data) {
+    if (data.targetServerId !== this.serverId) return;
+
+    const room = this.roomManager.getRoom(data.roomId);
+    if (!room) return;
+
+    const response = {
+      type: 'sync_response',
+      serverId: this.serverId,
+      targetServerId: data.serverId,
+      roomId: data.roomId,
+      gameState: room.game.getGameState(),
+      timestamp: Date.now()
+    };
+
+    await this.queueMessage(response);
+    console.log(`[${this.serverId}] Sent state of room ${data.roomId} to ${data.serverId}`);
+  }
+
+  handleSyncResponse(data) {
+    if (data.targetServerId !== this.serverId) return;
+    this.repairRequests.delete(data.roomId);
+
+    const room = this.roomManager.getRoom(data.roomId);
+    if (!room || !this.isValidGameState(data.gameState)) return;
+    if (room.game.getFingerprint() === TicTacToeGame.fingerprint(data.gameState)) return;
+
+    this.resolveDivergence(room, data.gameState, data.serverId);
+  }
+
+  /**
+   * Pick the authoritative state of a diverged room, adopt it here and send it
+   * to the peer if the peer differs. The committed state in the store wins;
+   * without one the later event wins (see compareEvents).
+   * @param {object} room - Diverged room
+   * @param {object} peerState - The peer's state of the room
+   * @param {string} peerServerId - Peer holding peerState
+   */
+  async resolveDivergence(room, peerState, peerServerId) {
+    try {
+      const localState = room.game.getGameState();
+      const stored = await this.getStoredGameState(room.roomId);
+
+      let authoritative;
+      if (stored) {
+        authoritative = { ...stored.gameState, version: stored.version };
+        this.recordConflict(room.roomId, `local v${localState.version} vs ${peerServerId} v${peerState.version}: committed v${stored.version} wins`);
+      } else {
+        const winner = this.resolveConflict(room.roomId, localState, peerState, peerServerId);
+        authoritative = winner === 'local' ? localState : peerState;
+      }
+
+      const fingerprint = TicTacToeGame.fingerprint(authoritative);
+      if (fingerprint !== room.game.getFingerprint()) {
+        this.repairRoom(room, authoritative, stored ? 'the committed state' : peerServerId);
+      }
+
+      if (fingerprint !== TicTacToeGame.fingerprint(peerState)) {
+        await this.queueMessage({
+          type: 'sync_repair',
+          serverId: this.serverId,
+          targetServerId: peerServerId,
+          roomId: room.roomId,
+          gameState: authoritative,
+          timestamp: Date.now()
+        });
+      }
+    } catch (error) {
+      console.error(`[${this.serverId}] Failed to resolve divergence in room ${room.roomId}:`, error.message);
+      this.metrics.errors++;
+    }
+  }
+
+  /**
+   * Adopt the authoritative state sent by the peer that resolved a divergence
+   */
+  handleSyncRepair(data) {
+    if (data.targetServerId !== this.serverId) return;
+
+    const room = this.roomManager.getRoom(data.roomId);
+    if (!room || !this.isValidGameState(data.gameState)) return;
+    if (room.game.getFingerprint() === TicTacToeGame.fingerprint(data.gameState)) return;
+
+    this.repairRoom(room, data.gameState, data.serverId);
+  }
+
+  /**
+   * Overwrite a room's state, even with an older version, and tell its clients
+   */
+  repairRoom(room, gameState, source) {
+    room.game.updateState(gameState);
+    room.game.version = gameState.version;
+    this.metrics.repairs++;
+    console.warn(`[${this.serverId}] Repaired room ${room.roomId} from ${source} (now v${room.game.version})`);
+    this.notifyRemoteUpdate({ type: 'stateUpdate', roomId: room.roomId, gameState: room.game.getGameState() });
+  }
+
+  /**
+   * Get the server that owns a room. A server without the sync transport
+   * owns every room until it reconnects.
+   * @param {string} roomId - Room ID
+   * @returns {string} Owning server ID
+   */
+  getRoomOwner(roomId) {
+    if (!this.isConnected) return this.serverId;
+    return this.ring.getNode(roomId) || this.serverId;
+  }
+
+  isRoomOwner(roomId) {
+    return this.getRoomOwner(roomId) === this.serverId;
+  }
+
+  /**
+   * Rebuild the ring from the live servers. Rooms this server gains are handed
+   * to onOwnershipChange, and actions waiting on a departed owner are re-sent
+   * to the room's new owner.
+   */
+  updateOwnership() {
+    const roomIds = Array.from(this.roomManager.rooms.keys());
+    const previousOwners = new Map(roomIds.map(roomId => [roomId, this.ring.getNode(roomId)]));
+
+    const liveServerIds = this.membership.getLiveServerIds()
+      .filter(serverId => !this.isDraining || serverId !== this.serverId);
+    if (!this.ring.setNodes(liveServerIds)) return;
+
+    const gained = roomIds.filter(roomId =>
+      previousOwners.get(roomId) !== this.serverId && this.ring.getNode(roomId) === this.serverId);
+    console.log(`[${this.serverId}] Ownership ring now has ${liveServerIds.length} servers, took over ${gained.length} rooms`);
+
+    this.pendingActions.forEach((pending, requestId) => {
+      const ownerId = this.getRoomOwner(pending.roomId);
+      if (ownerId === pending.ownerId || liveServerIds.includes(pending.ownerId)) return;
+
+      console.warn(`[${this.serverId}] Owner ${pending.ownerId} of room ${pending.roomId} is gone, re-sending ${pending.action.kind} to ${ownerId}`);
+      pending.ownerId = ownerId;
+      this.sendRoomAction(requestId, pending);
+    });
+
+    if (gained.length > 0 && typeof this.onOwnershipChange === 'function') {
+      this.onOwnershipChange(gained);
+    }
+  }
+
+  /**
+   * Hand this server's rooms to its peers before shutting down: leave the
+   * ownership ring and tell peers this server is leaving. Actions from the
+   * clients still here are forwarded to the new owners.
+   */
+  async startDraining() {
+    this.isDraining = true;
+    this.updateOwnership();
+    await this.publishHeartbeat(true);
+  }
+
+  /**
+   * Ask the owner of a room to apply an action for one of this server's clients
+   * @param {string} roomId - Room ID
+   * @param {object} action - { kind, playerId, ... }, see onRoomAction
+   * @returns {Promise<object>} The owner's result, or a failure if it did not answer in time
+   */
+  forwardRoomAction(roomId, action) {
+    const requestId = uuidv4();
+
+    return new Promise((resolve) => {
+      const pending = {
+        roomId, ownerId: this.getRoomOwner(roomId), action, resolve, timer: null,
+        giveUpAt: Date.now() + ROOM_ACTION_TIMEOUT_MS
+      };
+      pending.timer = setTimeout(() => {
+        this.pendingActions.delete(requestId);
+        console.warn(`[${this.serverId}] No answer from ${pending.ownerId} to ${action.kind} in room ${roomId}`);
+        resolve({ success: false, code: ERROR_CODES.OWNER_UNAVAILABLE, message: 'The server running this game did not answer, please try again' });
+      }, ROOM_ACTION_TIMEOUT_MS);
+
+      this.pendingActions.set(requestId, pending);
+      this.metrics.forwardedActions++;
+      this.sendRoomAction(requestId, pending);
+    });
+  }
+
+  async sendRoomAction(requestId, pending) {
+    // The room moved to this server while the action was waiting
+    if (pending.ownerId === this.serverId) {
+      const result = await this.runRoomAction(pending.roomId, pending.action);
+      this.settleRoomAction(requestId, result);
+      return;
+    }
+
+    await this.queueMessage({
+      type: 'roomAction',
+      serverId: this.serverId,
+      targetServerId: pending.ownerId,
+      roomId: pending.roomId,
+      requestId: requestId,
+      action: pending.action,
+      // How long after sentAt the sender still waits for the answer; a duration,
+      // so it holds whatever the owner's clock says
+      ttlMs: Math.max(0, pending.giveUpAt - Date.now()),
+      timestamp: Date.now()
+    });
+  }
+
+  async runRoomAction(roomId, action) {
+    try {
+      return await this.onRoomAction(roomId, action);
+    } catch (error) {
+      console.error(`[${this.serverId}] Room action ${action.kind} failed in room ${roomId}:`, error.message);
+      this.metrics.errors++;
+      return { success: false, code: ERROR_CODES.INTERNAL_ERROR, message: 'Failed to apply the action' };
+    }
+  }
+
+  /**
+   * Apply a room action forwarded by another server and send back the result
+   */
+  async handleRoomAction(data) {
+    if (data.targetServerId !== this.serverId || typeof this.onRoomAction !== 'function') return;
+    // The sender has given up on actions this old, e.g. ones replayed after a restart.
+    // sentAt and getLogTime both read the sync log's clock.
+    if (this.getLogTime() - data.sentAt > data.ttlMs) return;
+
+    this.metrics.ownedActions++;
+    const result = await this.runRoomAction(data.roomId, data.action);
+
+    await this.queueMessage({
+      type: 'roomActionResult',
+      serverId: this.serverId,
+      targetServerId: data.serverId,
+      roomId: data.roomId,
+      requestId: data.requestId,
+      // Results travel as JSON, so drop anything that would not survive it
+      result: JSON.parse(JSON.stringify(result)),
+      timestamp: Date.now()
+    });
+  }
+
+  handleRoomActionResult(data) {
+    if (data.targetServerId !== this.serverId) return;
+
+    // The owner's sync event for the change can arrive after its answer
+    if (data.result.gameState) {
+      this.applyRemoteState({ ...data, gameState: data.result.gameState });
+    }
+    this.settleRoomAction(data.requestId, data.result);
+  }
+
+  settleRoomAction(requestId, result) {
+    const pending = this.pendingActions.get(requestId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingActions.delete(requestId);
+    pending.resolve(result);
+  }
+
+  /**
+   * Advance the Lamport clock for a local event
+   * @returns {number} The event's clock
+   */
+  tick() {
+    this.logicalClock++;
+    return this.logicalClock;
+  }
+
+  /**
+   * Move the Lamport clock past a received event's clock
+   */
+  observeClock(clock) {
+    this.logicalClock = Math.max(this.logicalClock, clock) + 1;
+  }
+
+  /**
+   * Record the logical time and origin of a change about to be committed
+   * @param {TicTacToeGame} game - Changed game
+   */
+  stampEvent(game) {
+    game.lastEvent = { clock: this.tick(), serverId: this.serverId };
+  }
+
+  /**
+   * Order two states of a room by the event that produced them: higher version,
+   * then higher Lamport clock, then lower server ID. Every server orders the
+   * same pair the same way.
+   * @returns {number} Positive if a is later, negative if b is, 0 if identical
+   */
+  compareEvents(a, b) {
+    if (a.version !== b.version) return a.version - b.version;
+
+    const eventA = a.lastEvent || { clock: 0, serverId: '' };
+    const eventB = b.lastEvent || { clock: 0, serverId: '' };
+    if (eventA.clock !== eventB.clock) return eventA.clock - eventB.clock;
+    return eventB.serverId.localeCompare(eventA.serverId);
+  }
+
+  /**
+   * Decide between this server's state of a room and a concurrent one, and log why
+   * @returns {string} 'local' or 'remote'
+   */
+  resolveConflict(roomId, localState, remoteState, remoteName) {
+    const describe = state => {
+      const event = state.lastEvent ? `clock ${state.lastEvent.clock} from ${state.lastEvent.serverId}` : 'no clock';
+      return `v${state.version}, ${event}`;
+    };
+    const winner = this.compareEvents(localState, remoteState) >= 0 ? 'local' : 'remote';
+
+    this.recordConflict(roomId, `local (${describe(localState)}) vs ${remoteName} (${describe(remoteState)}): ${winner === 'local' ? 'local' : remoteName} wins`);
+    return winner;
+  }
+
+  recordConflict(roomId, decision) {
+    this.metrics.conflicts++;
+    this.conflictLog.push({ roomId, decision, clock: this.logicalClock, at: Date.now() });
+    if (this.conflictLog.length > CONFLICT_LOG_SIZE) this.conflictLog.shift();
+    console.warn(`[${this.serverId}] Conflict in room ${roomId}: ${decision}`);
+  }
+
+  /**
+   * Version and fingerprint of every room, sent with heartbeats
+   * @returns {object} roomId -> { version, fingerprint }
+   */
+  getRoomFingerprints() {
+    const fingerprints = {};
+    this.roomManager.rooms.forEach((room, roomId) => {
+      fingerprints[roomId] = { version: room.game.version, fingerprint: room.game.getFingerprint() };
+    });
+    return fingerprints;
   }
 
   handleStateUpdateEnhanced(data) {
     if (data.gameState && this.isValidGameState(data.gameState)) {
-      this.gameInstance.updateState(data.gameState);
-      console.log(`[${this.serverId}] State updated from ${data.serverId}`);
+      if (!this.applyRemoteState(data)) return;
+      this.notifyRemoteUpdate(data);
+      console.log(`[${this.serverId}] State of room ${data.roomId} updated from ${data.serverId}`);
     }
   }
 
@@ -578,6 +2058,12 @@ class EnhancedRedisSyncManager {
       isConnected: this.isConnected,
       circuitBreakerState: this.circuitBreaker.state,
       queueSize: this.messageQueue.length,
+      outboxSize: this.outbox.length,
+      syncLogOffset: this.lastAppliedId,
+      logicalClock: this.logicalClock,
+      recentConflicts: this.conflictLog.slice(-10),
+      liveServers: this.membership.getLiveServerIds().length,
+      pendingActions: this.pendingActions.size,
       reconnectAttempts: this.reconnectAttempts
     };
   }
@@ -589,10 +2075,24 @@ class EnhancedRedisSyncManager {
     console.log(`[${this.serverId}] Starting enhanced Redis cleanup...`);
     
     try {
-      // Clear timers
+      // Clear timers and stop reading the sync log
       if (this.batchTimer) {
         clearTimeout(this.batchTimer);
       }
+      if (this.heartbeatTimer) {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+      }
+      this.recoveryEnabled = false;
+      if (this.recoveryTimer) {
+        clearTimeout(this.recoveryTimer);
+        this.recoveryTimer = null;
+      }
+      this.isReadingLog = false;
+      this.pendingActions.forEach(pending => clearTimeout(pending.timer));
+
+      // Tell peers we are leaving rather than letting them time us out
+      await this.publishHeartbeat(true);
 
       // Process remaining messages
       if (this.messageQueue.length > 0) {
@@ -600,29 +2100,12 @@ class EnhancedRedisSyncManager {
         await this.processBatch();
       }
 
-      // Disconnect clients with timeout
-      const disconnectPromises = [];
-      
-      if (this.subscriber) {
-        disconnectPromises.push(
-          Promise.race([
-            this.subscriber.unsubscribe(this.channelName).then(() => this.subscriber.disconnect()),
-            this.sleep(5000) // 5 second timeout
-          ])
-        );
-      }
-      
-      if (this.publisher) {
-        disconnectPromises.push(
-          Promise.race([
-            this.publisher.disconnect(),
-            this.sleep(5000) // 5 second timeout
-          ])
-        );
-      }
+      // Disconnect the transport with timeout
+      await Promise.race([
+        this.transport.disconnect(),
+        this.sleep(5000) // 5 second timeout
+      ]);
 
-      await Promise.all(disconnectPromises);
-      
       console.log(`[${this.serverId}] Enhanced Redis cleanup completed`);
     } catch (error) {
       console.error(`[${this.serverId}] Error during enhanced cleanup:`, error.message);
@@ -4,20 +4,104 @@
  * Human Refinements: Production-grade optimizations and monitoring
  */
 
+const http = require('http');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
-const TicTacToeGame = require('./gameLogic');
+const GameRoomManager = require('./roomManager');
 const EnhancedRedisSyncManager = require('./enhancedRedisSync');
+const { createSyncTransport } = require('./syncTransport');
+const AIPlayer = require('./aiPlayer');
+const AdminServer = require('./adminServer');
+const RateLimiter = require('./rateLimiter');
+const Matchmaker = require('./matchmaker');
+const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  ERROR_CODES,
+  PLAYER_ID_PREFIXES,
+  negotiateVersion,
+  validateClientMessage
+} = require('./clientProtocol');
+
+const { DEFAULT_ROOM_ID } = GameRoomManager;
+
+// Pause before the bot answers so its move is readable in the CLI
+const BOT_MOVE_DELAY = 500;
+
+// The server owning this key on the hash ring pairs the cluster's queued players
+const MATCHMAKING_KEY = 'matchmaking';
+
+// How long a dropped player's seat is held before they forfeit
+const DEFAULT_RECONNECT_GRACE_MS = 30000;
+
+// Times a change that lost a race with another server is re-run on the fresh state
+const MAX_COMMIT_ATTEMPTS = 3;
+
+// How long a draining server waits for its clients to move to a peer before exiting
+const DEFAULT_DRAIN_TIMEOUT_MS = 30000;
+
+// Client messages that answer the opponent's draw or reset offer
+const OFFER_RESPONSES = {
+  acceptDraw: { offer: 'draw', accept: true },
+  declineDraw: { offer: 'draw', accept: false },
+  acceptReset: { offer: 'reset', accept: true },
+  declineReset: { offer: 'reset', accept: false },
+  declineRematch: { offer: 'rematch', accept: false }
+};
 
 class EnhancedTicTacToeServer {
-  constructor(port) {
+  /**
+   * @param {number} port - WebSocket port
+   * @param {object} gameOptions - Game config for the default room (boardSize, winLength, timeControl, bestOf)
+   * @param {object} serverOptions - Server behaviour (serverId, publicUrl, reconnectGraceMs,
+   *   drainTimeoutMs, adminPort, adminToken, rateLimits: overrides for RateLimiter.DEFAULT_LIMITS,
+   *   matchmaking: overrides for Matchmaker.DEFAULT_OPTIONS, syncTransport: a transport
+   *   name or instance, syncSecret)
+   */
+  constructor(port, gameOptions = {}, serverOptions = {}) {
     this.port = port;
-    this.serverId = `server-${port}`;
+    // IDs must be unique across the cluster; the port alone only is on one host
+    this.serverId = serverOptions.serverId || `server-${port}`;
+    // Address peers hand to clients looking for another server
+    this.publicUrl = serverOptions.publicUrl || `ws://localhost:${port}`;
     this.wss = null;
-    this.game = new TicTacToeGame();
+    this.httpServer = null;
+    // Admin endpoints share the WebSocket port unless given their own
+    this.adminPort = serverOptions.adminPort || null;
+    this.admin = new AdminServer(this, { token: serverOptions.adminToken });
+    this.rooms = new GameRoomManager(this.serverId, gameOptions);
+    this.rooms.getOrCreateRoom(DEFAULT_ROOM_ID);
     this.clients = new Map();
     this.playerClients = new Map();
-    this.syncManager = new EnhancedRedisSyncManager(this.serverId, this.game);
+    this.bots = new Map(); // roomId -> { playerId, ai, moveTimer }
+    this.heldSeats = new Map(); // playerId -> { roomId, resumeToken, timer }
+    this.clockTimers = new Map(); // roomId -> timeout for the running clock
+    this.roomLocks = new Map(); // roomId -> tail of the room's pending commits
+    this.matchTickets = new Map(); // playerId -> { ticket, ws, clientInfo } for players queued here
+    this.reconnectGraceMs = serverOptions.reconnectGraceMs !== undefined
+      ? serverOptions.reconnectGraceMs
+      : DEFAULT_RECONNECT_GRACE_MS;
+    this.drainTimeoutMs = serverOptions.drainTimeoutMs || DEFAULT_DRAIN_TIMEOUT_MS;
+    this.isDraining = false;
+    const transport = typeof serverOptions.syncTransport === 'object'
+      ? serverOptions.syncTransport
+      : createSyncTransport(serverOptions.syncTransport);
+    this.syncManager = new EnhancedRedisSyncManager(this.serverId, this.rooms, transport, {
+      syncSecret: serverOptions.syncSecret
+    });
+    this.syncManager.onRemoteUpdate = (roomId, data) => this.handleRemoteUpdate(roomId, data);
+    this.syncManager.onRoomAction = (roomId, action) => this.handleForwardedAction(roomId, action);
+    this.syncManager.onOwnershipChange = roomIds => this.takeOverRooms(roomIds);
+    this.syncManager.onMatchmaking = data => this.handleMatchmakingEvent(data);
+    this.syncManager.getLocalStatus = () => ({
+      url: this.publicUrl,
+      load: this.getBasicMetrics(),
+      metrics: {
+        messagesProcessed: this.metrics.messagesProcessed,
+        errorsHandled: this.metrics.errorsHandled,
+        uptime: Date.now() - this.startTime
+      }
+    });
     
     // Performance & Monitoring
     this.metrics = {
@@ -27,15 +111,23 @@ class EnhancedTicTacToeServer {
       avgResponseTime: 0,
       lastActivity: Date.now()
     };
+    this.startTime = Date.now();
     
     // Rate limiting & throttling
-    this.rateLimiter = new Map(); // clientId -> { count, lastReset }
+    this.rateLimiter = new RateLimiter(serverOptions.rateLimits);
     this.messageQueue = [];
     this.isProcessingQueue = false;
     
     // Health monitoring
     this.healthCheckInterval = null;
     this.startHealthMonitoring();
+
+    // Matchmaking
+    this.matchmaker = new Matchmaker(serverOptions.matchmaking);
+    this.matchmakingInterval = null;
+    this.isMatching = false;
+    this.matchesMade = 0;
+    this.startMatchmaking();
     
     console.log(`[${this.serverId}] Enhanced server initializing with performance optimizations`);
   }
@@ -47,14 +139,27 @@ class EnhancedTicTacToeServer {
     try {
       // Initialize Redis with retry logic
       const redisConnected = await this.initializeRedisWithRetry();
-      if (!redisConnected) {
+      if (redisConnected) {
+        await this.restoreGames();
+      } else {
         console.warn(`[${this.serverId}] Starting in standalone mode (Redis unavailable)`);
       }
+      // Reconnect in the background whenever Redis is or becomes unavailable
+      this.syncManager.startRecoverySupervisor();
+
+      // Plain HTTP requests on the game port reach the admin endpoints
+      this.httpServer = http.createServer((req, res) => {
+        if (this.adminPort) {
+          res.writeHead(426, { 'Content-Type': 'text/plain' });
+          res.end('WebSocket connections only');
+          return;
+        }
+        this.admin.handleRequest(req, res);
+      });
 
       // Create WebSocket server with performance options
       this.wss = new WebSocket.Server({ 
-        port: this.port,
-        host: '0.0.0.0', // Bind to all interfaces for Docker
+        server: this.httpServer,
         perMessageDeflate: {
           threshold: 1024,
           concurrencyLimit: 10,
@@ -75,14 +180,23 @@ class EnhancedTicTacToeServer {
         this.metrics.errorsHandled++;
       });
 
-      // Graceful shutdown handling
+      await new Promise((resolve, reject) => {
+        this.httpServer.once('error', reject);
+        this.httpServer.listen(this.port, '0.0.0.0', resolve); // All interfaces for Docker
+      });
+      if (this.adminPort) {
+        await this.admin.listen(this.adminPort);
+      }
+
+      // Deploys stop servers with SIGTERM, so move players to a peer first
       process.on('SIGINT', () => this.gracefulShutdown());
-      process.on('SIGTERM', () => this.gracefulShutdown());
+      process.on('SIGTERM', () => this.drain());
       process.on('uncaughtException', (error) => this.handleUncaughtException(error));
       process.on('unhandledRejection', (reason) => this.handleUnhandledRejection(reason));
 
       console.log(`[${this.serverId}] Enhanced server started on port ${this.port}`);
       console.log(`[${this.serverId}] Performance features: rate limiting, message queuing, health monitoring`);
+      console.log(`[${this.serverId}] Admin endpoints (/health, /ready, /metrics, /games, /clients, /cluster) on port ${this.adminPort || this.port}`);
 
     } catch (error) {
       console.error(`[${this.serverId}] Failed to start enhanced server:`, error.message);
@@ -111,15 +225,51 @@ class EnhancedTicTacToeServer {
     return false;
   }
 
+  /**
+   * Reload every known room from its persisted state, so players coming back
+   * with their resume token continue where they left off after a restart.
+   * Seats held when the cluster last saw them are watched in the rooms this
+   * server owns.
+   */
+  async restoreGames() {
+    let restored = 0;
+    for (const room of this.rooms.rooms.values()) {
+      try {
+        await this.catchUpRoom(room);
+      } catch (error) {
+        console.error(`[${this.serverId}] Failed to restore room ${room.roomId}:`, error.message);
+        continue;
+      }
+
+      if (room.game.gameStatus === 'finished' || room.game.isEmpty()) continue;
+      restored++;
+      if (this.syncManager.isRoomOwner(room.roomId)) {
+        this.watchHeldSeats(room);
+      }
+    }
+
+    console.log(`[${this.serverId}] Restored ${restored} unfinished games from persisted state`);
+  }
+
   /**
    * Handle new connection with rate limiting and validation
    */
   handleNewConnectionWithRateLimit(ws, req) {
     const clientIp = req.socket.remoteAddress;
     const clientId = uuidv4();
+
+    // A draining server sends newcomers straight to a peer
+    if (this.isDraining) {
+      const url = this.getRedirectUrl(null);
+      if (url) {
+        this.sendMessage(ws, { type: 'redirect', url: url, message: 'Server is shutting down' });
+      }
+      ws.close(1012, 'Server draining');
+      return;
+    }
     
     // IP-based rate limiting
-    if (this.isRateLimited(clientIp)) {
+    if (!this.rateLimiter.allowConnection(clientIp)) {
       console.warn(`[${this.serverId}] Rate limited connection from ${clientIp}`);
       ws.close(1008, 'Rate limited');
       return;
@@ -132,9 +282,21 @@ class EnhancedTicTacToeServer {
       return;
     }
 
+    const requestedVersion = new URL(req.url, 'http://localhost').searchParams.get('protocolVersion');
+    const protocolVersion = negotiateVersion(requestedVersion);
+    if (!protocolVersion) {
+      this.sendError(ws, ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION,
+        `Protocol version ${requestedVersion} is not supported. Use ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}`);
+      ws.close(1002, 'Unsupported protocol version');
+      return;
+    }
+
     const clientInfo = {
       id: clientId,
       playerId: null,
+      roomId: null,
+      resumeToken: null,
+      protocolVersion: protocolVersion,
       ip: clientIp,
       connectedAt: Date.now(),
       lastActivity: Date.now(),
@@ -173,43 +335,19 @@ class EnhancedTicTacToeServer {
       type: 'connected',
       serverId: this.serverId,
       clientId: clientId,
+      protocolVersion: protocolVersion,
+      protocolVersions: { min: MIN_PROTOCOL_VERSION, max: PROTOCOL_VERSION },
       serverCapabilities: {
         rateLimiting: true,
         healthMonitoring: true,
         messageQueuing: true,
         compressionEnabled: true
       },
+      servers: this.getClusterUrls(),
       message: 'Connected to enhanced Tic-Tac-Toe server'
     });
 
-    this.sendGameState(ws);
-  }
-
-  /**
-   * Check if IP is rate limited
-   */
-  isRateLimited(ip) {
-    const now = Date.now();
-    const limit = this.rateLimiter.get(ip);
-    
-    if (!limit) {
-      this.rateLimiter.set(ip, { count: 1, lastReset: now });
-      return false;
-    }
-
-    // Reset counter every minute
-    if (now - limit.lastReset > 60000) {
-      this.rateLimiter.set(ip, { count: 1, lastReset: now });
-      return false;
-    }
-
-    // Allow max 30 connections per minute per IP
-    if (limit.count >= 30) {
-      return true;
-    }
-
-    limit.count++;
-    return false;
+    this.sendRoomList(ws);
   }
 
   /**
@@ -224,20 +362,25 @@ class EnhancedTicTacToeServer {
     try {
       // Message size validation
       if (rawMessage.length > 16 * 1024) {
-        this.sendError(ws, 'Message too large');
+        this.sendError(ws, ERROR_CODES.MESSAGE_TOO_LARGE, 'Message too large');
         return;
       }
 
-      // Rate limiting per client
       clientInfo.messageCount++;
-      if (clientInfo.messageCount > 100) { // Max 100 messages per connection
-        this.sendError(ws, 'Message rate exceeded');
-        ws.close(1008, 'Rate limited');
-        return;
+      clientInfo.lastActivity = Date.now();
+
+      let message;
+      try {
+        message = JSON.parse(rawMessage.toString());
+      } catch (error) {
+        // Unparseable messages still count against the rate limits
       }
 
-      const message = JSON.parse(rawMessage.toString());
-      clientInfo.lastActivity = Date.now();
+      if (!this.checkMessageRate(ws, clientInfo, message)) return;
+      if (message === undefined) {
+        this.sendError(ws, ERROR_CODES.INVALID_JSON, 'Invalid message format');
+        return;
+      }
 
       // Add to message queue for processing
       this.queueMessage(ws, message, clientInfo);
@@ -249,8 +392,30 @@ class EnhancedTicTacToeServer {
     } catch (error) {
       console.error(`[${this.serverId}] Message processing error:`, error.message);
       this.metrics.errorsHandled++;
-      this.sendError(ws, 'Invalid message format');
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to process message');
+    }
+  }
+
+  /**
+   * Apply the rate limits to one message. Over the limit it is answered with
+   * a retry-after error; a connection that keeps going is closed.
+   * @returns {boolean} True if the message may be processed
+   */
+  checkMessageRate(ws, clientInfo, message) {
+    const fields = message && typeof message === 'object' ? message : {};
+    const result = this.rateLimiter.allowMessage(clientInfo.id, clientInfo.ip, fields.type);
+    if (result.allowed) return true;
+
+    this.sendError(ws, ERROR_CODES.RATE_LIMITED,
+      `Too many messages, retry in ${Math.ceil(result.retryAfterMs / 1000)}s`,
+      { id: fields.requestId },
+      { retryAfterMs: result.retryAfterMs, limit: result.scope });
+
+    if (result.abusive) {
+      console.warn(`[${this.serverId}] Closing ${clientInfo.id} from ${clientInfo.ip} for sustained rate limit abuse`);
+      ws.close(1008, 'Rate limited');
     }
+    return false;
   }
 
   /**
@@ -293,297 +458,2007 @@ class EnhancedTicTacToeServer {
   }
 
   /**
-   * Process individual message
+   * Process individual message. Replies and errors go through the request so
+   * they echo its requestId; protocol version 2 acks requests nothing answered.
    */
   async processMessage(ws, message, clientInfo) {
+    const request = { id: message ? message.requestId : undefined, answered: false };
+
+    const problem = validateClientMessage(message, clientInfo.protocolVersion);
+    if (problem) {
+      this.sendError(ws, problem.code, problem.message, request);
+      return;
+    }
+
     console.log(`[${this.serverId}] Processing ${message.type} from ${clientInfo.id}`);
 
     switch (message.type) {
+      case 'createRoom':
+        await this.handleCreateRoom(ws, message, clientInfo, request);
+        break;
+      case 'listRooms':
+        this.sendRoomList(ws, request);
+        break;
       case 'join':
-        await this.handlePlayerJoinEnhanced(ws, message, clientInfo);
+        await this.handlePlayerJoinEnhanced(ws, message, clientInfo, request);
+        break;
+      case 'resume':
+        await this.handleResume(ws, message, clientInfo, request);
+        break;
+      case 'leaveRoom':
+        await this.handleLeaveRoom(ws, message, clientInfo, request);
         break;
       case 'move':
-        await this.handlePlayerMoveEnhanced(ws, message, clientInfo);
+        await this.handlePlayerMoveEnhanced(ws, message, clientInfo, request);
         break;
       case 'reset':
-        await this.handleGameResetEnhanced(ws, message, clientInfo);
+        await this.handleGameResetEnhanced(ws, message, clientInfo, request);
+        break;
+      case 'requestTakeback':
+        await this.handleTakebackRequest(ws, message, clientInfo, request);
+        break;
+      case 'respondTakeback':
+        await this.handleTakebackResponse(ws, message, clientInfo, request);
+        break;
+      case 'offerDraw':
+        await this.handleDrawOffer(ws, message, clientInfo, request);
+        break;
+      case 'acceptDraw':
+      case 'declineDraw':
+      case 'acceptReset':
+      case 'declineReset':
+      case 'declineRematch':
+        await this.handleOfferResponse(ws, message, clientInfo, request);
+        break;
+      case 'rematch':
+        await this.handleRematch(ws, message, clientInfo, request);
+        break;
+      case 'resign':
+        await this.handleResign(ws, message, clientInfo, request);
+        break;
+      case 'findMatch':
+        await this.handleFindMatch(ws, message, clientInfo, request);
+        break;
+      case 'cancelMatch':
+        await this.handleCancelMatch(ws, message, clientInfo, request);
         break;
       case 'ping':
-        this.sendMessage(ws, { type: 'pong', timestamp: Date.now() });
+        this.sendReply(ws, request, { type: 'pong', timestamp: Date.now() });
         break;
       case 'getStats':
-        this.sendMessage(ws, { type: 'stats', ...this.getDetailedStats() });
+        this.sendReply(ws, request, { type: 'stats', ...this.getDetailedStats() });
         break;
-      default:
-        this.sendError(ws, `Unknown message type: ${message.type}`);
+    }
+
+    if (clientInfo.protocolVersion >= 2 && !request.answered) {
+      this.sendReply(ws, request, { type: 'ack', requestType: message.type });
     }
   }
 
   /**
-   * Enhanced player join with cross-server sync
+   * Create a new room and announce it to the cluster
    */
-  async handlePlayerJoinEnhanced(ws, message, clientInfo) {
+  async handleCreateRoom(ws, message, clientInfo, request) {
+    let room;
     try {
-      const playerId = message.playerId || `player-${clientInfo.id}`;
-      
-      // Get current global state
-      const syncResult = await this.syncManager.requestGameSync();
-      const globalPlayerCount = syncResult.playerCount || 0;
-      
-      console.log(`[${this.serverId}] Global player count: ${globalPlayerCount}`);
-      
-      const result = this.game.addPlayer(playerId, globalPlayerCount);
-      
-      if (result.success) {
-        clientInfo.playerId = playerId;
-        this.playerClients.set(playerId, ws);
-
-        this.sendMessage(ws, {
-          type: 'joined',
-          playerId: playerId,
-          playerSymbol: result.playerSymbol,
-          message: result.message,
-          gameState: this.game.getGameState()
-        });
+      room = this.rooms.createRoom({
+        boardSize: message.boardSize,
+        winLength: message.winLength,
+        timeControl: message.timeControl,
+        bestOf: message.bestOf
+      });
+    } catch (error) {
+      this.sendError(ws, ERROR_CODES.INVALID_ROOM_OPTIONS, error.message, request);
+      return;
+    }
 
-        this.broadcastGameState();
-        await this.syncManager.publishPlayerJoin(playerId, this.game.getGameState(), result.playerSymbol);
+    try {
+      const summary = this.rooms.getRoomSummary(room);
+      this.sendReply(ws, request, { type: 'roomCreated', roomId: room.roomId, room: summary });
+      await this.syncManager.publishRoomCreated(summary);
 
-        console.log(`[${this.serverId}] Player ${playerId} joined as ${result.playerSymbol} (global count: ${result.globalPlayerCount})`);
-      } else {
-        this.sendError(ws, result.message);
-      }
+      console.log(`[${this.serverId}] Room ${room.roomId} created by ${clientInfo.id}`);
     } catch (error) {
-      console.error(`[${this.serverId}] Join error:`, error.message);
-      this.sendError(ws, 'Failed to join game');
+      console.error(`[${this.serverId}] Create room error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to create room', request);
     }
   }
 
   /**
-   * Enhanced move handling with validation
+   * Enhanced player join with cross-server sync
    */
-  async handlePlayerMoveEnhanced(ws, message, clientInfo) {
+  async handlePlayerJoinEnhanced(ws, message, clientInfo, request) {
     try {
-      if (!clientInfo.playerId) {
-        this.sendError(ws, 'You must join the game first');
+      if (message.bot) {
+        await this.handleBotGameJoin(ws, message, clientInfo, request);
         return;
       }
 
-      const { row, col } = message;
-      
-      if (typeof row !== 'number' || typeof col !== 'number') {
-        this.sendError(ws, 'Row and column must be numbers');
+      const roomId = message.roomId || DEFAULT_ROOM_ID;
+      const room = this.rooms.getRoom(roomId);
+
+      if (!room) {
+        this.sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, `Room ${roomId} not found`, request);
+        return;
+      }
+
+      if (clientInfo.roomId === roomId) {
+        this.sendError(ws, ERROR_CODES.ALREADY_IN_ROOM, 'You are already in this room', request);
         return;
       }
 
-      const result = this.game.makeMove(row, col, clientInfo.playerId);
+      // Joining a room by hand gives up the player's place in the matchmaking queue
+      if (clientInfo.matchTicket) {
+        await this.leaveMatchQueue(clientInfo);
+        this.sendMessage(ws, { type: 'matchCancelled', reason: 'joined' });
+      }
 
-      if (result.success) {
-        this.broadcastGameState();
-        await this.syncManager.publishMove(
-          { row, col, playerId: clientInfo.playerId },
-          result.gameState
-        );
+      // Switching rooms frees the seat in the previous one
+      if (clientInfo.roomId) {
+        await this.leaveRoom(clientInfo);
+      }
 
-        console.log(`[${this.serverId}] Move by ${clientInfo.playerId}: (${row},${col})`);
+      const playerId = message.playerId || `player-${clientInfo.id}`;
+
+      const result = await this.performRoomAction(room, { kind: 'join', playerId });
+
+      if (result.success) {
+        clientInfo.playerId = playerId;
+        clientInfo.roomId = roomId;
+        this.playerClients.set(playerId, ws);
 
-        if (result.gameOver) {
-          this.broadcastGameOver(result);
+        // Seated players get a token to reclaim the seat after a drop
+        if (result.role === 'player') {
+          clientInfo.resumeToken = uuidv4();
+          await this.syncManager.saveResumeToken(clientInfo.resumeToken, { roomId, playerId });
         }
+
+        this.sendReply(ws, request, {
+          type: 'joined',
+          roomId: roomId,
+          playerId: playerId,
+          role: result.role,
+          playerSymbol: result.playerSymbol,
+          resumeToken: clientInfo.resumeToken,
+          reconnectGraceMs: this.reconnectGraceMs,
+          message: result.message,
+          gameState: room.game.getGameState()
+        });
+        this.sendGameState(ws, roomId);
+
+        console.log(`[${this.serverId}] Player ${playerId} joined room ${roomId} as ${result.playerSymbol || 'spectator'} (v${room.game.version})`);
       } else {
-        this.sendError(ws, result.message);
+        this.sendError(ws, result.code || ERROR_CODES.INTERNAL_ERROR, result.message, request);
       }
     } catch (error) {
-      console.error(`[${this.serverId}] Move error:`, error.message);
-      this.sendError(ws, 'Failed to process move');
+      console.error(`[${this.serverId}] Join error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to join game', request);
     }
   }
 
   /**
-   * Enhanced game reset
+   * Start a game against the server bot in a fresh room
    */
-  async handleGameResetEnhanced(ws, message, clientInfo) {
+  async handleBotGameJoin(ws, message, clientInfo, request) {
+    const difficulty = message.bot === true ? AIPlayer.DEFAULT_DIFFICULTY : message.bot;
+    if (!AIPlayer.DIFFICULTY_LEVELS.includes(difficulty)) {
+      this.sendError(ws, ERROR_CODES.INVALID_BOT_DIFFICULTY,
+        `Unknown bot difficulty: ${difficulty}. Use ${AIPlayer.DIFFICULTY_LEVELS.join(', ')}`, request);
+      return;
+    }
+
+    let room;
     try {
-      this.game.resetGame();
-      this.broadcastGameState();
-      await this.syncManager.publishGameReset(this.game.getGameState());
-      
-      console.log(`[${this.serverId}] Game reset by ${clientInfo.playerId || clientInfo.id}`);
+      room = this.rooms.createRoom({
+        boardSize: message.boardSize,
+        winLength: message.winLength,
+        timeControl: message.timeControl,
+        bestOf: message.bestOf
+      });
     } catch (error) {
-      console.error(`[${this.serverId}] Reset error:`, error.message);
-      this.sendError(ws, 'Failed to reset game');
+      this.sendError(ws, ERROR_CODES.INVALID_ROOM_OPTIONS, error.message, request);
+      return;
     }
+
+    await this.syncManager.publishRoomCreated(this.rooms.getRoomSummary(room));
+    await this.handlePlayerJoinEnhanced(ws, { ...message, bot: undefined, roomId: room.roomId }, clientInfo, request);
+
+    // Join failed and already reported
+    if (clientInfo.roomId !== room.roomId) return;
+
+    await this.addBot(room.roomId, difficulty);
   }
 
   /**
-   * Safe disconnect handling
+   * Seat a bot in a room through the same addPlayer path as a human
+   * @param {string} roomId - Room to seat the bot in
+   * @param {string} difficulty - AI difficulty level
    */
-  async handleDisconnectionSafely(ws, code, reason) {
-    try {
-      const clientInfo = this.clients.get(ws);
-      
-      if (clientInfo) {
-        console.log(`[${this.serverId}] Client ${clientInfo.id} disconnected: ${code} ${reason || ''}`);
-        
-        if (clientInfo.playerId) {
-          this.game.removePlayer(clientInfo.playerId);
-          this.playerClients.delete(clientInfo.playerId);
-          await this.syncManager.publishPlayerLeave(clientInfo.playerId, this.game.getGameState());
-          this.broadcastGameState();
-        }
-      }
+  async addBot(roomId, difficulty) {
+    const room = this.rooms.getRoom(roomId);
+    const botId = `${PLAYER_ID_PREFIXES.bot}${uuidv4()}`;
 
-      this.clients.delete(ws);
-    } catch (error) {
-      console.error(`[${this.serverId}] Disconnect handling error:`, error.message);
+    const result = await this.performRoomAction(room, { kind: 'join', playerId: botId, seatOnly: true });
+    if (!result.success) {
+      throw new Error(result.message);
     }
+
+    this.bots.set(roomId, { playerId: botId, ai: new AIPlayer(difficulty), moveTimer: null });
+
+    console.log(`[${this.serverId}] Bot ${botId} (${difficulty}) joined room ${roomId} as ${result.playerSymbol}`);
+    this.scheduleBotMove(roomId);
   }
 
   /**
-   * Start health monitoring
+   * Remove a room's bot and free its seat
+   * @param {string} roomId - Room hosting the bot
    */
-  startHealthMonitoring() {
-    this.healthCheckInterval = setInterval(() => {
-      this.performHealthCheck();
-      this.cleanupStaleConnections();
-      this.logHealthMetrics();
-    }, 30000); // Every 30 seconds
+  async removeBot(roomId) {
+    const bot = this.bots.get(roomId);
+    if (!bot) return;
+
+    clearTimeout(bot.moveTimer);
+    this.bots.delete(roomId);
+
+    const room = this.rooms.getRoom(roomId);
+    if (room) {
+      await this.performRoomAction(room, { kind: 'leave', playerId: bot.playerId });
+    }
   }
 
   /**
-   * Perform health check on all connections
+   * Let the room's bot move if it is its turn
+   * @param {string} roomId - Room to check
    */
-  performHealthCheck() {
-    this.clients.forEach((clientInfo, ws) => {
-      if (ws.readyState === WebSocket.OPEN) {
-        clientInfo.isAlive = false;
-        ws.ping();
+  scheduleBotMove(roomId) {
+    const bot = this.bots.get(roomId);
+    const room = this.rooms.getRoom(roomId);
+    if (!bot || !room || bot.moveTimer) return;
+
+    const { game } = room;
+    if (game.gameStatus !== 'playing' || game.getPlayerSymbol(bot.playerId) !== game.currentPlayer) return;
+
+    bot.moveTimer = setTimeout(async () => {
+      bot.moveTimer = null;
+
+      // State may have changed while waiting
+      if (this.bots.get(roomId) !== bot || game.gameStatus !== 'playing' ||
+          game.getPlayerSymbol(bot.playerId) !== game.currentPlayer) return;
+
+      try {
+        const move = bot.ai.chooseMove(game);
+        if (!move) return;
+
+        const result = await this.performRoomAction(room, { kind: 'move', row: move.row, col: move.col, playerId: bot.playerId });
+        if (!result.success) {
+          console.error(`[${this.serverId}] Bot move rejected in room ${roomId}: ${result.message}`);
+        }
+      } catch (error) {
+        console.error(`[${this.serverId}] Bot move error:`, error.message);
+        this.metrics.errorsHandled++;
       }
-    });
+    }, BOT_MOVE_DELAY);
   }
 
   /**
-   * Clean up stale connections
+   * Check whether a room still has a human player seated
    */
-  cleanupStaleConnections() {
-    const now = Date.now();
-    const staleThreshold = 30 * 60 * 1000; // 30 minutes instead of 5
+  hasHumanPlayers(roomId) {
+    const room = this.rooms.getRoom(roomId);
+    const bot = this.bots.get(roomId);
+    if (!room) return false;
 
-    this.clients.forEach((clientInfo, ws) => {
-      if (!clientInfo.isAlive || (now - clientInfo.lastActivity) > staleThreshold) {
-        console.log(`[${this.serverId}] Cleaning up stale connection: ${clientInfo.id}`);
-        ws.terminate();
-        this.clients.delete(ws);
-        
-        if (clientInfo.playerId) {
-          this.game.removePlayer(clientInfo.playerId);
-          this.playerClients.delete(clientInfo.playerId);
-        }
-      }
-    });
+    return room.game.getSeatedPlayers().some(playerId => !bot || playerId !== bot.playerId);
   }
 
   /**
-   * Enhanced message sending with error handling
+   * Leave the current room on request
    */
-  sendMessage(ws, message) {
-    if (ws.readyState === WebSocket.OPEN) {
-      try {
-        const serialized = JSON.stringify(message);
-        ws.send(serialized);
-        return true;
-      } catch (error) {
-        console.error(`[${this.serverId}] Send error:`, error.message);
-        this.metrics.errorsHandled++;
-        return false;
+  async handleLeaveRoom(ws, message, clientInfo, request) {
+    try {
+      if (!clientInfo.roomId) {
+        this.sendError(ws, ERROR_CODES.NOT_IN_ROOM, 'You are not in a room', request);
+        return;
       }
+
+      const roomId = clientInfo.roomId;
+      await this.leaveRoom(clientInfo);
+      this.sendReply(ws, request, { type: 'leftRoom', roomId: roomId });
+    } catch (error) {
+      console.error(`[${this.serverId}] Leave room error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to leave room', request);
     }
-    return false;
   }
 
   /**
-   * Send game state to specific client
+   * Free a client's seat, sync the leave and close the room once it is empty
+   * @param {object} clientInfo - Client leaving its room
    */
-  sendGameState(ws) {
-    const gameState = {
-      type: 'gameState',
-      ...this.game.getGameState(),
-      serverMetrics: this.getBasicMetrics()
-    };
-    
-    this.sendMessage(ws, gameState);
+  async leaveRoom(clientInfo) {
+    const roomId = clientInfo.roomId;
+    const playerId = clientInfo.playerId;
+    const room = this.rooms.getRoom(roomId);
+
+    if (clientInfo.resumeToken) {
+      await this.syncManager.deleteResumeToken(clientInfo.resumeToken);
+    }
+
+    clientInfo.roomId = null;
+    clientInfo.playerId = null;
+    clientInfo.resumeToken = null;
+
+    if (!room) return;
+
+    if (playerId) {
+      this.cancelHeldSeat(playerId);
+      this.playerClients.delete(playerId);
+      await this.performRoomAction(room, { kind: 'leave', playerId });
+    }
+
+    await this.closeRoomIfAbandoned(roomId);
   }
 
   /**
-   * Send error message to client
+   * Drop the bot once no human is seated and close rooms nobody is in
+   * @param {string} roomId - Room to check
    */
-  sendError(ws, message) {
-    this.sendMessage(ws, { type: 'error', message: message });
+  async closeRoomIfAbandoned(roomId) {
+    const room = this.rooms.getRoom(roomId);
+    if (!room) return;
+
+    // A bot never plays on its own
+    if (this.bots.has(roomId) && !this.hasHumanPlayers(roomId)) {
+      await this.removeBot(roomId);
+    }
+
+    if (roomId !== DEFAULT_ROOM_ID && room.game.isEmpty()) {
+      this.rooms.removeRoom(roomId);
+      await this.syncManager.publishRoomClosed(roomId);
+    }
   }
 
   /**
-   * Broadcast game over message
+   * Check whether a dropped client's seat should be held for a reconnect
+   * @param {object} clientInfo - Disconnected client
+   * @returns {boolean} True if the client holds a seat and holding is enabled
    */
-  broadcastGameOver(result) {
-    const message = {
-      type: 'gameOver',
-      winner: result.winner,
-      winningLine: result.winningLine,
-      gameState: result.gameState
-    };
+  shouldHoldSeat(clientInfo) {
+    const room = this.getClientRoom(clientInfo);
+    return this.reconnectGraceMs > 0 && Boolean(room) && room.game.isSeated(clientInfo.playerId);
+  }
 
-    this.clients.forEach((clientInfo, ws) => {
-      this.sendMessage(ws, message);
+  /**
+   * Reserve a dropped player's seat for the grace window and tell the room
+   * @param {object} clientInfo - Disconnected client
+   */
+  async holdSeat(clientInfo) {
+    const { roomId, playerId, resumeToken } = clientInfo;
+    const room = this.rooms.getRoom(roomId);
+
+    this.playerClients.delete(playerId);
+    const result = await this.performRoomAction(room, { kind: 'disconnect', playerId, graceMs: this.reconnectGraceMs });
+    if (!result.success) return;
+
+    this.cancelHeldSeat(playerId);
+    this.heldSeats.set(playerId, {
+      roomId,
+      resumeToken,
+      timer: setTimeout(() => {
+        this.expireHeldSeat(playerId).catch((error) => {
+          console.error(`[${this.serverId}] Seat expiry error:`, error.message);
+        });
+      }, this.reconnectGraceMs)
     });
+
+    console.log(`[${this.serverId}] Holding seat of ${playerId} in room ${roomId} for ${this.reconnectGraceMs}ms`);
   }
 
   /**
-   * Broadcast with error resilience
+   * Reserve a dropped player's seat until the grace window ends, then tell the room
+   * @returns {object} { success, deadline }
    */
-  broadcastGameState() {
-    const gameState = {
-      type: 'gameState',
-      ...this.game.getGameState(),
-      serverMetrics: this.getBasicMetrics()
-    };
-
-    let successCount = 0;
-    this.clients.forEach((clientInfo, ws) => {
-      if (this.sendMessage(ws, gameState)) {
-        successCount++;
-      }
+  async markSeatHeld(room, playerId, graceMs) {
+    const result = await this.commitRoomChange(room, (game) => {
+      const deadline = game.markDisconnected(playerId, graceMs);
+      return { success: deadline !== null, deadline };
     });
+    if (!result.success) return result;
+
+    this.broadcastToRoom(room.roomId, {
+      type: 'playerReconnecting',
+      roomId: room.roomId,
+      playerId: playerId,
+      playerSymbol: room.game.getPlayerSymbol(playerId),
+      deadline: result.deadline,
+      graceMs: graceMs
+    });
+    this.broadcastGameState(room.roomId);
+    await this.syncManager.publishPlayerDisconnect(room.roomId, playerId, room.game.getGameState(), result.deadline);
+    // The server holding the seat may go away before the deadline
+    this.watchHeldSeats(room);
+    return { ...result, gameState: room.game.getGameState() };
+  }
 
-    console.log(`[${this.serverId}] Broadcast sent to ${successCount}/${this.clients.size} clients`);
+  /**
+   * Give a held seat back to its player, then tell the room
+   */
+  async markSeatReclaimed(room, playerId) {
+    const result = await this.commitRoomChange(room, game => ({ success: game.markReconnected(playerId) }));
+    if (!result.success) return result;
+
+    this.broadcastToRoom(room.roomId, {
+      type: 'playerReconnected',
+      roomId: room.roomId,
+      playerId: playerId,
+      playerSymbol: room.game.getPlayerSymbol(playerId)
+    });
+    this.broadcastGameState(room.roomId);
+    await this.syncManager.publishPlayerReconnect(room.roomId, playerId, room.game.getGameState());
+    return { ...result, gameState: room.game.getGameState() };
   }
 
   /**
-   * Get detailed server statistics
+   * Forfeit a player whose seat is still held, then announce and sync the result
    */
-  getDetailedStats() {
-    return {
+  async forfeitHeldSeat(room, playerId) {
+    const result = await this.commitRoomChange(room, game => (game.isReconnecting(playerId)
+      ? game.forfeit(playerId)
+      : { success: false, code: ERROR_CODES.SEAT_NOT_HELD, message: 'Seat is no longer held' }));
+    if (!result.success) return result;
+
+    this.broadcastGameState(room.roomId);
+    if (result.gameOver) {
+      this.broadcastGameOver(room.roomId, result);
+    }
+    await this.syncManager.publishPlayerForfeit(room.roomId, playerId, room.game.getGameState(), result.winner);
+    return result;
+  }
+
+  /**
+   * Arm forfeit timers for seats a room holds for players that are not on this
+   * server, in case the server holding them is gone. A player who came back
+   * meanwhile is no longer reconnecting, so the forfeit does nothing.
+   * @param {object} room - Room this server owns
+   */
+  watchHeldSeats(room) {
+    Object.values(room.game.reconnecting).forEach(({ playerId, deadline }) => {
+      if (this.heldSeats.has(playerId) || this.playerClients.has(playerId)) return;
+
+      this.heldSeats.set(playerId, {
+        roomId: room.roomId,
+        resumeToken: null,
+        timer: setTimeout(() => {
+          this.expireHeldSeat(playerId).catch((error) => {
+            console.error(`[${this.serverId}] Seat expiry error:`, error.message);
+          });
+        }, Math.max(0, deadline - Date.now()))
+      });
+    });
+  }
+
+  /**
+   * Stop the forfeit timer for a held seat
+   * @param {string} playerId - Player whose seat was held
+   */
+  cancelHeldSeat(playerId) {
+    const held = this.heldSeats.get(playerId);
+    if (held) {
+      clearTimeout(held.timer);
+      this.heldSeats.delete(playerId);
+    }
+  }
+
+  /**
+   * Forfeit a player whose grace window ran out
+   * @param {string} playerId - Player who did not come back
+   */
+  async expireHeldSeat(playerId) {
+    const held = this.heldSeats.get(playerId);
+    if (!held) return;
+    this.heldSeats.delete(playerId);
+
+    const room = this.rooms.getRoom(held.roomId);
+    if (!room) return;
+
+    const result = await this.performRoomAction(room, { kind: 'forfeit', playerId });
+    if (!result.success) return;
+    if (held.resumeToken) {
+      await this.syncManager.deleteResumeToken(held.resumeToken);
+    }
+
+    console.log(`[${this.serverId}] ${playerId} forfeited in room ${held.roomId} after the reconnect window`);
+    await this.closeRoomIfAbandoned(held.roomId);
+  }
+
+  /**
+   * Reclaim a held seat with the resume token from the joined message
+   */
+  async handleResume(ws, message, clientInfo, request) {
+    try {
+      const session = typeof message.token === 'string'
+        ? await this.syncManager.getResumeToken(message.token)
+        : null;
+      const room = session && this.rooms.getRoom(session.roomId);
+
+      if (!room || !room.game.isSeated(session.playerId)) {
+        this.sendReply(ws, request, {
+          type: 'resumeFailed',
+          code: ERROR_CODES.RESUME_FAILED,
+          message: 'Resume token expired or seat no longer held'
+        });
+        return;
+      }
+
+      const { roomId, playerId } = session;
+
+      if (clientInfo.roomId && clientInfo.playerId !== playerId) {
+        await this.leaveRoom(clientInfo);
+      }
+
+      // A stale socket for the same player is replaced by this one
+      this.detachPlayerSocket(playerId, ws);
+      this.cancelHeldSeat(playerId);
+      await this.performRoomAction(room, { kind: 'reconnect', playerId });
+
+      clientInfo.playerId = playerId;
+      clientInfo.roomId = roomId;
+      clientInfo.resumeToken = message.token;
+      this.playerClients.set(playerId, ws);
+
+      const playerSymbol = room.game.getPlayerSymbol(playerId);
+      this.sendReply(ws, request, {
+        type: 'joined',
+        roomId: roomId,
+        playerId: playerId,
+        role: 'player',
+        playerSymbol: playerSymbol,
+        resumeToken: message.token,
+        reconnectGraceMs: this.reconnectGraceMs,
+        resumed: true,
+        message: `Welcome back, you are player ${playerSymbol}`,
+        gameState: room.game.getGameState()
+      });
+      this.sendGameState(ws, roomId);
+
+      console.log(`[${this.serverId}] ${playerId} resumed seat ${playerSymbol} in room ${roomId}`);
+    } catch (error) {
+      console.error(`[${this.serverId}] Resume error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to resume session', request);
+    }
+  }
+
+  /**
+   * Detach and close a player's old socket on this server
+   * @param {string} playerId - Player whose session moved
+   * @param {WebSocket} keepWs - Socket that now owns the session, if any
+   */
+  detachPlayerSocket(playerId, keepWs = null) {
+    const oldWs = this.playerClients.get(playerId);
+    if (!oldWs || oldWs === keepWs) return;
+
+    const oldInfo = this.clients.get(oldWs);
+    if (oldInfo) {
+      oldInfo.roomId = null;
+      oldInfo.playerId = null;
+      oldInfo.resumeToken = null;
+    }
+    this.playerClients.delete(playerId);
+    oldWs.close(4000, 'Session resumed elsewhere');
+  }
+
+  /**
+   * Push a remote room change out to this server's clients
+   * @param {string} roomId - Room that changed
+   * @param {object} data - Applied sync message
+   */
+  handleRemoteUpdate(roomId, data) {
+    if (data.type === 'roomCreated') return;
+
+    if (data.type === 'roomClosed') {
+      const bot = this.bots.get(roomId);
+      if (bot) {
+        clearTimeout(bot.moveTimer);
+        this.bots.delete(roomId);
+      }
+
+      this.clients.forEach((clientInfo) => {
+        if (clientInfo.roomId === roomId) {
+          clientInfo.roomId = null;
+          clientInfo.playerId = null;
+        }
+      });
+      return;
+    }
+
+    if (data.type === 'takeback') {
+      this.broadcastTakeback(roomId, data.action, data.playerId);
+      if (data.action !== 'accept') return;
+    }
+
+    if (data.type === 'offer') {
+      this.broadcastOffer(roomId, data.offer, data.action, data.playerId);
+      if (data.action !== 'accept') return;
+    }
+
+    const room = this.rooms.getRoom(roomId);
+
+    if (data.type === 'playerDisconnect' && room) {
+      this.broadcastToRoom(roomId, {
+        type: 'playerReconnecting',
+        roomId: roomId,
+        playerId: data.playerId,
+        playerSymbol: room.game.getPlayerSymbol(data.playerId),
+        deadline: data.deadline,
+        graceMs: Math.max(0, data.deadline - Date.now())
+      });
+    }
+
+    if (data.type === 'playerReconnect' || data.type === 'playerForfeit') {
+      // The seat was reclaimed or lost elsewhere, so local holds and sockets are stale
+      this.cancelHeldSeat(data.playerId);
+      this.detachPlayerSocket(data.playerId);
+    }
+
+    if (data.type === 'playerReconnect' && room) {
+      this.broadcastToRoom(roomId, {
+        type: 'playerReconnected',
+        roomId: roomId,
+        playerId: data.playerId,
+        playerSymbol: room.game.getPlayerSymbol(data.playerId)
+      });
+    }
+
+    this.broadcastGameState(roomId);
+
+    if (data.type === 'move' && room && room.game.gameStatus === 'finished') {
+      const { row, col } = data.move || {};
+      const winResult = room.game.isInBounds(row, col) ? room.game.checkWinCondition(row, col) : {};
+
+      this.broadcastGameOver(roomId, {
+        winner: room.game.winner || 'draw',
+        winningLine: winResult.winningLine,
+        reason: room.game.endReason,
+        gameState: room.game.getGameState()
+      });
+    }
+
+    if (data.type === 'timeout' && room && data.winner) {
+      this.broadcastGameOver(roomId, {
+        winner: data.winner,
+        reason: 'timeout',
+        gameState: room.game.getGameState()
+      });
+    }
+
+    if (data.type === 'offer' && data.offer === 'draw' && room) {
+      this.broadcastGameOver(roomId, {
+        winner: 'draw',
+        reason: 'agreement',
+        gameState: room.game.getGameState()
+      });
+    }
+
+    if (data.type === 'resign' && room && data.winner) {
+      this.broadcastGameOver(roomId, {
+        winner: data.winner,
+        reason: 'resign',
+        gameState: room.game.getGameState()
+      });
+    }
+
+    if (data.type === 'playerForfeit' && room && data.winner) {
+      this.broadcastGameOver(roomId, {
+        winner: data.winner,
+        reason: 'forfeit',
+        gameState: room.game.getGameState()
+      });
+    }
+
+    this.scheduleBotMove(roomId);
+  }
+
+  /**
+   * Enhanced move handling with validation
+   */
+  async handlePlayerMoveEnhanced(ws, message, clientInfo, request) {
+    try {
+      const room = this.getClientRoom(clientInfo);
+      if (!room || !clientInfo.playerId) {
+        this.sendError(ws, ERROR_CODES.NOT_IN_ROOM, 'You must join the game first', request);
+        return;
+      }
+
+      // Row and column are checked to be integers by the message schema
+      const { row, col } = message;
+      const result = await this.performRoomAction(room, { kind: 'move', row, col, playerId: clientInfo.playerId });
+
+      if (!result.success) {
+        this.sendError(ws, result.code || ERROR_CODES.INTERNAL_ERROR, result.message, request);
+      }
+    } catch (error) {
+      console.error(`[${this.serverId}] Move error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to process move', request);
+    }
+  }
+
+  /**
+   * Run a room action on the server that owns the room: here, or forwarded
+   * to the owner through the sync layer
+   * @param {object} room - Room to change
+   * @param {object} action - { kind, playerId, ... }, see executeRoomAction
+   * @returns {Promise<object>} Result of the action
+   */
+  async performRoomAction(room, action) {
+    if (this.syncManager.isRoomOwner(room.roomId)) {
+      return this.executeRoomAction(room, action);
+    }
+
+    const result = await this.syncManager.forwardRoomAction(room.roomId, action);
+    // Show this server's clients the board the action lost to
+    if (result.stale) this.broadcastGameState(room.roomId);
+    return result;
+  }
+
+  /**
+   * Run a room action another server forwarded to this one as the room's owner
+   */
+  handleForwardedAction(roomId, action) {
+    const room = this.rooms.getRoom(roomId);
+    if (!room) {
+      return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, message: `Room ${roomId} not found` };
+    }
+    return this.executeRoomAction(room, action);
+  }
+
+  /**
+   * Continue rooms whose owner left from their committed state
+   * @param {Array<string>} roomIds - Rooms this server now owns
+   */
+  async takeOverRooms(roomIds) {
+    for (const roomId of roomIds) {
+      const room = this.rooms.getRoom(roomId);
+      if (!room) continue;
+
+      try {
+        await this.catchUpRoom(room);
+        this.watchHeldSeats(room);
+        this.broadcastGameState(roomId);
+      } catch (error) {
+        console.error(`[${this.serverId}] Failed to take over room ${roomId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Apply a room action as the room's owner: commit the change, then tell
+   * this server's clients and sync it to the cluster
+   * @param {object} room - Room to change
+   * @param {object} action - { kind, playerId } plus the kind's own fields
+   * @returns {Promise<object>} Result of the change
+   */
+  async executeRoomAction(room, action) {
+    const { playerId } = action;
+
+    switch (action.kind) {
+      case 'join':
+        return this.seatPlayer(room, playerId, action.seatOnly === true);
+      case 'leave':
+        return this.unseatPlayer(room, playerId);
+      case 'move':
+        return this.applyMove(room, action.row, action.col, playerId);
+      case 'reset':
+        return this.requestReset(room, playerId);
+      case 'requestTakeback':
+        return this.requestTakeback(room, playerId);
+      case 'respondTakeback':
+        return this.answerTakeback(room, playerId, action.accept === true);
+      case 'offerDraw':
+        return this.offerDraw(room, playerId);
+      case 'respondOffer':
+        return this.answerOffer(room, playerId, action.offer, action.accept === true);
+      case 'resign':
+        return this.resignGame(room, playerId);
+      case 'rematch':
+        return this.requestRematch(room, playerId);
+      case 'disconnect':
+        return this.markSeatHeld(room, playerId, action.graceMs);
+      case 'reconnect':
+        return this.markSeatReclaimed(room, playerId);
+      case 'forfeit':
+        return this.forfeitHeldSeat(room, playerId);
+      case 'timeout':
+        return this.checkRoomClock(room);
+      default:
+        return { success: false, code: ERROR_CODES.UNKNOWN_ACTION, message: `Unknown room action: ${action.kind}` };
+    }
+  }
+
+  /**
+   * Seat a player, or with seatOnly fail instead of making them a spectator.
+   * A claim that loses to another server is re-run on the fresh state and
+   * gets the other seat or a spectator place.
+   */
+  async seatPlayer(room, playerId, seatOnly) {
+    await this.catchUpRoom(room);
+    const result = await this.commitRoomChange(room, (game) => {
+      const seat = game.addPlayer(playerId);
+      if (!seatOnly || seat.role === 'player') return seat;
+
+      game.removePlayer(playerId);
+      return { success: false, code: ERROR_CODES.NO_FREE_SEAT, message: 'No free seat for the bot' };
+    });
+    if (!result.success) return result;
+
+    this.broadcastGameState(room.roomId);
+    await this.syncManager.publishPlayerJoin(room.roomId, playerId, room.game.getGameState(), result.playerSymbol);
+    return { ...result, gameState: room.game.getGameState() };
+  }
+
+  /**
+   * Free a player's seat or spectator place, then broadcast and sync it
+   */
+  async unseatPlayer(room, playerId) {
+    const result = await this.commitRoomChange(room, game => this.removeFromGame(game, playerId));
+    if (!result.success) return result;
+
+    this.broadcastGameState(room.roomId);
+    await this.syncManager.publishPlayerLeave(room.roomId, playerId, room.game.getGameState(), result.playerSymbol);
+    return { ...result, gameState: room.game.getGameState() };
+  }
+
+  /**
+   * Apply a move to a room, then broadcast and sync it
+   * @param {object} room - Room to move in
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   * @param {string} playerId - Player (or bot) making the move
+   * @returns {object} Move result from TicTacToeGame
+   */
+  async applyMove(room, row, col, playerId) {
+    const result = await this.commitRoomChange(
+      room,
+      game => game.makeMove(row, col, playerId, this.serverId),
+      { retry: false }
+    );
+    if (result.stale) {
+      // Show everyone here the board the move lost to
+      this.broadcastGameState(room.roomId);
+      this.scheduleBotMove(room.roomId);
+      return result;
+    }
+    if (!result.success) {
+      // The mover's flag fell before this move was checked
+      if (result.reason === 'timeout') {
+        await this.finishOnTime(room, result);
+      }
+      return result;
+    }
+
+    this.broadcastGameState(room.roomId);
+    await this.syncManager.publishMove(
+      room.roomId,
+      { row, col, playerId },
+      result.gameState
+    );
+
+    console.log(`[${this.serverId}] Move by ${playerId} in room ${room.roomId}: (${row},${col})`);
+
+    if (result.gameOver) {
+      this.broadcastGameOver(room.roomId, result);
+    }
+
+    this.scheduleBotMove(room.roomId);
+    return result;
+  }
+
+  /**
+   * Apply a change to a room's game and commit it as the room's next version.
+   * Changes to one room run one at a time on this server. A change that lost a
+   * race with another server is re-run on the fresh state, or with retry off
+   * (player intents such as moves) reported back as stale.
+   * @param {object} room - Room to change
+   * @param {function} mutate - Applies the change and returns its result; success false means nothing changed
+   * @param {object} options - { retry }
+   * @returns {Promise<object>} Result of mutate, or a failure with stale set
+   */
+  commitRoomChange(room, mutate, { retry = true } = {}) {
+    return this.withRoomLock(room.roomId, async () => {
+      const { game } = room;
+
+      for (let attempt = 1; attempt <= MAX_COMMIT_ATTEMPTS; attempt++) {
+        const before = game.getGameState();
+        const result = mutate(game);
+        if (result.success === false && !result.gameOver) return result;
+        this.syncManager.stampEvent(game);
+
+        let commit;
+        try {
+          commit = await this.syncManager.commitGameState(room.roomId, before.version, game.getGameState());
+        } catch (error) {
+          console.error(`[${this.serverId}] Commit failed for room ${room.roomId}:`, error.message);
+          game.updateState(before);
+          return { success: false, code: ERROR_CODES.STATE_UNAVAILABLE, message: 'Game state is unavailable, please try again' };
+        }
+
+        if (commit.committed) {
+          game.version = commit.version;
+          if (before.gameStatus !== 'finished' && game.gameStatus === 'finished') {
+            this.rateGame(room.roomId, game.series);
+          }
+          // Snapshots taken by mutate predate the new version
+          return result.gameState ? { ...result, gameState: game.getGameState() } : result;
+        }
+
+        // Another server changed the room first; catch up before deciding
+        game.updateState(commit.gameState || before);
+        game.version = commit.version;
+        if (!retry || attempt === MAX_COMMIT_ATTEMPTS) break;
+      }
+
+      return {
+        success: false,
+        stale: true,
+        code: ERROR_CODES.STALE_STATE,
+        message: 'The game changed on another server before your action was applied. Showing the latest board.',
+        gameState: game.getGameState()
+      };
+    });
+  }
+
+  /**
+   * Adopt the room's committed state if another server has moved it on
+   * @param {object} room - Room to refresh
+   */
+  catchUpRoom(room) {
+    return this.withRoomLock(room.roomId, async () => {
+      const stored = await this.syncManager.getStoredGameState(room.roomId);
+      if (stored && stored.version > room.game.version) {
+        room.game.updateState(stored.gameState);
+        room.game.version = stored.version;
+      }
+    });
+  }
+
+  /**
+   * Run a task after the room's earlier tasks have finished
+   * @param {string} roomId - Room ID
+   * @param {function} task - Async task
+   * @returns {Promise} Task result
+   */
+  withRoomLock(roomId, task) {
+    const previous = this.roomLocks.get(roomId) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+
+    this.roomLocks.set(roomId, tail);
+    tail.then(() => {
+      if (this.roomLocks.get(roomId) === tail) this.roomLocks.delete(roomId);
+    });
+    return run;
+  }
+
+  /**
+   * Remove a player or spectator from a game
+   * @param {TicTacToeGame} game - Game to leave
+   * @param {string} playerId - Player leaving
+   * @returns {object} { success, playerSymbol } with the freed seat, null for spectators
+   */
+  removeFromGame(game, playerId) {
+    const playerSymbol = game.getPlayerSymbol(playerId);
+    const wasPresent = Boolean(playerSymbol) || game.spectators.has(playerId);
+    game.removePlayer(playerId);
+    return { success: wasPresent, playerSymbol };
+  }
+
+  /**
+   * Arm a timer for the moment the player to move runs out of time.
+   * Only the server hosting that player (socket, held seat or bot) arms it,
+   * so a timeout is announced once rather than by every server.
+   * @param {string} roomId - Room whose clock may be running
+   */
+  scheduleClockCheck(roomId) {
+    clearTimeout(this.clockTimers.get(roomId));
+    this.clockTimers.delete(roomId);
+
+    const room = this.rooms.getRoom(roomId);
+    if (!room || !room.game.timeControl || room.game.gameStatus !== 'playing') return;
+
+    const { game } = room;
+    const playerId = game.seats[game.currentPlayer];
+    const bot = this.bots.get(roomId);
+    const isLocal = this.playerClients.has(playerId) || this.heldSeats.has(playerId) ||
+      Boolean(bot && bot.playerId === playerId);
+    if (!isLocal) return;
+
+    const remaining = game.getRemainingTime(game.currentPlayer);
+    this.clockTimers.set(roomId, setTimeout(() => {
+      this.clockTimers.delete(roomId);
+      this.handleClockExpiry(roomId).catch((error) => {
+        console.error(`[${this.serverId}] Clock expiry error:`, error.message);
+      });
+    }, remaining));
+  }
+
+  /**
+   * End a room's game if the player to move is out of time
+   * @param {string} roomId - Room whose clock ran out
+   */
+  async handleClockExpiry(roomId) {
+    const room = this.rooms.getRoom(roomId);
+    if (!room) return;
+
+    const result = await this.performRoomAction(room, { kind: 'timeout' });
+    if (!result.gameOver) {
+      // Timers can fire a little early, or the clock moved on meanwhile
+      this.scheduleClockCheck(roomId);
+    }
+  }
+
+  /**
+   * End the game if the player to move is out of time
+   * @returns {object} Timeout result from TicTacToeGame
+   */
+  async checkRoomClock(room) {
+    const result = await this.commitRoomChange(room, (game) => {
+      const timeout = game.checkTimeout();
+      return { ...timeout, success: timeout.gameOver };
+    });
+    if (result.gameOver) {
+      await this.finishOnTime(room, result);
+    }
+    return result;
+  }
+
+  /**
+   * Announce and sync a loss on time
+   * @param {object} room - Room whose game ended
+   * @param {object} result - Timeout result from TicTacToeGame
+   */
+  async finishOnTime(room, result) {
+    const playerId = room.game.seats[result.loser];
+
+    this.broadcastGameState(room.roomId);
+    this.broadcastGameOver(room.roomId, result);
+    await this.syncManager.publishTimeout(room.roomId, playerId, room.game.getGameState(), result.winner);
+
+    console.log(`[${this.serverId}] ${playerId} lost on time in room ${room.roomId}`);
+  }
+
+  /**
+   * Ask the opponent to undo the player's last move
+   */
+  async handleTakebackRequest(ws, message, clientInfo, request) {
+    try {
+      const room = this.getClientRoom(clientInfo);
+      if (!room || !clientInfo.playerId) {
+        this.sendError(ws, ERROR_CODES.NOT_IN_ROOM, 'You must join the game first', request);
+        return;
+      }
+
+      const result = await this.performRoomAction(room, { kind: 'requestTakeback', playerId: clientInfo.playerId });
+      if (!result.success) {
+        this.sendError(ws, result.code || ERROR_CODES.INTERNAL_ERROR, result.message, request);
+        return;
+      }
+
+      // The bot always agrees
+      const bot = this.bots.get(room.roomId);
+      if (bot) {
+        await this.performRoomAction(room, { kind: 'respondTakeback', playerId: bot.playerId, accept: true });
+      }
+    } catch (error) {
+      console.error(`[${this.serverId}] Takeback request error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to request takeback', request);
+    }
+  }
+
+  /**
+   * Accept or decline the opponent's takeback request
+   */
+  async handleTakebackResponse(ws, message, clientInfo, request) {
+    try {
+      const room = this.getClientRoom(clientInfo);
+      if (!room || !clientInfo.playerId) {
+        this.sendError(ws, ERROR_CODES.NOT_IN_ROOM, 'You must join the game first', request);
+        return;
+      }
+
+      const result = await this.performRoomAction(room, {
+        kind: 'respondTakeback',
+        playerId: clientInfo.playerId,
+        accept: message.accept === true
+      });
+      if (!result.success) {
+        this.sendError(ws, result.code || ERROR_CODES.INTERNAL_ERROR, result.message, request);
+      }
+    } catch (error) {
+      console.error(`[${this.serverId}] Takeback response error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to answer takeback', request);
+    }
+  }
+
+  /**
+   * Record a takeback request, then broadcast and sync it
+   * @returns {object} Request result from TicTacToeGame
+   */
+  async requestTakeback(room, playerId) {
+    const result = await this.commitRoomChange(
+      room,
+      game => game.requestTakeback(playerId),
+      { retry: false }
+    );
+    if (result.stale) this.broadcastGameState(room.roomId);
+    if (!result.success) return result;
+
+    this.broadcastTakeback(room.roomId, 'request', playerId);
+    await this.syncManager.publishTakeback(room.roomId, 'request', playerId, room.game.getGameState());
+
+    console.log(`[${this.serverId}] Takeback requested by ${playerId} in room ${room.roomId}`);
+    return { ...result, gameState: room.game.getGameState() };
+  }
+
+  /**
+   * Apply a takeback answer, then broadcast and sync it
+   * @param {object} room - Room with the pending request
+   * @param {string} playerId - Player answering
+   * @param {boolean} accept - True to roll back
+   * @returns {object} Response result from TicTacToeGame
+   */
+  async answerTakeback(room, playerId, accept) {
+    const result = await this.commitRoomChange(
+      room,
+      game => game.respondToTakeback(playerId, accept),
+      { retry: false }
+    );
+    if (result.stale) this.broadcastGameState(room.roomId);
+    if (!result.success) return result;
+
+    const action = result.accepted ? 'accept' : 'decline';
+    const gameState = room.game.getGameState();
+
+    this.broadcastTakeback(room.roomId, action, playerId);
+    if (result.accepted) {
+      this.broadcastGameState(room.roomId);
+    }
+
+    await this.syncManager.publishTakeback(
+      room.roomId,
+      action,
+      playerId,
+      gameState,
+      result.accepted ? gameState.moveHistory.length : null
+    );
+
+    console.log(`[${this.serverId}] Takeback ${result.accepted ? 'accepted' : 'declined'} by ${playerId} in room ${room.roomId}`);
+    this.scheduleBotMove(room.roomId);
+    return result;
+  }
+
+  /**
+   * Reset the board, or offer the opponent a reset during a game or a
+   * rematch after one, then broadcast and sync it
+   * @returns {object} Result from TicTacToeGame.requestReset
+   */
+  async requestReset(room, playerId) {
+    const result = await this.commitRoomChange(room, game => game.requestReset(playerId));
+    if (result.stale) this.broadcastGameState(room.roomId);
+    if (!result.success) return result;
+
+    if (result.offer) {
+      await this.announceOffer(room, result.offer.kind, result.accepted ? 'accept' : 'offer', playerId);
+      if (result.accepted) this.scheduleBotMove(room.roomId);
+      return { ...result, gameState: room.game.getGameState() };
+    }
+
+    this.broadcastGameState(room.roomId);
+    await this.syncManager.publishGameReset(room.roomId, room.game.getGameState());
+    this.scheduleBotMove(room.roomId);
+
+    console.log(`[${this.serverId}] Game in room ${room.roomId} reset by ${playerId}`);
+    return { ...result, gameState: room.game.getGameState() };
+  }
+
+  /**
+   * Record a draw offer, then broadcast and sync it
+   * @returns {object} Result from TicTacToeGame.offerDraw
+   */
+  async offerDraw(room, playerId) {
+    const result = await this.commitRoomChange(room, game => game.offerDraw(playerId));
+    if (result.stale) this.broadcastGameState(room.roomId);
+    if (!result.success) return result;
+
+    await this.announceOffer(room, 'draw', 'offer', playerId);
+    return { ...result, gameState: room.game.getGameState() };
+  }
+
+  /**
+   * Apply an answer to a draw or reset offer, then broadcast and sync it
+   * @param {object} room - Room with the pending offer
+   * @param {string} playerId - Player answering
+   * @param {string} offer - draw or reset
+   * @param {boolean} accept - True to agree
+   * @returns {object} Response result from TicTacToeGame
+   */
+  async answerOffer(room, playerId, offer, accept) {
+    const result = await this.commitRoomChange(room, game => game.respondToOffer(playerId, offer, accept));
+    if (result.stale) this.broadcastGameState(room.roomId);
+    if (!result.success) {
+      // The clock ran out before the draw was agreed
+      if (result.reason === 'timeout') {
+        await this.finishOnTime(room, result);
+      }
+      return result;
+    }
+
+    await this.announceOffer(room, offer, result.accepted ? 'accept' : 'decline', playerId);
+    if (result.gameOver) {
+      this.broadcastGameOver(room.roomId, result);
+    }
+    this.scheduleBotMove(room.roomId);
+    return result;
+  }
+
+  /**
+   * Opt in to a rematch; once both players have, start the next game with
+   * colors swapped, then broadcast and sync it
+   * @returns {object} Result from TicTacToeGame.requestRematch
+   */
+  async requestRematch(room, playerId) {
+    const result = await this.commitRoomChange(room, game => game.requestRematch(playerId));
+    if (result.stale) this.broadcastGameState(room.roomId);
+    if (!result.success) return result;
+
+    await this.announceOffer(room, 'rematch', result.accepted ? 'accept' : 'offer', playerId);
+    this.scheduleBotMove(room.roomId);
+    return { ...result, gameState: room.game.getGameState() };
+  }
+
+  /**
+   * Tell this server's clients and the cluster about an offer or its answer
+   */
+  async announceOffer(room, offer, action, playerId) {
+    this.broadcastOffer(room.roomId, offer, action, playerId);
+    if (action === 'accept') {
+      this.broadcastGameState(room.roomId);
+    }
+    await this.syncManager.publishOffer(room.roomId, offer, action, playerId, room.game.getGameState());
+
+    console.log(`[${this.serverId}] ${offer} offer ${action} by ${playerId} in room ${room.roomId}`);
+  }
+
+  /**
+   * End the game as a loss for the resigning player, then broadcast and sync it
+   * @returns {object} Resign result from TicTacToeGame
+   */
+  async resignGame(room, playerId) {
+    const result = await this.commitRoomChange(room, game => game.resign(playerId));
+    if (result.stale) this.broadcastGameState(room.roomId);
+    if (!result.success) {
+      if (result.reason === 'timeout') {
+        await this.finishOnTime(room, result);
+      }
+      return result;
+    }
+
+    this.broadcastGameState(room.roomId);
+    this.broadcastGameOver(room.roomId, result);
+    await this.syncManager.publishResign(room.roomId, playerId, room.game.getGameState(), result.winner);
+
+    console.log(`[${this.serverId}] ${playerId} resigned in room ${room.roomId}`);
+    return result;
+  }
+
+  /**
+   * Reset the game: by the opponent's consent during one, as a rematch after
+   * one, and at once when there is no opponent to ask
+   */
+  async handleGameResetEnhanced(ws, message, clientInfo, request) {
+    try {
+      const room = this.getClientRoom(clientInfo);
+      if (!room || !clientInfo.playerId) {
+        this.sendError(ws, ERROR_CODES.NOT_IN_ROOM, 'You must join a game before resetting it', request);
+        return;
+      }
+
+      const result = await this.performRoomAction(room, { kind: 'reset', playerId: clientInfo.playerId });
+      if (!result.success) {
+        this.sendError(ws, result.code || ERROR_CODES.INTERNAL_ERROR, result.message, request);
+        return;
+      }
+
+      // The bot always agrees
+      const bot = this.bots.get(room.roomId);
+      if (result.offer && !result.accepted && bot) {
+        const answer = result.offer.kind === 'rematch'
+          ? { kind: 'rematch', playerId: bot.playerId }
+          : { kind: 'respondOffer', playerId: bot.playerId, offer: 'reset', accept: true };
+        await this.performRoomAction(room, answer);
+      }
+    } catch (error) {
+      console.error(`[${this.serverId}] Reset error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to reset game', request);
+    }
+  }
+
+  /**
+   * Offer the opponent a draw
+   */
+  async handleDrawOffer(ws, message, clientInfo, request) {
+    try {
+      const room = this.getClientRoom(clientInfo);
+      if (!room || !clientInfo.playerId) {
+        this.sendError(ws, ERROR_CODES.NOT_IN_ROOM, 'You must join the game first', request);
+        return;
+      }
+
+      const result = await this.performRoomAction(room, { kind: 'offerDraw', playerId: clientInfo.playerId });
+      if (!result.success) {
+        this.sendError(ws, result.code || ERROR_CODES.INTERNAL_ERROR, result.message, request);
+        return;
+      }
+
+      const bot = this.bots.get(room.roomId);
+      if (bot) {
+        await this.performRoomAction(room, { kind: 'respondOffer', playerId: bot.playerId, offer: 'draw', accept: true });
+      }
+    } catch (error) {
+      console.error(`[${this.serverId}] Draw offer error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to offer draw', request);
+    }
+  }
+
+  /**
+   * Accept or decline the opponent's draw or reset offer
+   */
+  async handleOfferResponse(ws, message, clientInfo, request) {
+    try {
+      const room = this.getClientRoom(clientInfo);
+      if (!room || !clientInfo.playerId) {
+        this.sendError(ws, ERROR_CODES.NOT_IN_ROOM, 'You must join the game first', request);
+        return;
+      }
+
+      const { offer, accept } = OFFER_RESPONSES[message.type];
+      const result = await this.performRoomAction(room, {
+        kind: 'respondOffer',
+        playerId: clientInfo.playerId,
+        offer: offer,
+        accept: accept
+      });
+      if (!result.success) {
+        this.sendError(ws, result.code || ERROR_CODES.INTERNAL_ERROR, result.message, request);
+      }
+    } catch (error) {
+      console.error(`[${this.serverId}] Offer response error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to answer offer', request);
+    }
+  }
+
+  /**
+   * Ask for a rematch, or agree to the opponent's
+   */
+  async handleRematch(ws, message, clientInfo, request) {
+    try {
+      const room = this.getClientRoom(clientInfo);
+      if (!room || !clientInfo.playerId) {
+        this.sendError(ws, ERROR_CODES.NOT_IN_ROOM, 'You must join the game first', request);
+        return;
+      }
+
+      const result = await this.performRoomAction(room, { kind: 'rematch', playerId: clientInfo.playerId });
+      if (!result.success) {
+        this.sendError(ws, result.code || ERROR_CODES.INTERNAL_ERROR, result.message, request);
+        return;
+      }
+
+      const bot = this.bots.get(room.roomId);
+      if (result.offer && bot) {
+        await this.performRoomAction(room, { kind: 'rematch', playerId: bot.playerId });
+      }
+    } catch (error) {
+      console.error(`[${this.serverId}] Rematch error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to request rematch', request);
+    }
+  }
+
+  /**
+   * Concede the game in progress
+   */
+  async handleResign(ws, message, clientInfo, request) {
+    try {
+      const room = this.getClientRoom(clientInfo);
+      if (!room || !clientInfo.playerId) {
+        this.sendError(ws, ERROR_CODES.NOT_IN_ROOM, 'You must join the game first', request);
+        return;
+      }
+
+      const result = await this.performRoomAction(room, { kind: 'resign', playerId: clientInfo.playerId });
+      if (!result.success) {
+        this.sendError(ws, result.code || ERROR_CODES.INTERNAL_ERROR, result.message, request);
+      }
+    } catch (error) {
+      console.error(`[${this.serverId}] Resign error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to resign', request);
+    }
+  }
+
+  /**
+   * Safe disconnect handling
+   */
+  async handleDisconnectionSafely(ws, code, reason) {
+    try {
+      const clientInfo = this.clients.get(ws);
+
+      // Drop the client first so room broadcasts skip the closed socket
+      this.clients.delete(ws);
+      
+      if (clientInfo) {
+        console.log(`[${this.serverId}] Client ${clientInfo.id} disconnected: ${code} ${reason || ''}`);
+        
+        if (clientInfo.matchTicket) {
+          await this.leaveMatchQueue(clientInfo);
+        }
+
+        if (clientInfo.handedOff) {
+          // The seat is already held for the player to resume on a peer
+          this.playerClients.delete(clientInfo.playerId);
+        } else if (this.shouldHoldSeat(clientInfo)) {
+          await this.holdSeat(clientInfo);
+        } else if (clientInfo.roomId) {
+          await this.leaveRoom(clientInfo);
+        }
+      }
+    } catch (error) {
+      console.error(`[${this.serverId}] Disconnect handling error:`, error.message);
+    }
+  }
+
+  /**
+   * Put a player in the cluster-wide matchmaking queue. Queuing again from
+   * another connection or server replaces the earlier ticket.
+   */
+  async handleFindMatch(ws, message, clientInfo, request) {
+    // Players queued here would be matched into rooms this server is handing off
+    if (this.isDraining) {
+      this.sendError(ws, ERROR_CODES.SERVER_DRAINING, 'Server is shutting down, look for a match on another server',
+        request, { url: this.getRedirectUrl(null) });
+      return;
+    }
+    if (clientInfo.roomId) {
+      this.sendError(ws, ERROR_CODES.ALREADY_IN_ROOM, 'Leave your room before looking for a match', request);
+      return;
+    }
+    if (clientInfo.matchTicket) {
+      this.sendError(ws, ERROR_CODES.ALREADY_QUEUED, 'You are already looking for a match', request);
+      return;
+    }
+
+    try {
+      const { playerId, ratingToken } = await this.resolveRatingIdentity(message.ratingToken);
+      const stored = await this.syncManager.getRating(playerId);
+      const ticket = {
+        ticketId: uuidv4(),
+        playerId: playerId,
+        rating: stored ? stored.rating : Matchmaker.DEFAULT_RATING,
+        serverId: this.serverId,
+        queuedAt: Date.now()
+      };
+
+      this.supersedeMatchTicket(playerId);
+      clientInfo.matchTicket = ticket;
+      this.matchTickets.set(playerId, { ticket, ws, clientInfo });
+      await this.syncManager.addMatchTicket(ticket);
+      await this.syncManager.publishMatchQueued(ticket);
+
+      this.sendReply(ws, request, {
+        type: 'matchQueued',
+        playerId: playerId,
+        ratingToken: ratingToken,
+        rating: ticket.rating,
+        queuedAt: ticket.queuedAt
+      });
+      console.log(`[${this.serverId}] ${playerId} (rating ${ticket.rating}) is looking for a match`);
+    } catch (error) {
+      console.error(`[${this.serverId}] Find match error:`, error.message);
+      if (clientInfo.matchTicket) {
+        this.matchTickets.delete(clientInfo.matchTicket.playerId);
+        clientInfo.matchTicket = null;
+      }
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to join the matchmaking queue', request);
+    }
+  }
+
+  /**
+   * Find the player a rating token stands for, or issue a new identity. Ratings
+   * are kept under server-issued player IDs, so nobody can play under another
+   * player's rating by picking their ID.
+   * @param {string} ratingToken - Token from an earlier matchQueued, if any
+   * @returns {Promise<object>} { playerId, ratingToken }
+   */
+  async resolveRatingIdentity(ratingToken) {
+    let playerId = ratingToken ? await this.syncManager.getRatingIdentity(ratingToken) : null;
+    if (!playerId) {
+      playerId = `${PLAYER_ID_PREFIXES.rated}${uuidv4()}`;
+      ratingToken = uuidv4();
+    }
+
+    await this.syncManager.saveRatingIdentity(ratingToken, playerId);
+    return { playerId, ratingToken };
+  }
+
+  async handleCancelMatch(ws, message, clientInfo, request) {
+    if (!clientInfo.matchTicket) {
+      this.sendError(ws, ERROR_CODES.NOT_QUEUED, 'You are not looking for a match', request);
+      return;
+    }
+
+    try {
+      await this.leaveMatchQueue(clientInfo);
+      this.sendReply(ws, request, { type: 'matchCancelled', reason: 'cancelled' });
+    } catch (error) {
+      console.error(`[${this.serverId}] Cancel match error:`, error.message);
+      this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to leave the matchmaking queue', request);
+    }
+  }
+
+  /**
+   * Take a client's ticket out of the local and shared queues
+   * @param {object} clientInfo - Queued client
+   */
+  async leaveMatchQueue(clientInfo) {
+    const ticket = clientInfo.matchTicket;
+    clientInfo.matchTicket = null;
+
+    const queued = this.matchTickets.get(ticket.playerId);
+    if (queued && queued.ticket.ticketId === ticket.ticketId) {
+      this.matchTickets.delete(ticket.playerId);
+    }
+    // A ticket the player has replaced since belongs to their new connection
+    await this.syncManager.removeMatchTicket(ticket);
+    console.log(`[${this.serverId}] ${ticket.playerId} left the matchmaking queue`);
+  }
+
+  /**
+   * Drop a player's local ticket because they queued again elsewhere
+   * @param {string} playerId - Player who queued again
+   */
+  supersedeMatchTicket(playerId) {
+    const queued = this.matchTickets.get(playerId);
+    if (!queued) return;
+
+    this.matchTickets.delete(playerId);
+    queued.clientInfo.matchTicket = null;
+    this.sendMessage(queued.ws, { type: 'matchCancelled', reason: 'superseded' });
+    console.log(`[${this.serverId}] ${playerId} queued again from another connection, dropped the ticket here`);
+  }
+
+  /**
+   * Apply a matchmaking event from another server
+   * @param {object} data - matchQueued or matchFound sync message
+   */
+  handleMatchmakingEvent(data) {
+    if (data.type === 'matchQueued') {
+      const queued = this.matchTickets.get(data.playerId);
+      // Replayed events must not drop a ticket taken out after them
+      if (queued && queued.ticket.queuedAt <= data.queuedAt) {
+        this.supersedeMatchTicket(data.playerId);
+      }
+      return;
+    }
+
+    this.seatMatchedPlayers(data.roomId, data.tickets).catch((error) => {
+      console.error(`[${this.serverId}] Failed to seat matched players in room ${data.roomId}:`, error.message);
+    });
+  }
+
+  /**
+   * Look for pairs in the matchmaking queue every interval while this server
+   * is the cluster's matcher
+   */
+  startMatchmaking() {
+    this.matchmakingInterval = setInterval(() => {
+      this.runMatchmaking();
+    }, this.matchmaker.options.intervalMs);
+  }
+
+  /**
+   * Drop tickets of players who are gone and start a game for every pair
+   */
+  async runMatchmaking() {
+    if (this.isMatching || this.isDraining || !this.syncManager.isRoomOwner(MATCHMAKING_KEY)) return;
+    this.isMatching = true;
+
+    try {
+      const now = Date.now();
+      const tickets = [];
+      for (const ticket of await this.syncManager.getMatchQueue()) {
+        if (!this.isStaleTicket(ticket, now)) {
+          tickets.push(ticket);
+        } else if (await this.syncManager.removeMatchTicket(ticket)) {
+          console.log(`[${this.serverId}] Dropped stale match ticket of ${ticket.playerId} from ${ticket.serverId}`);
+        }
+      }
+
+      for (const pair of this.matchmaker.findPairs(tickets, now)) {
+        await this.startMatch(pair);
+      }
+    } catch (error) {
+      console.error(`[${this.serverId}] Matchmaking failed:`, error.message);
+    } finally {
+      this.isMatching = false;
+    }
+  }
+
+  /**
+   * Check whether a ticket's player can no longer be seated: queued here
+   * but no longer connected, or queued on a server that went down
+   * @param {object} ticket - Ticket from the shared queue
+   * @returns {boolean} True if the ticket should be dropped
+   */
+  isStaleTicket(ticket, now = Date.now()) {
+    if (ticket.serverId === this.serverId) {
+      const queued = this.matchTickets.get(ticket.playerId);
+      return !queued || queued.ticket.ticketId !== ticket.ticketId;
+    }
+
+    const { membership } = this.syncManager;
+    if (membership.getLiveServerIds().includes(ticket.serverId)) return false;
+    // A server that just started may not have sent its first heartbeat yet
+    return Boolean(membership.getPeer(ticket.serverId)) || now - ticket.queuedAt > membership.deadAfterMs;
+  }
+
+  /**
+   * Claim both tickets of a pair and seat the players in a fresh room. If
+   * either ticket is gone, the other goes back in the queue.
+   * @param {Array<object>} tickets - Matched pair
+   */
+  async startMatch(tickets) {
+    const claimed = [];
+    for (const ticket of tickets) {
+      if (await this.syncManager.removeMatchTicket(ticket)) {
+        claimed.push(ticket);
+      }
+    }
+    if (claimed.length < tickets.length) {
+      await Promise.all(claimed.map(ticket => this.syncManager.addMatchTicket(ticket)));
+      return;
+    }
+
+    const room = this.rooms.createRoom();
+    await this.syncManager.saveMatchedRoom(room.roomId, tickets.map(ticket => ticket.playerId));
+    await this.syncManager.publishRoomCreated(this.rooms.getRoomSummary(room));
+    if (tickets.some(ticket => ticket.serverId !== this.serverId)) {
+      await this.syncManager.publishMatchFound(room.roomId, tickets);
+    }
+    this.matchesMade++;
+
+    console.log(`[${this.serverId}] Matched ${tickets.map(ticket => `${ticket.playerId} (${ticket.rating})`).join(' and ')} in room ${room.roomId}`);
+    await this.seatMatchedPlayers(room.roomId, tickets);
+  }
+
+  /**
+   * Tell the matched players queued on this server and seat them
+   * @param {string} roomId - Room created for the match
+   * @param {Array<object>} tickets - Matched pair
+   */
+  async seatMatchedPlayers(roomId, tickets) {
+    for (const ticket of tickets) {
+      const queued = this.matchTickets.get(ticket.playerId);
+      if (!queued || queued.ticket.ticketId !== ticket.ticketId) continue;
+
+      const { ws, clientInfo } = queued;
+      this.matchTickets.delete(ticket.playerId);
+      clientInfo.matchTicket = null;
+      if (!this.clients.has(ws)) continue;
+
+      const opponent = tickets.find(other => other !== ticket);
+      this.sendMessage(ws, {
+        type: 'matchFound',
+        roomId: roomId,
+        playerId: ticket.playerId,
+        rating: ticket.rating,
+        opponent: { playerId: opponent.playerId, rating: opponent.rating }
+      });
+      await this.handlePlayerJoinEnhanced(ws, { type: 'join', roomId, playerId: ticket.playerId }, clientInfo, null);
+    }
+  }
+
+  /**
+   * Update both players' ratings after a game between the players matchmaking
+   * seated in the room ends. Runs on the room's owner, which commits every game
+   * end exactly once.
+   * @param {string} roomId - Room whose game ended
+   * @param {object} series - The room's series, its last result being the game that ended
+   */
+  async rateGame(roomId, series) {
+    const { players } = series;
+    const result = series.results[series.results.length - 1];
+    if (!result || players.length !== 2) return;
+
+    try {
+      const matched = await this.syncManager.getMatchedRoom(roomId);
+      if (!matched || !players.every(playerId => matched.includes(playerId))) return;
+
+      const score = result.winner === players[0] ? 1 : result.winner === players[1] ? 0 : 0.5;
+      let previous;
+      const updated = await this.syncManager.updateRatings(players, (entries) => {
+        previous = entries.map(entry => entry || { rating: Matchmaker.DEFAULT_RATING, games: 0 });
+        const ratings = Matchmaker.updateRatings(previous[0].rating, previous[1].rating, score);
+        return previous.map((entry, i) => ({ rating: ratings[i], games: entry.games + 1 }));
+      });
+      console.log(`[${this.serverId}] Ratings: ${players.map((playerId, i) => `${playerId} ${previous[i].rating} -> ${updated[i].rating}`).join(', ')}`);
+    } catch (error) {
+      console.error(`[${this.serverId}] Failed to update ratings:`, error.message);
+    }
+  }
+
+  /**
+   * Start health monitoring
+   */
+  startHealthMonitoring() {
+    this.healthCheckInterval = setInterval(() => {
+      this.performHealthCheck();
+      this.cleanupStaleConnections();
+      this.rateLimiter.prune();
+      this.logHealthMetrics();
+    }, 30000); // Every 30 seconds
+  }
+
+  /**
+   * Perform health check on all connections
+   */
+  performHealthCheck() {
+    this.clients.forEach((clientInfo, ws) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        clientInfo.isAlive = false;
+        ws.ping();
+      }
+    });
+  }
+
+  /**
+   * Clean up stale connections
+   */
+  cleanupStaleConnections() {
+    const now = Date.now();
+    const staleThreshold = 30 * 60 * 1000; // 30 minutes instead of 5
+
+    this.clients.forEach((clientInfo, ws) => {
+      if (!clientInfo.isAlive || (now - clientInfo.lastActivity) > staleThreshold) {
+        console.log(`[${this.serverId}] Cleaning up stale connection: ${clientInfo.id}`);
+        ws.terminate();
+
+        // Same path as a dropped socket, so seats get the reconnect window
+        this.handleDisconnectionSafely(ws, 1006, 'Stale connection');
+      }
+    });
+  }
+
+  /**
+   * Enhanced message sending with error handling
+   */
+  sendMessage(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      try {
+        const serialized = JSON.stringify(message);
+        ws.send(serialized);
+        return true;
+      } catch (error) {
+        console.error(`[${this.serverId}] Send error:`, error.message);
+        this.metrics.errorsHandled++;
+        return false;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get the room a client has joined
+   * @param {object} clientInfo - Client info
+   * @returns {object|null} Room or null if not in one
+   */
+  getClientRoom(clientInfo) {
+    return clientInfo.roomId ? this.rooms.getRoom(clientInfo.roomId) : null;
+  }
+
+  /**
+   * Send game state of a room to specific client
+   */
+  sendGameState(ws, roomId) {
+    const room = this.rooms.getRoom(roomId);
+    if (!room) return;
+
+    const gameState = {
+      type: 'gameState',
+      roomId: roomId,
+      ...room.game.getGameState(),
+      serverMetrics: this.getBasicMetrics()
+    };
+    
+    this.sendMessage(ws, gameState);
+  }
+
+  /**
+   * Send the list of open rooms to a client
+   */
+  sendRoomList(ws, request = null) {
+    this.sendReply(ws, request, { type: 'roomList', rooms: this.rooms.listRooms() });
+  }
+
+  /**
+   * Answer a client request, echoing its requestId
+   * @param {object|null} request - { id, answered } from processMessage, null for unsolicited messages
+   */
+  sendReply(ws, request, message) {
+    if (request) {
+      request.answered = true;
+      if (typeof request.id === 'string' || typeof request.id === 'number') {
+        message.requestId = request.id;
+      }
+    }
+    return this.sendMessage(ws, message);
+  }
+
+  /**
+   * Send error message to client
+   * @param {string} code - Stable code from ERROR_CODES
+   * @param {string} message - Human-readable description
+   * @param {object|null} request - Request that failed, if any
+   * @param {object} details - Extra fields for the client, e.g. retryAfterMs
+   */
+  sendError(ws, code, message, request = null, details = {}) {
+    this.sendReply(ws, request, { type: 'error', code: code, message: message, ...details });
+  }
+
+  /**
+   * Broadcast game over message to a room
+   */
+  broadcastGameOver(roomId, result) {
+    const message = {
+      type: 'gameOver',
+      roomId: roomId,
+      winner: result.winner,
+      winningLine: result.winningLine,
+      reason: result.reason,
+      gameState: result.gameState
+    };
+
+    this.broadcastToRoom(roomId, message);
+  }
+
+  /**
+   * Broadcast a takeback request or answer to a room
+   * @param {string} roomId - Room ID
+   * @param {string} action - request, accept or decline
+   * @param {string} playerId - Player who acted
+   */
+  broadcastTakeback(roomId, action, playerId) {
+    const message = {
+      type: 'takeback',
+      roomId: roomId,
+      action: action,
+      playerId: playerId
+    };
+
+    this.broadcastToRoom(roomId, message);
+  }
+
+  /**
+   * Broadcast a draw or reset offer, or its answer, to a room
+   * @param {string} roomId - Room ID
+   * @param {string} offer - draw or reset
+   * @param {string} action - offer, accept or decline
+   * @param {string} playerId - Player who acted
+   */
+  broadcastOffer(roomId, offer, action, playerId) {
+    const message = {
+      type: 'offer',
+      roomId: roomId,
+      offer: offer,
+      action: action,
+      playerId: playerId
+    };
+
+    this.broadcastToRoom(roomId, message);
+  }
+
+  /**
+   * Send a message to every client in a room
+   * @param {string} roomId - Room ID
+   * @param {object} message - Message to send
+   * @param {WebSocket} excludeWs - Client to skip, if any
+   */
+  broadcastToRoom(roomId, message, excludeWs = null) {
+    this.clients.forEach((clientInfo, ws) => {
+      if (clientInfo.roomId === roomId && ws !== excludeWs) {
+        this.sendMessage(ws, message);
+      }
+    });
+  }
+
+  /**
+   * Broadcast a room's state to its clients with error resilience
+   */
+  broadcastGameState(roomId) {
+    const room = this.rooms.getRoom(roomId);
+    if (!room) return;
+
+    const gameState = {
+      type: 'gameState',
+      roomId: roomId,
+      ...room.game.getGameState(),
+      serverMetrics: this.getBasicMetrics()
+    };
+
+    let successCount = 0;
+    let roomClients = 0;
+    this.clients.forEach((clientInfo, ws) => {
+      if (clientInfo.roomId !== roomId) return;
+
+      roomClients++;
+      if (this.sendMessage(ws, gameState)) {
+        successCount++;
+      }
+    });
+
+    console.log(`[${this.serverId}] Broadcast for room ${roomId} sent to ${successCount}/${roomClients} clients`);
+
+    // Every state change is broadcast, so this keeps the clock timer in step
+    this.scheduleClockCheck(roomId);
+  }
+
+  /**
+   * Get detailed server statistics
+   */
+  getDetailedStats() {
+    return {
       serverId: this.serverId,
       port: this.port,
       connectedClients: this.clients.size,
-      activePlayers: this.game.players.size,
-      gameStatus: this.game.gameStatus,
-      currentPlayer: this.game.currentPlayer,
+      activePlayers: this.rooms.getTotalPlayers(),
+      activeRooms: this.rooms.size,
+      activeBots: this.bots.size,
+      rooms: this.rooms.listRooms(),
+      matchmaking: {
+        queuedHere: this.matchTickets.size,
+        isMatcher: this.syncManager.isRoomOwner(MATCHMAKING_KEY),
+        matchesMade: this.matchesMade
+      },
+      cluster: {
+        liveServers: this.syncManager.membership.getLiveServerIds(),
+        members: this.syncManager.membership.getMembers(),
+        ownedRooms: Array.from(this.rooms.rooms.keys()).filter(roomId => this.syncManager.isRoomOwner(roomId))
+      },
       metrics: {
         ...this.metrics,
         uptime: Date.now() - this.startTime || Date.now(),
         memoryUsage: process.memoryUsage(),
         queueSize: this.messageQueue.length
-      }
+      },
+      rateLimits: this.rateLimiter.getStats(),
+      sync: this.syncManager.getMetrics()
     };
   }
 
+  /**
+   * Get the URLs of every live server, this one first, for client failover
+   * @returns {Array<string>} WebSocket URLs
+   */
+  getClusterUrls() {
+    const peerUrls = this.syncManager.membership.getMembers()
+      .filter(member => member.status === 'alive' && member.url)
+      .map(member => member.url);
+    return [this.publicUrl, ...peerUrls];
+  }
+
   /**
    * Get basic metrics for clients
    */
   getBasicMetrics() {
     return {
       connectedClients: this.clients.size,
-      activePlayers: this.game.players.size,
+      activePlayers: this.rooms.getTotalPlayers(),
+      activeRooms: this.rooms.size,
       avgResponseTime: this.metrics.avgResponseTime
     };
   }
@@ -601,7 +2476,7 @@ class EnhancedTicTacToeServer {
    */
   logHealthMetrics() {
     const stats = this.getDetailedStats();
-    console.log(`[${this.serverId}] Health: ${stats.connectedClients} clients, ${stats.metrics.messagesProcessed} msgs processed, ${stats.metrics.errorsHandled} errors handled`);
+    console.log(`[${this.serverId}] Health: ${stats.connectedClients} clients, ${stats.metrics.messagesProcessed} msgs processed, ${stats.metrics.errorsHandled} errors handled, ${stats.cluster.liveServers.length} live servers`);
   }
 
   /**
@@ -623,6 +2498,89 @@ class EnhancedTicTacToeServer {
     this.metrics.errorsHandled++;
   }
 
+  /**
+   * Drain the server before a deploy: refuse new connections, hand its rooms
+   * to peers, redirect every client to a peer, then shut down once they have
+   * all moved or the deadline passes
+   * @param {number} timeoutMs - Longest wait for clients to move
+   */
+  async drain(timeoutMs = this.drainTimeoutMs) {
+    if (this.isDraining) return;
+    this.isDraining = true;
+    console.log(`[${this.serverId}] Draining: moving ${this.clients.size} clients to peers`);
+
+    try {
+      await this.syncManager.startDraining();
+
+      // Bots run on this server and cannot follow their players
+      for (const roomId of Array.from(this.bots.keys())) {
+        await this.removeBot(roomId);
+      }
+
+      for (const [ws, clientInfo] of Array.from(this.clients)) {
+        await this.handOffClient(ws, clientInfo);
+      }
+
+      const deadline = Date.now() + timeoutMs;
+      while (this.clients.size > 0 && Date.now() < deadline) {
+        await this.sleep(250);
+      }
+      if (this.clients.size > 0) {
+        console.warn(`[${this.serverId}] ${this.clients.size} clients did not move before the drain deadline`);
+      }
+    } catch (error) {
+      console.error(`[${this.serverId}] Drain error:`, error.message);
+    }
+
+    await this.gracefulShutdown();
+  }
+
+  /**
+   * Point a client at a peer. A seated player's seat is held for them
+   * to resume on the peer with their token.
+   */
+  async handOffClient(ws, clientInfo) {
+    const room = this.getClientRoom(clientInfo);
+    const url = this.getRedirectUrl(room ? room.roomId : null);
+    if (!url) return; // No peer to go to; the client is closed on shutdown
+
+    if (room && room.game.isSeated(clientInfo.playerId)) {
+      const result = await this.performRoomAction(room, {
+        kind: 'disconnect',
+        playerId: clientInfo.playerId,
+        graceMs: this.reconnectGraceMs || DEFAULT_RECONNECT_GRACE_MS
+      });
+      clientInfo.handedOff = result.success;
+    }
+
+    this.sendMessage(ws, {
+      type: 'redirect',
+      url: url,
+      roomId: clientInfo.roomId,
+      resumeToken: clientInfo.handedOff ? clientInfo.resumeToken : null,
+      message: 'Server is shutting down'
+    });
+    ws.close(1012, 'Server draining');
+  }
+
+  /**
+   * Pick the peer a client should move to: the owner of its room, otherwise
+   * the live peer with the fewest clients
+   * @param {string|null} roomId - Client's room
+   * @returns {string|null} Peer URL, or null without a live peer
+   */
+  getRedirectUrl(roomId) {
+    const peers = this.syncManager.membership.getMembers()
+      .filter(member => member.status === 'alive' && member.url);
+    if (peers.length === 0) return null;
+
+    const owner = roomId && peers.find(member => member.serverId === this.syncManager.getRoomOwner(roomId));
+    if (owner) return owner.url;
+
+    const clientsOf = member => member.load.connectedClients || 0;
+    return peers.reduce((best, member) => (clientsOf(member) < clientsOf(best) ? member : best)).url;
+  }
+
   /**
    * Enhanced graceful shutdown - only on signal
    */
@@ -633,11 +2591,23 @@ class EnhancedTicTacToeServer {
     if (this.wss) {
       this.wss.close();
     }
+    if (this.httpServer) {
+      this.httpServer.close();
+    }
+    this.admin.close();
 
-    // Stop health monitoring
+    // Stop health monitoring and matchmaking
     if (this.healthCheckInterval) {
       clearInterval(this.healthCheckInterval);
     }
+    if (this.matchmakingInterval) {
+      clearInterval(this.matchmakingInterval);
+    }
+
+    // Stop pending bot moves, seat holds and clocks
+    this.bots.forEach(bot => clearTimeout(bot.moveTimer));
+    this.heldSeats.forEach(held => clearTimeout(held.timer));
+    this.clockTimers.forEach(timer => clearTimeout(timer));
 
     // Close all client connections gracefully
     const closePromises = [];
@@ -668,7 +2638,27 @@ class EnhancedTicTacToeServer {
 // Start server if run directly
 if (require.main === module) {
   const port = process.env.PORT || process.argv[2] || 3001;
-  const server = new EnhancedTicTacToeServer(parseInt(port));
+  const gameOptions = {
+    boardSize: process.env.BOARD_SIZE ? parseInt(process.env.BOARD_SIZE) : undefined,
+    winLength: process.env.WIN_LENGTH ? parseInt(process.env.WIN_LENGTH) : undefined,
+    timeControl: process.env.TIME_CONTROL || undefined,
+    bestOf: process.env.BEST_OF ? parseInt(process.env.BEST_OF) : undefined
+  };
+  const serverOptions = {
+    serverId: process.env.SERVER_ID || undefined,
+    publicUrl: process.env.PUBLIC_URL || undefined,
+    reconnectGraceMs: process.env.RECONNECT_GRACE_MS ? parseInt(process.env.RECONNECT_GRACE_MS) : undefined,
+    drainTimeoutMs: process.env.DRAIN_TIMEOUT_MS ? parseInt(process.env.DRAIN_TIMEOUT_MS) : undefined,
+    adminPort: process.env.ADMIN_PORT ? parseInt(process.env.ADMIN_PORT) : undefined,
+    adminToken: process.env.ADMIN_TOKEN || undefined,
+    // JSON overrides, e.g. {"move":{"capacity":5,"refillPerSecond":1}} under "messageTypes"
+    rateLimits: process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : undefined,
+    // JSON overrides, e.g. {"initialRatingGap":50,"gapGrowthPerSecond":5}
+    matchmaking: process.env.MATCHMAKING ? JSON.parse(process.env.MATCHMAKING) : undefined,
+    syncTransport: process.env.SYNC_TRANSPORT || undefined,
+    syncSecret: process.env.SYNC_SECRET || undefined
+  };
+  const server = new EnhancedTicTacToeServer(parseInt(port), gameOptions, serverOptions);
   server.start();
 }
 
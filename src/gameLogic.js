@@ -4,112 +4,368 @@
  * Human Refinements: Enhanced error handling, edge case management
  */
 
+const crypto = require('crypto');
+const { ERROR_CODES } = require('./clientProtocol');
+
+const DEFAULT_BOARD_SIZE = 3;
+const MIN_BOARD_SIZE = 3;
+const MAX_BOARD_SIZE = 19;
+
+const SYMBOLS = ['X', 'O'];
+
+// Longest series a room can be set to; series are odd so they cannot end level on wins alone
+const MAX_BEST_OF = 99;
+
+// Clock limits, in milliseconds
+const MIN_CLOCK_MS = 1000;
+const MAX_CLOCK_MS = 24 * 60 * 60 * 1000;
+
+// Directions scanned from the last move: horizontal, vertical, both diagonals
+const LINE_DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
 class TicTacToeGame {
-  constructor() {
+  /**
+   * @param {object} options - Board configuration
+   * @param {number} options.boardSize - Board width and height (3-19)
+   * @param {number} options.winLength - Marks in a row needed to win (3-boardSize)
+   * @param {object} options.timeControl - Optional clock, see normalizeTimeControl
+   * @param {number} options.bestOf - Games in a series (odd), or null for an open-ended series
+   */
+  constructor(options = {}) {
+    const config = TicTacToeGame.normalizeConfig(options);
+    this.boardSize = config.boardSize;
+    this.winLength = config.winLength;
+    this.timeControl = config.timeControl;
+    this.bestOf = config.bestOf;
     this.board = this.createEmptyBoard();
     this.currentPlayer = 'X';
     this.gameStatus = 'waiting'; // waiting, playing, finished
     this.winner = null;
-    this.players = new Set();
+    this.endReason = null; // line, draw, forfeit, timeout, resign, agreement
+    this.seats = { X: null, O: null }; // symbol -> playerId
+    this.spectators = new Set();
+    this.reconnecting = {}; // symbol -> { playerId, deadline } while a seat is held
     this.moveCount = 0;
+    this.moveHistory = []; // { moveNumber, symbol, row, col, playerId, timestamp, serverId }
+    this.pendingTakeback = null; // { requestedBy, symbol, requestedAt }
+    this.pendingOffer = null; // { kind: draw or reset, offeredBy, symbol, offeredAt }
+    this.clocks = null; // symbol -> banked milliseconds, excluding the running turn
+    this.turnStartedAt = null; // when the running turn's clock started
+    this.version = 0; // bumped each time a change is committed to the shared store
+    this.lastEvent = null; // { clock, serverId } of the change that produced this version
+    this.series = null; // { players, results, score, draws, gamesPlayed, finished, winner }
+    this.startSeries();
+    this.initClocks();
+  }
+
+  /**
+   * Validate and fill in defaults for a board configuration
+   * @param {object} options - Requested boardSize, winLength, timeControl and bestOf
+   * @returns {object} Normalized { boardSize, winLength, timeControl, bestOf }
+   */
+  static normalizeConfig(options = {}) {
+    const boardSize = options.boardSize === undefined ? DEFAULT_BOARD_SIZE : options.boardSize;
+    if (!Number.isInteger(boardSize) || boardSize < MIN_BOARD_SIZE || boardSize > MAX_BOARD_SIZE) {
+      throw new Error(`Board size must be an integer between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}`);
+    }
+
+    const winLength = options.winLength === undefined ? Math.min(boardSize, 5) : options.winLength;
+    if (!Number.isInteger(winLength) || winLength < MIN_BOARD_SIZE || winLength > boardSize) {
+      throw new Error(`Win length must be an integer between ${MIN_BOARD_SIZE} and ${boardSize}`);
+    }
+
+    const timeControl = TicTacToeGame.normalizeTimeControl(options.timeControl);
+
+    const bestOf = options.bestOf === undefined ? null : options.bestOf;
+    if (bestOf !== null && (!Number.isInteger(bestOf) || bestOf < 1 || bestOf > MAX_BEST_OF || bestOf % 2 === 0)) {
+      throw new Error(`Best of must be an odd number between 1 and ${MAX_BEST_OF}`);
+    }
+
+    return { boardSize, winLength, timeControl, bestOf };
+  }
+
+  /**
+   * Validate a time control. Accepts the client form in seconds
+   * ({ initialSeconds, incrementSeconds } or { perMoveSeconds }), the short
+   * text form ("300+2" or "30/move"), or an already normalized one from a
+   * synced game state.
+   * @param {object|string} timeControl - Requested time control, or null for no clock
+   * @returns {object|null} { type: 'fischer', baseMs, incrementMs } or { type: 'perMove', perMoveMs }
+   */
+  static normalizeTimeControl(timeControl) {
+    if (timeControl === undefined || timeControl === null || timeControl === '') return null;
+
+    if (typeof timeControl === 'string') {
+      const perMove = timeControl.match(/^(\d+(?:\.\d+)?)\/move$/);
+      const fischer = timeControl.match(/^(\d+(?:\.\d+)?)(?:\+(\d+(?:\.\d+)?))?$/);
+      if (perMove) {
+        timeControl = { perMoveSeconds: parseFloat(perMove[1]) };
+      } else if (fischer) {
+        timeControl = { initialSeconds: parseFloat(fischer[1]), incrementSeconds: parseFloat(fischer[2] || '0') };
+      } else {
+        throw new Error(`Invalid time control "${timeControl}". Use <seconds>+<increment> or <seconds>/move`);
+      }
+    }
+
+    const checkMs = (value, name, min = MIN_CLOCK_MS) => {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > MAX_CLOCK_MS) {
+        throw new Error(`${name} must be between ${min / 1000} and ${MAX_CLOCK_MS / 1000} seconds`);
+      }
+      return Math.round(value);
+    };
+
+    if (timeControl.type === 'perMove' || timeControl.perMoveSeconds !== undefined) {
+      const perMoveMs = timeControl.type === 'perMove' ? timeControl.perMoveMs : timeControl.perMoveSeconds * 1000;
+      return { type: 'perMove', perMoveMs: checkMs(perMoveMs, 'Time per move') };
+    }
+
+    if (timeControl.type === 'fischer' || timeControl.initialSeconds !== undefined) {
+      const isNormalized = timeControl.type === 'fischer';
+      const baseMs = isNormalized ? timeControl.baseMs : timeControl.initialSeconds * 1000;
+      const incrementMs = isNormalized ? timeControl.incrementMs : (timeControl.incrementSeconds || 0) * 1000;
+      return {
+        type: 'fischer',
+        baseMs: checkMs(baseMs, 'Initial time'),
+        incrementMs: checkMs(incrementMs, 'Increment', 0)
+      };
+    }
+
+    throw new Error('Time control needs initialSeconds (with optional incrementSeconds) or perMoveSeconds');
   }
 
   createEmptyBoard() {
-    return Array(3).fill().map(() => Array(3).fill(''));
+    return Array(this.boardSize).fill().map(() => Array(this.boardSize).fill(''));
   }
 
   /**
-   * Add a player to the game with global player counting
+   * Seat a player in the first free seat (X before O), or add them as a
+   * spectator once both seats are taken
    * @param {string} playerId - Unique player identifier
-   * @param {number} globalPlayerCount - Total players across all servers
    * @returns {object} Player assignment result
    */
-  addPlayer(playerId, globalPlayerCount = 0) {
-    // Use global count to determine symbol, not local count
-    const totalPlayers = Math.max(this.players.size, globalPlayerCount);
-    
-    if (totalPlayers >= 2) {
-      return { success: false, message: 'Game is full' };
+  addPlayer(playerId) {
+    if (this.isSeated(playerId) || this.spectators.has(playerId)) {
+      return { success: false, code: ERROR_CODES.ALREADY_IN_GAME, message: 'Player already in game' };
     }
 
-    if (this.players.has(playerId)) {
-      return { success: false, message: 'Player already in game' };
+    const freeSeats = SYMBOLS.filter(symbol => !this.seats[symbol]);
+
+    if (freeSeats.length === 0) {
+      this.spectators.add(playerId);
+      return {
+        success: true,
+        role: 'spectator',
+        playerSymbol: null,
+        gameStatus: this.gameStatus,
+        message: 'Game is full, you are spectating'
+      };
     }
 
-    // First player globally gets X, second gets O
-    const playerSymbol = totalPlayers === 0 ? 'X' : 'O';
-    this.players.add(playerId);
+    const playerSymbol = freeSeats[0];
+    this.seats[playerSymbol] = playerId;
     
-    if (this.players.size === 2) {
+    if (this.getSeatedPlayers().length === 2 && !this.isSeriesPair()) {
+      this.startSeries();
+    }
+
+    if (this.getSeatedPlayers().length === 2 && this.gameStatus === 'waiting') {
       this.gameStatus = 'playing';
+      this.startTurnClock();
     }
 
     return { 
       success: true, 
+      role: 'player',
       playerSymbol, 
       gameStatus: this.gameStatus,
-      globalPlayerCount: totalPlayers + 1,
       message: `You are player ${playerSymbol}` 
     };
   }
 
   /**
-   * Remove a player from the game
+   * Remove a player or spectator from the game
    * @param {string} playerId - Player to remove
    */
   removePlayer(playerId) {
-    this.players.delete(playerId);
-    if (this.players.size < 2 && this.gameStatus === 'playing') {
+    if (this.spectators.delete(playerId)) return;
+
+    const symbol = this.getPlayerSymbol(playerId);
+    if (!symbol) return;
+
+    this.seats[symbol] = null;
+    delete this.reconnecting[symbol];
+    this.pendingTakeback = null;
+    this.pendingOffer = null;
+    if (this.gameStatus === 'playing') {
+      this.stopTurnClock();
       this.gameStatus = 'waiting';
     }
   }
 
+  /**
+   * Hold a disconnected player's seat until the grace deadline
+   * @param {string} playerId - Player who dropped
+   * @param {number} graceMs - How long the seat is held
+   * @returns {number|null} Deadline timestamp, null if the player is not seated
+   */
+  markDisconnected(playerId, graceMs) {
+    const symbol = this.getPlayerSymbol(playerId);
+    if (!symbol) return null;
+
+    const deadline = Date.now() + graceMs;
+    this.reconnecting[symbol] = { playerId, deadline };
+    return deadline;
+  }
+
+  /**
+   * Release the hold on a returning player's seat
+   * @param {string} playerId - Player who came back
+   * @returns {boolean} True if the player was reconnecting
+   */
+  markReconnected(playerId) {
+    const symbol = this.getPlayerSymbol(playerId);
+    if (!symbol || !this.reconnecting[symbol]) return false;
+
+    delete this.reconnecting[symbol];
+    return true;
+  }
+
+  /**
+   * Check whether a seated player is inside their reconnection window
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if the seat is being held
+   */
+  isReconnecting(playerId) {
+    const symbol = this.getPlayerSymbol(playerId);
+    return Boolean(symbol && this.reconnecting[symbol]);
+  }
+
+  /**
+   * End a game in progress as a loss for the given player and free their seat
+   * @param {string} playerId - Player who forfeits
+   * @returns {object} Forfeit result
+   */
+  forfeit(playerId) {
+    const symbol = this.getPlayerSymbol(playerId);
+    if (!symbol) {
+      return { success: false, code: ERROR_CODES.NOT_SEATED, message: 'Player is not seated' };
+    }
+
+    const wasPlaying = this.gameStatus === 'playing';
+    if (wasPlaying) {
+      this.endGame(symbol === 'X' ? 'O' : 'X', 'forfeit');
+    }
+
+    this.removePlayer(playerId);
+
+    return {
+      success: true,
+      gameOver: wasPlaying,
+      winner: wasPlaying ? this.winner : null,
+      reason: 'forfeit',
+      gameState: this.getGameState()
+    };
+  }
+
+  /**
+   * Check whether a player holds a seat
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if seated as X or O
+   */
+  isSeated(playerId) {
+    return playerId !== null && playerId !== undefined && SYMBOLS.some(symbol => this.seats[symbol] === playerId);
+  }
+
+  /**
+   * Get seated player IDs, X first
+   * @returns {Array<string>} Seated players
+   */
+  getSeatedPlayers() {
+    return SYMBOLS.map(symbol => this.seats[symbol]).filter(Boolean);
+  }
+
+  /**
+   * Check whether nobody is seated or watching
+   * @returns {boolean} True if the game has no participants
+   */
+  isEmpty() {
+    return this.getSeatedPlayers().length === 0 && this.spectators.size === 0;
+  }
+
   /**
    * Make a move on the board
-   * @param {number} row - Row index (0-2)
-   * @param {number} col - Column index (0-2)
+   * @param {number} row - Row index (0 to boardSize-1)
+   * @param {number} col - Column index (0 to boardSize-1)
    * @param {string} playerId - Player making the move
+   * @param {string} serverId - Server that accepted the move, recorded in the history
    * @returns {object} Move result
    */
-  makeMove(row, col, playerId) {
+  makeMove(row, col, playerId, serverId = null) {
+    // A move that arrives after the flag fell loses on time instead
+    const timeout = this.checkTimeout();
+    if (timeout.gameOver) {
+      return { success: false, ...timeout, code: ERROR_CODES.TIME_EXPIRED, message: 'Time has run out' };
+    }
+
     // Validation checks
     const validation = this.validateMove(row, col, playerId);
     if (!validation.valid) {
-      return { success: false, message: validation.message };
+      return { success: false, code: validation.code, message: validation.message };
     }
 
     // Make the move
     const playerSymbol = this.getPlayerSymbol(playerId);
     this.board[row][col] = playerSymbol;
     this.moveCount++;
+    this.moveHistory.push({
+      moveNumber: this.moveCount,
+      symbol: playerSymbol,
+      row,
+      col,
+      playerId,
+      timestamp: Date.now(),
+      serverId
+    });
+
+    // Playing on answers any open takeback request, draw or reset offer
+    this.pendingTakeback = null;
+    this.pendingOffer = null;
+
+    // Bank the mover's time; the next turn's clock starts only if the game goes on
+    this.stopTurnClock();
+    if (this.timeControl && this.timeControl.type === 'fischer') {
+      this.clocks[playerSymbol] += this.timeControl.incrementMs;
+    }
 
-    // Check for win condition
-    const winResult = this.checkWinCondition();
+    // Check for win condition through the cell just played
+    const winResult = this.checkWinCondition(row, col);
     if (winResult.hasWinner) {
-      this.gameStatus = 'finished';
-      this.winner = winResult.winner;
+      this.endGame(winResult.winner, 'line');
       return {
         success: true,
         gameState: this.getGameState(),
         gameOver: true,
         winner: winResult.winner,
-        winningLine: winResult.winningLine
+        winningLine: winResult.winningLine,
+        reason: 'line'
       };
     }
 
     // Check for draw
-    if (this.moveCount === 9) {
-      this.gameStatus = 'finished';
+    if (this.moveCount === this.boardSize * this.boardSize) {
+      this.endGame(null, 'draw');
       return {
         success: true,
         gameState: this.getGameState(),
         gameOver: true,
-        winner: 'draw'
+        winner: 'draw',
+        reason: 'draw'
       };
     }
 
     // Switch turns
     this.currentPlayer = this.currentPlayer === 'X' ? 'O' : 'X';
+    this.startTurnClock();
 
     return {
       success: true,
@@ -128,23 +384,29 @@ class TicTacToeGame {
   validateMove(row, col, playerId) {
     // Check if game is in playing state
     if (this.gameStatus !== 'playing') {
-      return { valid: false, message: 'Game is not in playing state' };
+      return { valid: false, code: ERROR_CODES.GAME_NOT_PLAYING, message: 'Game is not in playing state' };
     }
 
     // Check if it's player's turn
     const playerSymbol = this.getPlayerSymbol(playerId);
+    if (!playerSymbol) {
+      return { valid: false, code: ERROR_CODES.NOT_SEATED, message: 'Only seated players can move' };
+    }
+
     if (playerSymbol !== this.currentPlayer) {
-      return { valid: false, message: `It's not your turn. Current player: ${this.currentPlayer}` };
+      return { valid: false, code: ERROR_CODES.NOT_YOUR_TURN, message: `It's not your turn. Current player: ${this.currentPlayer}` };
     }
 
     // Check bounds
-    if (row < 0 || row > 2 || col < 0 || col > 2) {
-      return { valid: false, message: 'Move out of bounds. Use 0-2 for row and column' };
+    const maxIndex = this.boardSize - 1;
+    if (!Number.isInteger(row) || !Number.isInteger(col) ||
+        row < 0 || row > maxIndex || col < 0 || col > maxIndex) {
+      return { valid: false, code: ERROR_CODES.OUT_OF_BOUNDS, message: `Move out of bounds. Use 0-${maxIndex} for row and column` };
     }
 
     // Check if cell is empty
     if (this.board[row][col] !== '') {
-      return { valid: false, message: 'Cell is already occupied' };
+      return { valid: false, code: ERROR_CODES.CELL_OCCUPIED, message: 'Cell is already occupied' };
     }
 
     return { valid: true };
@@ -153,43 +415,46 @@ class TicTacToeGame {
   /**
    * Get player symbol for a given player ID
    * @param {string} playerId - Player ID
-   * @returns {string} Player symbol (X or O)
+   * @returns {string|null} Player symbol (X or O), null if not seated
    */
   getPlayerSymbol(playerId) {
-    const playersArray = Array.from(this.players);
-    const playerIndex = playersArray.indexOf(playerId);
-    return playerIndex === 0 ? 'X' : 'O';
+    return SYMBOLS.find(symbol => this.seats[symbol] === playerId) || null;
   }
 
   /**
-   * Check for win conditions
+   * Check for a win on any line passing through the given cell
+   * @param {number} row - Row of the last move
+   * @param {number} col - Column of the last move
    * @returns {object} Win check result
    */
-  checkWinCondition() {
-    const lines = [
-      // Rows
-      [[0,0], [0,1], [0,2]],
-      [[1,0], [1,1], [1,2]],
-      [[2,0], [2,1], [2,2]],
-      // Columns
-      [[0,0], [1,0], [2,0]],
-      [[0,1], [1,1], [2,1]],
-      [[0,2], [1,2], [2,2]],
-      // Diagonals
-      [[0,0], [1,1], [2,2]],
-      [[0,2], [1,1], [2,0]]
-    ];
-
-    for (const line of lines) {
-      const [a, b, c] = line;
-      const valueA = this.board[a[0]][a[1]];
-      const valueB = this.board[b[0]][b[1]];
-      const valueC = this.board[c[0]][c[1]];
-
-      if (valueA && valueA === valueB && valueA === valueC) {
+  checkWinCondition(row, col) {
+    const symbol = this.board[row][col];
+    if (!symbol) {
+      return { hasWinner: false };
+    }
+
+    for (const [dRow, dCol] of LINE_DIRECTIONS) {
+      const line = [[row, col]];
+
+      // Walk backwards, then forwards, collecting matching cells
+      for (const sign of [-1, 1]) {
+        let r = row + dRow * sign;
+        let c = col + dCol * sign;
+        while (this.isInBounds(r, c) && this.board[r][c] === symbol) {
+          if (sign < 0) {
+            line.unshift([r, c]);
+          } else {
+            line.push([r, c]);
+          }
+          r += dRow * sign;
+          c += dCol * sign;
+        }
+      }
+
+      if (line.length >= this.winLength) {
         return {
           hasWinner: true,
-          winner: valueA,
+          winner: symbol,
           winningLine: line
         };
       }
@@ -198,6 +463,423 @@ class TicTacToeGame {
     return { hasWinner: false };
   }
 
+  /**
+   * Check whether a cell lies on the board
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   * @returns {boolean} True if inside the board
+   */
+  isInBounds(row, col) {
+    return row >= 0 && row < this.boardSize && col >= 0 && col < this.boardSize;
+  }
+
+  /**
+   * Ask to take back the player's most recent move. Only a game in progress
+   * can be rewound: a finished game's result stands, however it ended.
+   * @param {string} playerId - Player asking for the takeback
+   * @returns {object} Request result
+   */
+  requestTakeback(playerId) {
+    if (!this.isSeated(playerId)) {
+      return { success: false, code: ERROR_CODES.NOT_SEATED, message: 'Only seated players can request a takeback' };
+    }
+
+    if (this.gameStatus !== 'playing') {
+      return { success: false, code: ERROR_CODES.GAME_NOT_PLAYING, message: 'Game is not in progress' };
+    }
+
+    if (this.pendingTakeback) {
+      return { success: false, code: ERROR_CODES.TAKEBACK_PENDING, message: 'A takeback request is already pending' };
+    }
+
+    const symbol = this.getPlayerSymbol(playerId);
+    if (!this.moveHistory.some(entry => entry.symbol === symbol)) {
+      return { success: false, code: ERROR_CODES.NOTHING_TO_TAKE_BACK, message: 'You have no move to take back' };
+    }
+
+    this.pendingTakeback = { requestedBy: playerId, symbol, requestedAt: Date.now() };
+    return { success: true, pendingTakeback: { ...this.pendingTakeback } };
+  }
+
+  /**
+   * Accept or decline the opponent's pending takeback request
+   * @param {string} playerId - Player answering the request
+   * @param {boolean} accept - True to roll back
+   * @returns {object} Response result with the undone moves when accepted
+   */
+  respondToTakeback(playerId, accept) {
+    if (!this.pendingTakeback) {
+      return { success: false, code: ERROR_CODES.NO_TAKEBACK_PENDING, message: 'No takeback request is pending' };
+    }
+
+    if (!this.isSeated(playerId) || playerId === this.pendingTakeback.requestedBy) {
+      return { success: false, code: ERROR_CODES.NOT_OPPONENT, message: 'Only the opponent can answer a takeback request' };
+    }
+
+    const request = this.pendingTakeback;
+    this.pendingTakeback = null;
+
+    if (!accept) {
+      return { success: true, accepted: false, request };
+    }
+
+    // Undo the requester's last move plus any reply played after it
+    const index = this.moveHistory.map(entry => entry.symbol).lastIndexOf(request.symbol);
+    const undone = this.rollbackTo(index);
+
+    return { success: true, accepted: true, request, undone };
+  }
+
+  /**
+   * Reset the board for a seated player. During a game the reset becomes an
+   * offer the opponent must accept; after a game between two players it is a
+   * rematch request, so colors swap and the series goes on. Otherwise, with
+   * no opponent to ask, the reset is immediate.
+   * @param {string} playerId - Player asking for the reset
+   * @returns {object} Result with reset true, the pending offer, or the accepted rematch
+   */
+  requestReset(playerId) {
+    if (!this.isSeated(playerId)) {
+      return { success: false, code: ERROR_CODES.NOT_SEATED, message: 'Only seated players can reset the game' };
+    }
+
+    if (this.gameStatus === 'finished' && this.getSeatedPlayers().length === 2) {
+      return this.requestRematch(playerId);
+    }
+
+    if (this.gameStatus !== 'playing') {
+      this.resetGame();
+      return { success: true, reset: true };
+    }
+
+    return this.makeOffer('reset', playerId);
+  }
+
+  /**
+   * Offer the opponent a draw
+   * @param {string} playerId - Player making the offer
+   * @returns {object} Result with the pending offer
+   */
+  offerDraw(playerId) {
+    if (!this.isSeated(playerId)) {
+      return { success: false, code: ERROR_CODES.NOT_SEATED, message: 'Only seated players can offer a draw' };
+    }
+
+    if (this.gameStatus !== 'playing') {
+      return { success: false, code: ERROR_CODES.GAME_NOT_PLAYING, message: 'Game is not in progress' };
+    }
+
+    return this.makeOffer('draw', playerId);
+  }
+
+  makeOffer(kind, playerId) {
+    if (this.pendingOffer) {
+      return { success: false, code: ERROR_CODES.OFFER_PENDING, message: `A ${this.pendingOffer.kind} offer is already pending` };
+    }
+
+    this.pendingOffer = { kind, offeredBy: playerId, symbol: this.getPlayerSymbol(playerId), offeredAt: Date.now() };
+    return { success: true, offer: { ...this.pendingOffer } };
+  }
+
+  /**
+   * Accept or decline the opponent's pending draw or reset offer
+   * @param {string} playerId - Player answering the offer
+   * @param {string} kind - draw or reset
+   * @param {boolean} accept - True to end the game drawn or start a new one
+   * @returns {object} Response result, with gameOver when a draw is agreed
+   */
+  respondToOffer(playerId, kind, accept) {
+    if (!this.pendingOffer || this.pendingOffer.kind !== kind) {
+      return { success: false, code: ERROR_CODES.NO_OFFER_PENDING, message: `No ${kind} offer is pending` };
+    }
+
+    if (!this.isSeated(playerId) || playerId === this.pendingOffer.offeredBy) {
+      return { success: false, code: ERROR_CODES.NOT_OPPONENT, message: `Only the opponent can answer a ${kind} offer` };
+    }
+
+    const offer = this.pendingOffer;
+    this.pendingOffer = null;
+
+    if (!accept) {
+      return { success: true, accepted: false, offer };
+    }
+
+    if (kind === 'reset') {
+      this.resetGame();
+      return { success: true, accepted: true, offer };
+    }
+
+    if (kind === 'rematch') {
+      this.startRematch();
+      return { success: true, accepted: true, offer };
+    }
+
+    // A draw agreed after the flag fell is a loss on time instead
+    const timeout = this.checkTimeout();
+    if (timeout.gameOver) {
+      return { success: false, ...timeout, code: ERROR_CODES.TIME_EXPIRED, message: 'Time has run out' };
+    }
+
+    this.endGame(null, 'agreement');
+    return {
+      success: true,
+      accepted: true,
+      offer,
+      gameOver: true,
+      winner: 'draw',
+      reason: 'agreement',
+      gameState: this.getGameState()
+    };
+  }
+
+  /**
+   * Concede the game in progress to the opponent
+   * @param {string} playerId - Player who resigns
+   * @returns {object} Game over result
+   */
+  resign(playerId) {
+    const symbol = this.getPlayerSymbol(playerId);
+    if (!symbol) {
+      return { success: false, code: ERROR_CODES.NOT_SEATED, message: 'Only seated players can resign' };
+    }
+
+    if (this.gameStatus !== 'playing') {
+      return { success: false, code: ERROR_CODES.GAME_NOT_PLAYING, message: 'Game is not in progress' };
+    }
+
+    const timeout = this.checkTimeout();
+    if (timeout.gameOver) {
+      return { success: false, ...timeout, code: ERROR_CODES.TIME_EXPIRED, message: 'Time has run out' };
+    }
+
+    this.endGame(symbol === 'X' ? 'O' : 'X', 'resign');
+    return {
+      success: true,
+      gameOver: true,
+      winner: this.winner,
+      loser: symbol,
+      reason: 'resign',
+      gameState: this.getGameState()
+    };
+  }
+
+  /**
+   * Finish the game in progress, drop any open negotiation and score it in the series
+   * @param {string|null} winner - Winning symbol, null for a draw
+   * @param {string} reason - End reason
+   */
+  endGame(winner, reason) {
+    this.stopTurnClock();
+    this.gameStatus = 'finished';
+    this.winner = winner;
+    this.endReason = reason;
+    this.pendingTakeback = null;
+    this.pendingOffer = null;
+    this.recordSeriesResult();
+  }
+
+  /**
+   * Ask for a rematch after the game is over. The opponent agrees by asking
+   * too; the players then swap colors, so the first move alternates.
+   * @param {string} playerId - Player opting in
+   * @returns {object} Result with the pending offer, or accepted when both opted in
+   */
+  requestRematch(playerId) {
+    if (!this.isSeated(playerId)) {
+      return { success: false, code: ERROR_CODES.NOT_SEATED, message: 'Only seated players can ask for a rematch' };
+    }
+
+    if (this.gameStatus !== 'finished') {
+      return { success: false, code: ERROR_CODES.GAME_NOT_FINISHED, message: 'A rematch can only start once the game is over' };
+    }
+
+    if (this.getSeatedPlayers().length < 2) {
+      return { success: false, code: ERROR_CODES.NO_OPPONENT, message: 'Your opponent has left the game' };
+    }
+
+    const offer = this.pendingOffer;
+    if (offer && offer.kind === 'rematch' && offer.offeredBy !== playerId) {
+      return this.respondToOffer(playerId, 'rematch', true);
+    }
+
+    return this.makeOffer('rematch', playerId);
+  }
+
+  /**
+   * Swap colors and start the next game, or a new series once one is decided
+   */
+  startRematch() {
+    this.seats = { X: this.seats.O, O: this.seats.X };
+    this.reconnecting = Object.fromEntries(
+      Object.entries(this.reconnecting).map(([symbol, hold]) => [symbol === 'X' ? 'O' : 'X', hold])
+    );
+    if (this.series.finished) {
+      this.startSeries();
+    }
+    this.resetGame();
+  }
+
+  /**
+   * Start an empty series between the seated players
+   */
+  startSeries() {
+    this.series = { players: this.getSeatedPlayers(), results: [] };
+    this.tallySeries();
+  }
+
+  /**
+   * Check whether the series is between the two players now seated
+   * @returns {boolean} True if both seats belong to the series' players
+   */
+  isSeriesPair() {
+    const seated = this.getSeatedPlayers();
+    return seated.length === 2 && seated.every(playerId => this.series.players.includes(playerId));
+  }
+
+  /**
+   * Score the game that just ended in the series
+   */
+  recordSeriesResult() {
+    if (!this.isSeriesPair() || this.series.finished) {
+      this.startSeries();
+    }
+
+    this.series.results.push({
+      winner: this.winner ? this.seats[this.winner] : null,
+      reason: this.endReason,
+      startedBy: this.seats.X
+    });
+    this.tallySeries();
+  }
+
+  /**
+   * Recompute the score, and whether the series is decided, from its results
+   */
+  tallySeries() {
+    const { players, results } = this.series;
+    const score = Object.fromEntries(players.map(playerId => [playerId, 0]));
+    results.forEach((result) => {
+      if (result.winner && score[result.winner] !== undefined) score[result.winner]++;
+    });
+
+    const [first, second] = players.map(playerId => score[playerId]);
+    const lead = Math.abs((first || 0) - (second || 0));
+    const remaining = this.bestOf ? this.bestOf - results.length : Infinity;
+    // Decided once the trailing player cannot catch up, or every game is played
+    const finished = remaining <= 0 || lead > remaining;
+
+    Object.assign(this.series, {
+      score,
+      draws: results.filter(result => !result.winner).length,
+      gamesPlayed: results.length,
+      finished,
+      winner: finished && lead > 0 ? players[first > second ? 0 : 1] : null
+    });
+  }
+
+  /**
+   * Rewind the game so only the first `historyLength` moves remain
+   * @param {number} historyLength - Number of moves to keep
+   * @returns {Array<object>} Undone moves, most recent first
+   */
+  rollbackTo(historyLength) {
+    if (!Number.isInteger(historyLength) || historyLength < 0 || historyLength > this.moveHistory.length) {
+      throw new Error(`Cannot roll back to move ${historyLength}`);
+    }
+
+    const undone = this.moveHistory.splice(historyLength).reverse();
+    undone.forEach((entry) => {
+      this.board[entry.row][entry.col] = '';
+    });
+
+    if (undone.length > 0) {
+      // Time already spent stays spent; the clock restarts for the player to move
+      this.stopTurnClock();
+      this.moveCount = this.moveHistory.length;
+      this.currentPlayer = undone[undone.length - 1].symbol;
+      this.winner = null;
+      this.endReason = null;
+      this.gameStatus = this.getSeatedPlayers().length === 2 ? 'playing' : 'waiting';
+      this.startTurnClock();
+    }
+
+    return undone;
+  }
+
+  /**
+   * Reset both clocks to the time control's starting time
+   */
+  initClocks() {
+    this.turnStartedAt = null;
+    if (!this.timeControl) {
+      this.clocks = null;
+      return;
+    }
+
+    const initial = this.timeControl.type === 'perMove' ? this.timeControl.perMoveMs : this.timeControl.baseMs;
+    this.clocks = { X: initial, O: initial };
+  }
+
+  /**
+   * Start the clock of the player to move, if the game is running
+   * @param {number} now - Current time
+   */
+  startTurnClock(now = Date.now()) {
+    if (!this.timeControl || this.gameStatus !== 'playing') return;
+
+    if (this.timeControl.type === 'perMove') {
+      this.clocks[this.currentPlayer] = this.timeControl.perMoveMs;
+    }
+    this.turnStartedAt = now;
+  }
+
+  /**
+   * Stop the running clock and bank the time spent
+   * @param {number} now - Current time
+   */
+  stopTurnClock(now = Date.now()) {
+    if (!this.timeControl || this.turnStartedAt === null) return;
+
+    this.clocks[this.currentPlayer] = Math.max(0, this.clocks[this.currentPlayer] - (now - this.turnStartedAt));
+    this.turnStartedAt = null;
+  }
+
+  /**
+   * Get a player's remaining time, including the running turn
+   * @param {string} symbol - X or O
+   * @param {number} now - Current time
+   * @returns {number|null} Milliseconds left, null without a time control
+   */
+  getRemainingTime(symbol, now = Date.now()) {
+    if (!this.timeControl) return null;
+
+    const running = symbol === this.currentPlayer && this.turnStartedAt !== null;
+    return Math.max(0, this.clocks[symbol] - (running ? now - this.turnStartedAt : 0));
+  }
+
+  /**
+   * End the game if the player to move has run out of time
+   * @param {number} now - Current time
+   * @returns {object} Timeout result, gameOver false if time remains
+   */
+  checkTimeout(now = Date.now()) {
+    if (!this.timeControl || this.gameStatus !== 'playing' || this.getRemainingTime(this.currentPlayer, now) > 0) {
+      return { gameOver: false };
+    }
+
+    const loser = this.currentPlayer;
+    this.stopTurnClock(now);
+    this.endGame(loser === 'X' ? 'O' : 'X', 'timeout');
+
+    return {
+      gameOver: true,
+      winner: this.winner,
+      loser,
+      reason: 'timeout',
+      gameState: this.getGameState()
+    };
+  }
+
   /**
    * Get current game state
    * @returns {object} Complete game state
@@ -205,23 +887,65 @@ class TicTacToeGame {
   getGameState() {
     return {
       board: this.board.map(row => [...row]), // Deep copy
+      boardSize: this.boardSize,
+      winLength: this.winLength,
+      timeControl: this.timeControl ? { ...this.timeControl } : null,
+      bestOf: this.bestOf,
+      clocks: this.clocks ? { ...this.clocks } : null,
+      turnStartedAt: this.turnStartedAt,
+      serverTime: Date.now(),
       currentPlayer: this.currentPlayer,
       gameStatus: this.gameStatus,
       winner: this.winner,
-      players: Array.from(this.players),
-      moveCount: this.moveCount
+      endReason: this.endReason,
+      players: this.getSeatedPlayers(),
+      seats: { ...this.seats },
+      spectators: Array.from(this.spectators),
+      reconnecting: JSON.parse(JSON.stringify(this.reconnecting)),
+      moveCount: this.moveCount,
+      moveHistory: this.moveHistory.map(entry => ({ ...entry })),
+      pendingTakeback: this.pendingTakeback ? { ...this.pendingTakeback } : null,
+      pendingOffer: this.pendingOffer ? { ...this.pendingOffer } : null,
+      // nextStarter is who plays X, and so moves first, after a rematch
+      series: { ...JSON.parse(JSON.stringify(this.series)), nextStarter: this.seats.O },
+      version: this.version,
+      lastEvent: this.lastEvent ? { ...this.lastEvent } : null
     };
   }
 
+  /**
+   * Short hash of everything getGameState syncs, except the sender's serverTime
+   * @param {object} gameState - State from getGameState
+   * @returns {string} Fingerprint
+   */
+  static fingerprint(gameState) {
+    const { serverTime, ...synced } = gameState;
+    return crypto.createHash('sha1').update(JSON.stringify(synced)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Fingerprint of this game's current state
+   * @returns {string} Fingerprint
+   */
+  getFingerprint() {
+    return TicTacToeGame.fingerprint(this.getGameState());
+  }
+
   /**
    * Reset the game to initial state
    */
   resetGame() {
     this.board = this.createEmptyBoard();
     this.currentPlayer = 'X';
-    this.gameStatus = this.players.size === 2 ? 'playing' : 'waiting';
+    this.gameStatus = this.getSeatedPlayers().length === 2 ? 'playing' : 'waiting';
     this.winner = null;
+    this.endReason = null;
     this.moveCount = 0;
+    this.moveHistory = [];
+    this.pendingTakeback = null;
+    this.pendingOffer = null;
+    this.initClocks();
+    this.startTurnClock();
   }
 
   /**
@@ -229,15 +953,51 @@ class TicTacToeGame {
    * @param {object} newState - New game state
    */
   updateState(newState) {
+    // Older peers omit the board config, so fall back to the board itself
+    this.boardSize = newState.boardSize || newState.board.length;
+    this.winLength = newState.winLength || Math.min(this.boardSize, this.winLength);
+    if (newState.timeControl !== undefined) {
+      this.timeControl = newState.timeControl ? { ...newState.timeControl } : null;
+      this.clocks = newState.clocks ? { ...newState.clocks } : null;
+      this.turnStartedAt = newState.turnStartedAt || null;
+    }
+    if (newState.bestOf !== undefined) {
+      this.bestOf = newState.bestOf;
+    }
     this.board = newState.board;
     this.currentPlayer = newState.currentPlayer;
     this.gameStatus = newState.gameStatus;
     this.winner = newState.winner;
+    this.endReason = newState.endReason || null;
     this.moveCount = newState.moveCount;
+    this.reconnecting = newState.reconnecting ? JSON.parse(JSON.stringify(newState.reconnecting)) : {};
+    this.pendingTakeback = newState.pendingTakeback || null;
+    this.pendingOffer = newState.pendingOffer || null;
+    if (newState.series) {
+      this.series = JSON.parse(JSON.stringify(newState.series));
+      delete this.series.nextStarter;
+    }
+
+    if (Array.isArray(newState.moveHistory)) {
+      this.moveHistory = newState.moveHistory.map(entry => ({ ...entry }));
+    }
     
-    // Update players set from array
-    if (newState.players && Array.isArray(newState.players)) {
-      this.players = new Set(newState.players);
+    // Seats are explicit; older peers only send an ordered players array (X first)
+    if (newState.seats) {
+      this.seats = { X: newState.seats.X || null, O: newState.seats.O || null };
+    } else if (Array.isArray(newState.players)) {
+      this.seats = { X: newState.players[0] || null, O: newState.players[1] || null };
+    }
+
+    if (Array.isArray(newState.spectators)) {
+      this.spectators = new Set(newState.spectators);
+    }
+
+    if (typeof newState.version === 'number') {
+      this.version = newState.version;
+    }
+    if (newState.lastEvent !== undefined) {
+      this.lastEvent = newState.lastEvent ? { ...newState.lastEvent } : null;
     }
   }
 }
@@ -0,0 +1,98 @@
+/**
+ * Matchmaking
+ * Pairs players waiting in the matchmaking queue by rating. A ticket may be
+ * matched with players whose rating is within its allowed gap; the gap starts
+ * at `initialRatingGap` and widens by `gapGrowthPerSecond` while the player
+ * waits, up to `maxRatingGap`. Ratings are Elo ratings.
+ */
+
+const DEFAULT_OPTIONS = {
+  initialRatingGap: 100,
+  gapGrowthPerSecond: 10,
+  maxRatingGap: 1000,
+  // How often the matching server looks for pairs
+  intervalMs: 1000
+};
+
+const DEFAULT_RATING = 1200;
+// How far one game moves a rating
+const K_FACTOR = 32;
+
+class Matchmaker {
+  /**
+   * @param {object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Rating difference a ticket accepts after waiting until now
+   * @param {object} ticket - { rating, queuedAt }
+   * @returns {number} Allowed gap
+   */
+  allowedGap(ticket, now = Date.now()) {
+    const waitedSeconds = Math.max(0, now - ticket.queuedAt) / 1000;
+    return Math.min(
+      this.options.maxRatingGap,
+      this.options.initialRatingGap + waitedSeconds * this.options.gapGrowthPerSecond
+    );
+  }
+
+  /**
+   * Pair the tickets that accept each other. Longest waiting players choose
+   * first and get the closest rating either of them accepts.
+   * @param {Array<object>} tickets - [{ ticketId, playerId, rating, queuedAt }]
+   * @returns {Array<Array<object>>} Pairs of tickets, each ticket in at most one
+   */
+  findPairs(tickets, now = Date.now()) {
+    const waiting = [...tickets].sort((a, b) => a.queuedAt - b.queuedAt);
+    const matched = new Set();
+    const pairs = [];
+
+    waiting.forEach((ticket, i) => {
+      if (matched.has(ticket)) return;
+
+      let best = null;
+      for (const other of waiting.slice(i + 1)) {
+        if (matched.has(other) || other.playerId === ticket.playerId) continue;
+
+        const gap = Math.abs(ticket.rating - other.rating);
+        if (gap > Math.min(this.allowedGap(ticket, now), this.allowedGap(other, now))) continue;
+        if (!best || gap < best.gap) best = { ticket: other, gap };
+      }
+
+      if (best) {
+        matched.add(ticket);
+        matched.add(best.ticket);
+        pairs.push([ticket, best.ticket]);
+      }
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Chance that a player rated `rating` beats one rated `opponentRating`
+   */
+  static expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+  }
+
+  /**
+   * New ratings after one game
+   * @param {number} ratingA - First player's rating
+   * @param {number} ratingB - Second player's rating
+   * @param {number} scoreA - 1 if the first player won, 0.5 for a draw, 0 if they lost
+   * @returns {Array<number>} [ratingA, ratingB], rounded
+   */
+  static updateRatings(ratingA, ratingB, scoreA) {
+    const change = K_FACTOR * (scoreA - Matchmaker.expectedScore(ratingA, ratingB));
+    return [Math.round(ratingA + change), Math.round(ratingB - change)];
+  }
+}
+
+Matchmaker.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+Matchmaker.DEFAULT_RATING = DEFAULT_RATING;
+
+module.exports = Matchmaker;
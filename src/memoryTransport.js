@@ -0,0 +1,215 @@
+/**
+ * In-Memory Sync Transport
+ * Lets several servers share one process (tests, demos) without Redis.
+ * Servers see each other when their transports use the same hub.
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Create an empty hub: the shared log, keys and hashes of one "cluster"
+ * @returns {object} Hub
+ */
+function createHub() {
+  return {
+    logs: new Map(), // key -> [{ id, fields }]
+    entries: new Map(), // key -> { value, expiresAt }
+    appended: new EventEmitter(),
+    lastIdTime: 0,
+    lastIdSeq: 0
+  };
+}
+
+// Hub used by transports created without one
+const sharedHub = createHub();
+
+class MemoryTransport extends EventEmitter {
+  /**
+   * @param {object} hub - Hub shared with the other servers, see MemoryTransport.createHub
+   */
+  constructor(hub = sharedHub) {
+    super();
+    this.name = 'memory';
+    this.hub = hub;
+    this.hub.appended.setMaxListeners(0);
+    this.isOpen = false;
+  }
+
+  async connect() {
+    this.isOpen = true;
+  }
+
+  /**
+   * Stream-style IDs ("<ms>-<seq>") so log offsets look the same as with Redis
+   */
+  nextLogId() {
+    const now = Date.now();
+    if (now > this.hub.lastIdTime) {
+      this.hub.lastIdTime = now;
+      this.hub.lastIdSeq = 0;
+    } else {
+      this.hub.lastIdSeq++;
+    }
+    return `${this.hub.lastIdTime}-${this.hub.lastIdSeq}`;
+  }
+
+  getLog(key) {
+    if (!this.hub.logs.has(key)) this.hub.logs.set(key, []);
+    return this.hub.logs.get(key);
+  }
+
+  async appendLog(key, entries, maxLength) {
+    const log = this.getLog(key);
+    const ids = entries.map((fields) => {
+      const id = this.nextLogId();
+      log.push({ id, fields: { ...fields } });
+      return id;
+    });
+    if (log.length > maxLength) log.splice(0, log.length - maxLength);
+    this.hub.appended.emit(key);
+    return ids;
+  }
+
+  async readLog(key, afterId, { blockMs, count }) {
+    if (!this.isOpen) throw new Error('Transport is closed');
+
+    const pending = () => this.getLog(key).filter(entry => compareIds(entry.id, afterId) > 0).slice(0, count);
+
+    let entries = pending();
+    if (entries.length === 0 && this.isOpen) {
+      await new Promise((resolve) => {
+        const done = () => {
+          clearTimeout(timer);
+          this.hub.appended.off(key, done);
+          this.off('close', done);
+          resolve();
+        };
+        const timer = setTimeout(done, blockMs);
+        this.hub.appended.on(key, done);
+        this.once('close', done);
+      });
+      entries = pending();
+    }
+    return entries.map(entry => ({ id: entry.id, fields: { ...entry.fields } }));
+  }
+
+  async getLogBounds(key) {
+    const log = this.getLog(key);
+    return {
+      firstId: log.length > 0 ? log[0].id : null,
+      lastId: log.length > 0 ? log[log.length - 1].id : null
+    };
+  }
+
+  async trimLog(key, minTimestamp) {
+    const log = this.getLog(key);
+    const keepFrom = log.findIndex(entry => parseInt(entry.id) >= minTimestamp);
+    log.splice(0, keepFrom === -1 ? log.length : keepFrom);
+  }
+
+  /**
+   * Read a live key, dropping it once expired
+   */
+  getEntry(key) {
+    const entry = this.hub.entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.hub.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async commitState(key, expectedVersion, version, state, { updatedBy, ttlMs }) {
+    // Runs without awaiting, so it is atomic within the process
+    const entry = this.getEntry(key);
+    const stored = entry ? entry.value : null;
+    if (stored && stored.version !== expectedVersion) {
+      return { committed: false, version: stored.version, state: stored.state };
+    }
+
+    this.hub.entries.set(key, {
+      value: { version, state, updatedBy, lastUpdated: Date.now() },
+      expiresAt: Date.now() + ttlMs
+    });
+    return { committed: true, version, state: null };
+  }
+
+  async getState(key) {
+    const entry = this.getEntry(key);
+    return entry ? { version: entry.value.version, state: entry.value.state } : null;
+  }
+
+  async getValue(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.value : null;
+  }
+
+  async setValue(key, value, ttlMs) {
+    this.hub.entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  }
+
+  async deleteKey(key) {
+    this.hub.entries.delete(key);
+  }
+
+  getHash(key) {
+    const entry = this.getEntry(key);
+    if (entry) return entry.value;
+
+    const hash = {};
+    this.hub.entries.set(key, { value: hash, expiresAt: null });
+    return hash;
+  }
+
+  async hashGet(key, field) {
+    const value = this.getHash(key)[field];
+    return value === undefined ? null : value;
+  }
+
+  async hashGetAll(key) {
+    return { ...this.getHash(key) };
+  }
+
+  async hashSet(key, field, value) {
+    this.getHash(key)[field] = value;
+  }
+
+  async hashDelete(key, field) {
+    delete this.getHash(key)[field];
+  }
+
+  async hashCompareAndSet(key, changes) {
+    // Runs without awaiting, so it is atomic within the process
+    const hash = this.getHash(key);
+    const current = field => (Object.prototype.hasOwnProperty.call(hash, field) ? hash[field] : null);
+    if (!changes.every(({ field, expected = null }) => current(field) === expected)) return false;
+
+    changes.forEach(({ field, value = null }) => {
+      if (value === null) {
+        delete hash[field];
+      } else {
+        hash[field] = value;
+      }
+    });
+    return true;
+  }
+
+  async disconnect() {
+    this.isOpen = false;
+    this.emit('close');
+  }
+}
+
+/**
+ * Compare two log IDs ("<ms>-<seq>")
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareIds(a, b) {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+}
+
+MemoryTransport.createHub = createHub;
+
+module.exports = MemoryTransport;
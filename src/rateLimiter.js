@@ -0,0 +1,199 @@
+/**
+ * Client Rate Limiter
+ * Token buckets for new connections per IP, and for messages per connection,
+ * per IP and per message type. A bucket holds up to `capacity` tokens and
+ * regains `refillPerSecond`; each message takes one token from every bucket
+ * it counts against. Rejected messages drain a per-connection abuse bucket,
+ * and a connection whose abuse bucket runs dry should be closed.
+ */
+
+const { MESSAGE_TYPES } = require('./clientProtocol');
+
+const DEFAULT_LIMITS = {
+  // New connections from one IP
+  newConnections: { capacity: 30, refillPerSecond: 0.5 },
+  // Every message on one connection
+  connection: { capacity: 30, refillPerSecond: 10 },
+  // Every message from one IP, across its connections
+  ip: { capacity: 100, refillPerSecond: 30 },
+  // Messages of one type on one connection; types not listed use default
+  messageTypes: {
+    default: { capacity: 10, refillPerSecond: 2 },
+    move: { capacity: 10, refillPerSecond: 4 },
+    createRoom: { capacity: 3, refillPerSecond: 0.2 },
+    join: { capacity: 5, refillPerSecond: 0.5 },
+    resume: { capacity: 5, refillPerSecond: 0.5 },
+    findMatch: { capacity: 3, refillPerSecond: 0.2 },
+    listRooms: { capacity: 5, refillPerSecond: 1 },
+    getStats: { capacity: 2, refillPerSecond: 0.2 },
+    ping: { capacity: 5, refillPerSecond: 1 }
+  },
+  // Rejected messages one connection may send before it is closed
+  abuse: { capacity: 20, refillPerSecond: 0.5 }
+};
+
+const SCOPES = ['connection', 'ip', 'messageType'];
+
+class RateLimiter {
+  /**
+   * @param {object} limits - Overrides for DEFAULT_LIMITS, merged per bucket and per message
+   *   type, so { connection: { capacity: 5 } } keeps the default refillPerSecond
+   * @throws {Error} If a bucket ends up without a positive capacity and refill rate
+   */
+  constructor(limits = {}) {
+    const { messageTypes = {}, ...buckets } = limits;
+    this.limits = { messageTypes: {} };
+
+    Object.keys(buckets).forEach((name) => {
+      if (!DEFAULT_LIMITS[name]) {
+        throw new Error(`Unknown rate limit ${name}. Use ${Object.keys(DEFAULT_LIMITS).join(', ')}`);
+      }
+    });
+    Object.keys(DEFAULT_LIMITS).forEach((name) => {
+      if (name === 'messageTypes') return;
+      this.limits[name] = mergeLimit(name, DEFAULT_LIMITS[name], buckets[name]);
+    });
+    Object.keys({ ...DEFAULT_LIMITS.messageTypes, ...messageTypes }).forEach((type) => {
+      // Types without a default of their own start from the default type bucket
+      const base = DEFAULT_LIMITS.messageTypes[type] || DEFAULT_LIMITS.messageTypes.default;
+      this.limits.messageTypes[type] = mergeLimit(`messageTypes.${type}`, base, messageTypes[type]);
+    });
+
+    this.buckets = new Map(); // key -> { tokens, updatedAt, limit }
+    this.stats = {
+      allowed: 0,
+      rejected: 0,
+      rejectedConnections: 0,
+      disconnects: 0,
+      rejectedByScope: Object.fromEntries(SCOPES.map(scope => [scope, 0])),
+      rejectedByType: {}
+    };
+  }
+
+  /**
+   * Check a new connection from an IP
+   * @returns {boolean} True if the connection may proceed
+   */
+  allowConnection(ip, now = Date.now()) {
+    const result = this.take([{ scope: 'newConnections', key: `connect:${ip}`, limit: this.limits.newConnections }], now);
+    if (!result.allowed) this.stats.rejectedConnections++;
+    return result.allowed;
+  }
+
+  /**
+   * Take a token for one message from the connection, IP and message type buckets
+   * @param {string} clientId - Connection ID
+   * @param {string} ip - Client address
+   * @param {string} type - Message type
+   * @returns {object} { allowed } or { allowed: false, scope, retryAfterMs, abusive }
+   */
+  allowMessage(clientId, ip, type, now = Date.now()) {
+    // Unknown types share one bucket, so made-up types cannot create buckets
+    const typeKey = MESSAGE_TYPES.includes(type) ? type : 'unknown';
+    const result = this.take([
+      { scope: 'connection', key: `connection:${clientId}`, limit: this.limits.connection },
+      { scope: 'ip', key: `ip:${ip}`, limit: this.limits.ip },
+      {
+        scope: 'messageType',
+        key: `type:${clientId}:${typeKey}`,
+        limit: this.limits.messageTypes[typeKey] || this.limits.messageTypes.default
+      }
+    ], now);
+
+    if (result.allowed) {
+      this.stats.allowed++;
+      return result;
+    }
+
+    this.stats.rejected++;
+    this.stats.rejectedByScope[result.scope]++;
+    this.stats.rejectedByType[typeKey] = (this.stats.rejectedByType[typeKey] || 0) + 1;
+
+    const abuse = this.take([{ scope: 'abuse', key: `abuse:${clientId}`, limit: this.limits.abuse }], now);
+    if (!abuse.allowed) this.stats.disconnects++;
+    return { ...result, abusive: !abuse.allowed };
+  }
+
+  /**
+   * Take one token from each bucket, or none if any of them is empty
+   * @param {Array<object>} requests - [{ scope, key, limit: { capacity, refillPerSecond } }]
+   * @returns {object} { allowed } or { allowed: false, scope, retryAfterMs } for the bucket that ran dry
+   */
+  take(requests, now = Date.now()) {
+    const buckets = requests.map(request => this.refill(request.key, request.limit, now));
+
+    let blocked = null;
+    buckets.forEach((bucket, i) => {
+      if (bucket.tokens >= 1) return;
+      const retryAfterMs = Math.ceil((1 - bucket.tokens) / bucket.limit.refillPerSecond * 1000);
+      if (!blocked || retryAfterMs > blocked.retryAfterMs) {
+        blocked = { allowed: false, scope: requests[i].scope, retryAfterMs };
+      }
+    });
+    if (blocked) return blocked;
+
+    buckets.forEach((bucket) => { bucket.tokens -= 1; });
+    return { allowed: true };
+  }
+
+  refill(key, limit, now) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: limit.capacity, updatedAt: now, limit };
+      this.buckets.set(key, bucket);
+      return bucket;
+    }
+
+    const elapsedSeconds = Math.max(0, now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsedSeconds * limit.refillPerSecond);
+    bucket.updatedAt = now;
+    bucket.limit = limit;
+    return bucket;
+  }
+
+  /**
+   * Forget buckets that have refilled; a full bucket is the same as a new one
+   */
+  prune(now = Date.now()) {
+    this.buckets.forEach((bucket, key) => {
+      const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+      if (bucket.tokens + elapsedSeconds * bucket.limit.refillPerSecond >= bucket.limit.capacity) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      rejectedByScope: { ...this.stats.rejectedByScope },
+      rejectedByType: { ...this.stats.rejectedByType },
+      trackedBuckets: this.buckets.size
+    };
+  }
+}
+
+/**
+ * Merge a bucket override with its default and check the result
+ * @param {string} name - Bucket name for the error message
+ * @param {object} base - Default { capacity, refillPerSecond }
+ * @param {object} override - Fields to replace, if any
+ * @returns {object} { capacity, refillPerSecond }
+ */
+function mergeLimit(name, base, override = {}) {
+  if (typeof override !== 'object' || override === null || Array.isArray(override)) {
+    throw new Error(`Rate limit ${name} must be an object with capacity and refillPerSecond`);
+  }
+
+  const limit = { ...base, ...override };
+  ['capacity', 'refillPerSecond'].forEach((field) => {
+    if (typeof limit[field] !== 'number' || !Number.isFinite(limit[field]) || limit[field] <= 0) {
+      throw new Error(`Rate limit ${name}.${field} must be a positive number, got ${limit[field]}`);
+    }
+  });
+  return { capacity: limit.capacity, refillPerSecond: limit.refillPerSecond };
+}
+
+RateLimiter.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+module.exports = RateLimiter;
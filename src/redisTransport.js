@@ -0,0 +1,243 @@
+/**
+ * Redis Sync Transport
+ * Sync log on a Redis Stream, room state and registry in Redis keys and hashes
+ */
+
+const EventEmitter = require('events');
+const redis = require('redis');
+
+// Compare-and-set of a room's game state. Commits only if the stored version is
+// still the one the change was based on (or nothing is stored yet), otherwise
+// returns the stored version and state so the caller can catch up.
+const COMMIT_STATE_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], 'version')
+if current and tonumber(current) ~= tonumber(ARGV[1]) then
+  return {0, tonumber(current), redis.call('HGET', KEYS[1], 'state') or ''}
+end
+redis.call('HSET', KEYS[1], 'version', ARGV[2], 'state', ARGV[3], 'updatedBy', ARGV[4], 'lastUpdated', ARGV[5])
+redis.call('PEXPIRE', KEYS[1], ARGV[6])
+return {1, tonumber(ARGV[2])}
+`;
+
+// Compare-and-set of several hash fields at once. Every field must still hold
+// its expected value (false when it must be absent) or nothing is written; a
+// null new value deletes the field.
+const HASH_COMPARE_AND_SET_SCRIPT = `
+local changes = cjson.decode(ARGV[1])
+for _, change in ipairs(changes) do
+  local current = redis.call('HGET', KEYS[1], change.field)
+  if change.expected == cjson.null then
+    if current then return 0 end
+  elseif current ~= change.expected then
+    return 0
+  end
+end
+for _, change in ipairs(changes) do
+  if change.value == cjson.null then
+    redis.call('HDEL', KEYS[1], change.field)
+  else
+    redis.call('HSET', KEYS[1], change.field, change.value)
+  end
+end
+return 1
+`;
+
+/**
+ * Emits 'error' (error, connectionName) and 'reconnecting' (connectionName)
+ */
+class RedisTransport extends EventEmitter {
+  /**
+   * @param {object} options - Connection settings, defaulting to the REDIS_* env vars
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'redis';
+    this.options = {
+      host: options.host || process.env.REDIS_HOST || 'localhost',
+      port: options.port || process.env.REDIS_PORT || 6379,
+      password: options.password || process.env.REDIS_PASSWORD || undefined,
+      database: options.database || process.env.REDIS_DB || 0
+    };
+    this.maxReconnectAttempts = 10;
+    this.reconnectDelay = 1000;
+
+    this.client = null; // Commands
+    this.reader = null; // Blocking sync log reads
+  }
+
+  /**
+   * Open both connections
+   */
+  async connect() {
+    // A retried connect replaces clients that may still be reconnecting on their own
+    await this.disconnect();
+
+    // Create Redis clients with optimized configuration
+    const redisConfig = {
+      socket: {
+        host: this.options.host,
+        port: this.options.port,
+        connectTimeout: 5000,
+        lazyConnect: true,
+        keepAlive: 30000,
+        reconnectStrategyOnClusterDown: this.createReconnectStrategy(),
+        reconnectStrategyOnFailover: this.createReconnectStrategy()
+      },
+      password: this.options.password,
+      database: this.options.database,
+      retryDelayOnFailover: 100,
+      maxRetriesPerRequest: 3,
+      lazyConnect: true
+    };
+
+    this.client = redis.createClient(redisConfig);
+    this.reader = redis.createClient(redisConfig);
+
+    [['Publisher', this.client], ['Subscriber', this.reader]].forEach(([connectionName, connection]) => {
+      connection.on('error', error => this.emit('error', error, connectionName));
+      connection.on('reconnecting', () => this.emit('reconnecting', connectionName));
+    });
+
+    await Promise.all([this.client.connect(), this.reader.connect()]);
+  }
+
+  /**
+   * Create reconnection strategy with exponential backoff
+   */
+  createReconnectStrategy() {
+    return (retries) => {
+      if (retries >= this.maxReconnectAttempts) return false;
+      return Math.min(this.reconnectDelay * Math.pow(2, retries), 30000);
+    };
+  }
+
+  /**
+   * Append entries to a stream, keeping roughly its newest maxLength entries
+   * @param {string} key - Stream key
+   * @param {Array<object>} entries - Field maps to append, in order
+   * @param {number} maxLength - Approximate length cap
+   * @returns {Promise<Array<string>>} IDs Redis gave the entries
+   */
+  async appendLog(key, entries, maxLength) {
+    // Appends are pipelined on one connection, so the log keeps their order
+    return Promise.all(entries.map(fields => this.client.xAdd(key, '*', fields, {
+      TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: maxLength }
+    })));
+  }
+
+  /**
+   * Read entries after an ID, waiting up to blockMs for new ones
+   * @returns {Promise<Array<object>>} [{ id, fields }]
+   */
+  async readLog(key, afterId, { blockMs, count }) {
+    const reply = await this.reader.xRead({ key, id: afterId }, { BLOCK: blockMs, COUNT: count });
+    if (!reply) return [];
+    return reply[0].messages.map(entry => ({ id: entry.id, fields: entry.message }));
+  }
+
+  /**
+   * Get the IDs of the oldest and newest entries
+   * @returns {Promise<object>} { firstId, lastId }, null when the log is empty
+   */
+  async getLogBounds(key) {
+    const [[first], [last]] = await Promise.all([
+      this.client.xRange(key, '-', '+', { COUNT: 1 }),
+      this.client.xRevRange(key, '+', '-', { COUNT: 1 })
+    ]);
+    return { firstId: first ? first.id : null, lastId: last ? last.id : null };
+  }
+
+  /**
+   * Drop entries older than a timestamp
+   */
+  async trimLog(key, minTimestamp) {
+    await this.client.xTrim(key, 'MINID', `${minTimestamp}-0`, { strategyModifier: '~' });
+  }
+
+  /**
+   * Atomically store a new versioned state if the stored version is the expected one
+   * @returns {Promise<object>} { committed, version, state } with the stored state on conflict
+   */
+  async commitState(key, expectedVersion, version, state, { updatedBy, ttlMs }) {
+    const [committed, storedVersion, storedState] = await this.client.eval(COMMIT_STATE_SCRIPT, {
+      keys: [key],
+      arguments: [
+        String(expectedVersion),
+        String(version),
+        state,
+        updatedBy,
+        String(Date.now()),
+        String(ttlMs)
+      ]
+    });
+
+    return { committed: committed === 1, version: storedVersion, state: storedState || null };
+  }
+
+  /**
+   * @returns {Promise<object|null>} { version, state } or null if nothing is stored
+   */
+  async getState(key) {
+    const stored = await this.client.hGetAll(key);
+    if (!stored || !stored.state) return null;
+    return { version: parseInt(stored.version), state: stored.state };
+  }
+
+  async getValue(key) {
+    return this.client.get(key);
+  }
+
+  async setValue(key, value, ttlMs) {
+    await this.client.set(key, value, { PX: ttlMs });
+  }
+
+  async deleteKey(key) {
+    await this.client.del(key);
+  }
+
+  async hashGet(key, field) {
+    return this.client.hGet(key, field);
+  }
+
+  async hashGetAll(key) {
+    return this.client.hGetAll(key);
+  }
+
+  async hashSet(key, field, value) {
+    await this.client.hSet(key, field, value);
+  }
+
+  async hashDelete(key, field) {
+    await this.client.hDel(key, field);
+  }
+
+  /**
+   * Atomically change hash fields if they all still hold the expected values
+   * @param {Array<object>} changes - [{ field, expected, value }], null meaning absent
+   * @returns {Promise<boolean>} True if every field matched and was changed
+   */
+  async hashCompareAndSet(key, changes) {
+    const applied = await this.client.eval(HASH_COMPARE_AND_SET_SCRIPT, {
+      keys: [key],
+      arguments: [JSON.stringify(changes.map(({ field, expected, value }) => ({
+        field,
+        expected: expected === undefined ? null : expected,
+        value: value === undefined ? null : value
+      })))]
+    });
+    return applied === 1;
+  }
+
+  /**
+   * Close both connections; a pending blocking read is rejected
+   */
+  async disconnect() {
+    const connections = [this.reader, this.client].filter(Boolean);
+    this.client = null;
+    this.reader = null;
+    // Clients that never connected are already closed
+    await Promise.all(connections.map(connection => connection.disconnect().catch(() => {})));
+  }
+}
+
+module.exports = RedisTransport;
@@ -0,0 +1,133 @@
+/**
+ * Game Room Manager for Multi-Game Hosting
+ * Keeps one TicTacToeGame per room so a server can host many matches at once
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const TicTacToeGame = require('./gameLogic');
+
+// Room used by clients that join without asking for a specific game
+const DEFAULT_ROOM_ID = 'default';
+
+class GameRoomManager {
+  /**
+   * @param {string} serverId - Owning server, recorded on rooms it creates
+   * @param {object} defaultGameOptions - Board config for the default room
+   */
+  constructor(serverId, defaultGameOptions = {}) {
+    this.serverId = serverId;
+    this.defaultGameOptions = defaultGameOptions;
+    this.rooms = new Map(); // roomId -> { roomId, game, createdAt, createdBy }
+  }
+
+  /**
+   * Create a new room with its own game
+   * @param {object} options - Game config (boardSize, winLength, timeControl, bestOf)
+   * @param {string} roomId - Room ID, generated if omitted
+   * @param {string} createdBy - Server that created the room
+   * @returns {object} The created room
+   */
+  createRoom(options = {}, roomId = uuidv4(), createdBy = this.serverId) {
+    if (this.rooms.has(roomId)) {
+      throw new Error(`Room ${roomId} already exists`);
+    }
+
+    const room = {
+      roomId,
+      game: new TicTacToeGame(options),
+      createdAt: Date.now(),
+      createdBy
+    };
+
+    this.rooms.set(roomId, room);
+    console.log(`[${this.serverId}] Room ${roomId} created (${room.game.boardSize}×${room.game.boardSize}, ${room.game.winLength} in a row)`);
+    return room;
+  }
+
+  /**
+   * Get a room by ID
+   * @param {string} roomId - Room ID
+   * @returns {object|null} Room or null if unknown
+   */
+  getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  /**
+   * Get a room, creating it if this server has not seen it yet
+   * @param {string} roomId - Room ID
+   * @param {object} options - Board config used if the room is created
+   * @param {string} createdBy - Server that created the room
+   * @returns {object} Existing or newly created room
+   */
+  getOrCreateRoom(roomId = DEFAULT_ROOM_ID, options, createdBy) {
+    const existing = this.rooms.get(roomId);
+    if (existing) return existing;
+
+    const config = options || (roomId === DEFAULT_ROOM_ID ? this.defaultGameOptions : {});
+    return this.createRoom(config, roomId, createdBy);
+  }
+
+  /**
+   * Remove a room. The default room is never removed.
+   * @param {string} roomId - Room ID
+   * @returns {boolean} True if a room was removed
+   */
+  removeRoom(roomId) {
+    if (roomId === DEFAULT_ROOM_ID) return false;
+
+    const removed = this.rooms.delete(roomId);
+    if (removed) {
+      console.log(`[${this.serverId}] Room ${roomId} closed`);
+    }
+    return removed;
+  }
+
+  /**
+   * Get a public summary of every room
+   * @returns {Array<object>} Room summaries
+   */
+  listRooms() {
+    return Array.from(this.rooms.values()).map(room => this.getRoomSummary(room));
+  }
+
+  /**
+   * Get a public summary of one room
+   * @param {object} room - Room
+   * @returns {object} Room summary
+   */
+  getRoomSummary(room) {
+    return {
+      roomId: room.roomId,
+      boardSize: room.game.boardSize,
+      winLength: room.game.winLength,
+      timeControl: room.game.timeControl,
+      bestOf: room.game.bestOf,
+      players: room.game.getSeatedPlayers().length,
+      spectators: room.game.spectators.size,
+      gameStatus: room.game.gameStatus,
+      createdAt: room.createdAt,
+      createdBy: room.createdBy
+    };
+  }
+
+  /**
+   * Count seated players across all rooms
+   * @returns {number} Total players
+   */
+  getTotalPlayers() {
+    let total = 0;
+    this.rooms.forEach(room => {
+      total += room.game.getSeatedPlayers().length;
+    });
+    return total;
+  }
+
+  get size() {
+    return this.rooms.size;
+  }
+}
+
+GameRoomManager.DEFAULT_ROOM_ID = DEFAULT_ROOM_ID;
+
+module.exports = GameRoomManager;
@@ -0,0 +1,354 @@
+/**
+ * Sync Message Signing and Validation
+ * Every sync log entry is signed with a secret shared by the cluster (HMAC-SHA256).
+ * Receivers reject entries with a bad signature, outside the replay window, seen
+ * before, or whose payload fails the schema of its type.
+ *
+ * Send times and the replay window use one clock: the sync log's. Senders stamp
+ * sentAt on it (see EnhancedRedisSync.getLogTime) and receivers compare it with
+ * the time in the entry ID, so skew between server hosts does not matter.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const TicTacToeGame = require('./gameLogic');
+
+// Messages logged this long after they were sent, or sent twice, are treated as replays.
+// It also bounds how far a server's clock may be off before its first append has measured the log's clock.
+const DEFAULT_REPLAY_WINDOW_MS = 5 * 60 * 1000;
+
+const MIN_BOARD_SIZE = 3;
+const MAX_BOARD_SIZE = 19;
+const SYMBOLS = ['X', 'O'];
+const CELL_VALUES = ['', ...SYMBOLS];
+const GAME_STATUSES = ['waiting', 'playing', 'finished'];
+const END_REASONS = [null, 'line', 'draw', 'forfeit', 'timeout', 'resign', 'agreement'];
+const TAKEBACK_ACTIONS = ['request', 'accept', 'decline'];
+const OFFER_KINDS = ['draw', 'reset', 'rematch'];
+const OFFER_ACTIONS = ['offer', 'accept', 'decline'];
+// Room actions a server can forward to the room's owner
+const ROOM_ACTION_KINDS = ['join', 'leave', 'move', 'reset', 'requestTakeback', 'respondTakeback',
+  'offerDraw', 'respondOffer', 'resign', 'rematch', 'disconnect', 'reconnect', 'forfeit', 'timeout'];
+
+const isString = value => typeof value === 'string' && value.length > 0;
+const isOptionalString = value => value === null || value === undefined || isString(value);
+const isCount = value => Number.isInteger(value) && value >= 0;
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isTicket = value => isObject(value) && isString(value.ticketId) && isString(value.playerId) &&
+  isString(value.serverId) && Number.isFinite(value.rating) && Number.isFinite(value.queuedAt);
+
+// Extra checks per message type; every room event also needs a roomId
+const MESSAGE_SCHEMAS = {
+  stateUpdate: { gameState: true },
+  playerJoin: { gameState: true, fields: { playerId: isString, playerSymbol: value => value === null || value === undefined || SYMBOLS.includes(value) } },
+  playerLeave: { gameState: true, fields: { playerId: isString } },
+  move: { gameState: true, fields: { move: null } },
+  gameReset: { gameState: true },
+  playerDisconnect: { gameState: true, fields: { playerId: isString, deadline: value => Number.isFinite(value) } },
+  playerReconnect: { gameState: true, fields: { playerId: isString } },
+  playerForfeit: { gameState: true, fields: { playerId: isString } },
+  timeout: { gameState: true, fields: { playerId: isOptionalString } },
+  takeback: {
+    gameState: true,
+    fields: {
+      action: value => TAKEBACK_ACTIONS.includes(value),
+      playerId: isString,
+      historyLength: value => value === null || value === undefined || isCount(value)
+    }
+  },
+  offer: {
+    gameState: true,
+    fields: {
+      offer: value => OFFER_KINDS.includes(value),
+      action: value => OFFER_ACTIONS.includes(value),
+      playerId: isString
+    }
+  },
+  resign: { gameState: true, fields: { playerId: isString } },
+  roomCreated: { fields: { room: null } },
+  roomClosed: {},
+  heartbeat: {
+    noRoom: true,
+    fields: {
+      url: isOptionalString,
+      leaving: value => value === undefined || typeof value === 'boolean',
+      rooms: value => value === undefined || isObject(value)
+    }
+  },
+  sync_request: { fields: { targetServerId: isString } },
+  sync_response: { gameState: true, fields: { targetServerId: isString } },
+  sync_repair: { gameState: true, fields: { targetServerId: isString } },
+  roomAction: {
+    fields: {
+      targetServerId: isString,
+      requestId: isString,
+      action: value => isObject(value) && ROOM_ACTION_KINDS.includes(value.kind) && isOptionalString(value.playerId),
+      ttlMs: isCount
+    }
+  },
+  roomActionResult: { fields: { targetServerId: isString, requestId: isString, result: isObject } },
+  matchQueued: {
+    noRoom: true,
+    fields: { playerId: isString, ticketId: isString, queuedAt: value => Number.isFinite(value) }
+  },
+  matchFound: {
+    fields: {
+      tickets: value => Array.isArray(value) && value.length === 2 && value.every(isTicket) &&
+        value[0].playerId !== value[1].playerId
+    }
+  }
+};
+
+class SyncMessageValidator {
+  /**
+   * @param {string} secret - Secret shared by every server in the cluster
+   * @param {object} options - { replayWindowMs }
+   */
+  constructor(secret, options = {}) {
+    if (!isString(secret)) {
+      throw new Error('A sync secret is required to sign sync messages');
+    }
+
+    this.secret = secret;
+    this.replayWindowMs = options.replayWindowMs || DEFAULT_REPLAY_WINDOW_MS;
+    this.seenMessages = new Map(); // messageId -> sentAt, kept for one replay window
+    this.lastPrunedAt = 0; // Sync log time
+  }
+
+  /**
+   * Stamp a message for sending: a unique ID and the send time
+   * @param {object} message - Sync message, modified in place
+   * @param {number} now - Current time on the sync log's clock
+   * @returns {string} Serialized message, ready to sign
+   */
+  stamp(message, now) {
+    message.messageId = uuidv4();
+    message.sentAt = now;
+    return JSON.stringify(message);
+  }
+
+  /**
+   * @param {string} serialized - Serialized message
+   * @returns {string} Hex HMAC-SHA256 signature
+   */
+  sign(serialized) {
+    return crypto.createHmac('sha256', this.secret).update(serialized).digest('hex');
+  }
+
+  /**
+   * Check a signature in constant time
+   * @returns {boolean} True if the signature matches
+   */
+  verifySignature(serialized, signature) {
+    if (typeof serialized !== 'string' || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(this.sign(serialized), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Validate a verified message and record it against replays
+   * @param {object} data - Parsed message
+   * @param {number} loggedAt - When the sync log accepted the entry, on its clock
+   * @returns {string|null} Why the message was rejected, or null if it is valid
+   */
+  validate(data, loggedAt) {
+    const problem = this.checkEnvelope(data, loggedAt) || this.checkPayload(data);
+    if (problem) return problem;
+
+    this.remember(data, loggedAt);
+    return null;
+  }
+
+  checkEnvelope(data, loggedAt) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return 'not an object';
+    if (!MESSAGE_SCHEMAS[data.type]) return `unknown type ${data.type}`;
+    if (!isString(data.serverId)) return 'missing serverId';
+    if (!Number.isFinite(data.timestamp) || data.timestamp <= 0) return 'missing timestamp';
+    if (!isString(data.messageId) || !Number.isFinite(data.sentAt)) return 'missing messageId or sentAt';
+    if (!isCount(data.clock)) return 'missing logical clock';
+
+    if (Math.abs(loggedAt - data.sentAt) > this.replayWindowMs) return 'outside the replay window';
+    if (this.seenMessages.has(data.messageId)) return 'already received';
+    return null;
+  }
+
+  checkPayload(data) {
+    const schema = MESSAGE_SCHEMAS[data.type];
+
+    if (!schema.noRoom && !isString(data.roomId)) return 'missing roomId';
+
+    if (schema.gameState) {
+      const problem = this.validateGameState(data.gameState);
+      if (problem) return `invalid gameState: ${problem}`;
+    }
+
+    for (const [field, check] of Object.entries(schema.fields || {})) {
+      if (check && !check(data[field])) return `invalid ${field}`;
+    }
+
+    if (data.type === 'move') return this.validateMove(data.move, data.gameState);
+    if (data.type === 'roomCreated') return this.validateRoomSummary(data.room, data.roomId);
+    if (data.type === 'roomActionResult' && data.result.gameState !== undefined) {
+      const problem = this.validateGameState(data.result.gameState);
+      if (problem) return `invalid result gameState: ${problem}`;
+    }
+    return null;
+  }
+
+  /**
+   * Check a full game snapshot: board shape and cells, turn, status and counters
+   * @param {object} gameState - Snapshot from getGameState
+   * @returns {string|null} Problem found, or null if the snapshot is valid
+   */
+  validateGameState(gameState) {
+    if (!gameState || typeof gameState !== 'object') return 'missing';
+
+    const { board } = gameState;
+    if (!Array.isArray(board)) return 'board is not an array';
+
+    const size = board.length;
+    if (size < MIN_BOARD_SIZE || size > MAX_BOARD_SIZE) return `board size ${size}`;
+    if (gameState.boardSize !== undefined && gameState.boardSize !== size) return 'boardSize does not match the board';
+    if (gameState.winLength !== undefined &&
+      (!Number.isInteger(gameState.winLength) || gameState.winLength < MIN_BOARD_SIZE || gameState.winLength > size)) {
+      return `winLength ${gameState.winLength}`;
+    }
+
+    const marks = { X: 0, O: 0 };
+    for (const row of board) {
+      if (!Array.isArray(row) || row.length !== size) return 'board is not square';
+      for (const cell of row) {
+        if (!CELL_VALUES.includes(cell)) return `cell value ${JSON.stringify(cell)}`;
+        if (cell) marks[cell]++;
+      }
+    }
+
+    if (!SYMBOLS.includes(gameState.currentPlayer)) return `currentPlayer ${gameState.currentPlayer}`;
+    if (!GAME_STATUSES.includes(gameState.gameStatus)) return `gameStatus ${gameState.gameStatus}`;
+    if (gameState.winner !== null && gameState.winner !== undefined && !SYMBOLS.includes(gameState.winner)) {
+      return `winner ${gameState.winner}`;
+    }
+    if (gameState.endReason !== undefined && !END_REASONS.includes(gameState.endReason)) {
+      return `endReason ${gameState.endReason}`;
+    }
+
+    if (!isCount(gameState.moveCount) || gameState.moveCount !== marks.X + marks.O) return 'moveCount does not match the board';
+    if (Math.abs(marks.X - marks.O) > 1) return 'mark counts are impossible';
+    if (gameState.version !== undefined && !isCount(gameState.version)) return `version ${gameState.version}`;
+
+    if (!Array.isArray(gameState.players) || !gameState.players.every(isString)) return 'players';
+    if (gameState.seats !== undefined) {
+      if (!gameState.seats || !SYMBOLS.every(symbol => isOptionalString(gameState.seats[symbol]))) return 'seats';
+    }
+    if (gameState.spectators !== undefined &&
+      (!Array.isArray(gameState.spectators) || !gameState.spectators.every(isString))) {
+      return 'spectators';
+    }
+
+    if (gameState.moveHistory !== undefined) {
+      if (!Array.isArray(gameState.moveHistory)) return 'moveHistory';
+      const badEntry = gameState.moveHistory.some(entry =>
+        !entry || !SYMBOLS.includes(entry.symbol) || !this.isCell(entry.row, entry.col, size));
+      if (badEntry) return 'moveHistory entry';
+    }
+
+    if (gameState.lastEvent) {
+      if (!isCount(gameState.lastEvent.clock) || !isString(gameState.lastEvent.serverId)) return 'lastEvent';
+    }
+
+    if (gameState.clocks) {
+      if (!SYMBOLS.every(symbol => Number.isFinite(gameState.clocks[symbol]))) return 'clocks';
+    }
+
+    if (!this.isTimeControl(gameState.timeControl)) return 'timeControl';
+    if (!this.isBestOf(gameState.bestOf)) return 'bestOf';
+    if (gameState.series) {
+      const { players, results } = gameState.series;
+      if (!Array.isArray(players) || players.length > 2 || !players.every(isString)) return 'series players';
+      if (!Array.isArray(results) || !results.every(result => isObject(result) && isOptionalString(result.winner))) {
+        return 'series results';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * A move must name a cell on the board, and the snapshot must show it taken.
+   * Whether it was legal is checked against the receiver's own state of the room.
+   */
+  validateMove(move, gameState) {
+    if (!move || typeof move !== 'object') return 'invalid move';
+    if (!this.isCell(move.row, move.col, gameState.board.length)) return 'move is off the board';
+    if (!isString(move.playerId)) return 'move has no player';
+    if (!gameState.board[move.row][move.col]) return 'move cell is empty in the resulting board';
+    return null;
+  }
+
+  validateRoomSummary(room, roomId) {
+    if (!room || typeof room !== 'object') return 'invalid room';
+    if (room.roomId !== roomId) return 'room does not match roomId';
+    if (!Number.isInteger(room.boardSize) || room.boardSize < MIN_BOARD_SIZE || room.boardSize > MAX_BOARD_SIZE) {
+      return `room boardSize ${room.boardSize}`;
+    }
+    if (!Number.isInteger(room.winLength) || room.winLength < MIN_BOARD_SIZE || room.winLength > room.boardSize) {
+      return `room winLength ${room.winLength}`;
+    }
+    if (!this.isTimeControl(room.timeControl)) return 'room timeControl';
+    if (!this.isBestOf(room.bestOf)) return `room bestOf ${room.bestOf}`;
+    return null;
+  }
+
+  /**
+   * Time controls travel in normalized form ({ type, ... }) and must be one
+   * the game itself would accept
+   */
+  isTimeControl(timeControl) {
+    if (timeControl === undefined || timeControl === null) return true;
+    if (!isObject(timeControl) || !timeControl.type) return false;
+    try {
+      TicTacToeGame.normalizeTimeControl(timeControl);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Series lengths must be ones the game itself would accept: odd and at most
+   * its maximum, or null for an open-ended series
+   */
+  isBestOf(bestOf) {
+    if (bestOf === undefined || bestOf === null) return true;
+    try {
+      TicTacToeGame.normalizeConfig({ bestOf });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isCell(row, col, size) {
+    return Number.isInteger(row) && Number.isInteger(col) && row >= 0 && col >= 0 && row < size && col < size;
+  }
+
+  /**
+   * Remember a message ID for one replay window
+   * @param {number} now - Current time on the sync log's clock
+   */
+  remember(data, now) {
+    this.seenMessages.set(data.messageId, data.sentAt);
+
+    if (now - this.lastPrunedAt < this.replayWindowMs) return;
+    this.lastPrunedAt = now;
+    this.seenMessages.forEach((sentAt, messageId) => {
+      if (now - sentAt > 2 * this.replayWindowMs) this.seenMessages.delete(messageId);
+    });
+  }
+}
+
+SyncMessageValidator.DEFAULT_REPLAY_WINDOW_MS = DEFAULT_REPLAY_WINDOW_MS;
+
+module.exports = SyncMessageValidator;
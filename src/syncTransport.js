@@ -0,0 +1,37 @@
+/**
+ * Sync Transport Selection
+ * A transport carries the sync log, versioned room state, room registry,
+ * resume tokens, matchmaking queue and ratings between servers. Every transport is an EventEmitter
+ * ('error', 'reconnecting') implementing:
+ *   connect(), disconnect()
+ *   appendLog(key, entries, maxLength) - resolves to the new entry IDs ("<ms>-<seq>", on the log's clock),
+ *   readLog(key, afterId, { blockMs, count }), getLogBounds(key), trimLog(key, minTimestamp)
+ *   commitState(key, expectedVersion, version, state, { updatedBy, ttlMs }), getState(key)
+ *   getValue(key), setValue(key, value, ttlMs), deleteKey(key)
+ *   hashGet(key, field), hashGetAll(key), hashSet(key, field, value), hashDelete(key, field),
+ *   hashCompareAndSet(key, [{ field, expected, value }]) - changes every field or none: all
+ *     must still hold their expected value (null: absent); a null value deletes the field
+ */
+
+const RedisTransport = require('./redisTransport');
+const MemoryTransport = require('./memoryTransport');
+
+const TRANSPORTS = {
+  redis: RedisTransport,
+  memory: MemoryTransport
+};
+
+/**
+ * Create a transport by name
+ * @param {string} type - redis (default) or memory
+ * @returns {EventEmitter} Transport
+ */
+function createSyncTransport(type = process.env.SYNC_TRANSPORT || 'redis') {
+  const Transport = TRANSPORTS[type];
+  if (!Transport) {
+    throw new Error(`Unknown sync transport: ${type}. Use ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return new Transport();
+}
+
+module.exports = { createSyncTransport, TRANSPORT_TYPES: Object.keys(TRANSPORTS) };
@@ -0,0 +1,108 @@
+/**
+ * AI opponent: difficulty levels, tactics and perfect play on 3×3
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AIPlayer = require('../src/aiPlayer');
+const TicTacToeGame = require('../src/gameLogic');
+
+/**
+ * A game between alice (X) and bob (O) after the given moves
+ */
+function gameAfter(moves, options = {}) {
+  const game = new TicTacToeGame(options);
+  game.addPlayer('alice');
+  game.addPlayer('bob');
+  moves.forEach(([row, col]) => game.makeMove(row, col, game.seats[game.currentPlayer]));
+  return game;
+}
+
+/**
+ * Play every possible opponent reply against the AI and collect the results
+ * @returns {Array<string|null>} Winner of each finished game, null for draws
+ */
+function playAllLines(ai, aiSymbol, game = gameAfter([])) {
+  if (game.gameStatus === 'finished') return [game.winner];
+
+  const playerId = game.seats[game.currentPlayer];
+  if (game.currentPlayer === aiSymbol) {
+    const { row, col } = ai.chooseMove(game);
+    game.makeMove(row, col, playerId);
+    return playAllLines(ai, aiSymbol, game);
+  }
+
+  return game.board.flatMap((cells, row) => cells.flatMap((cell, col) => {
+    if (cell !== '') return [];
+    const next = gameAfter(game.moveHistory.map(entry => [entry.row, entry.col]).concat([[row, col]]));
+    return playAllLines(ai, aiSymbol, next);
+  }));
+}
+
+test('difficulties are easy, medium, hard and perfect; others are refused', () => {
+  assert.deepEqual(AIPlayer.DIFFICULTY_LEVELS, ['easy', 'medium', 'hard', 'perfect']);
+  assert.equal(new AIPlayer().difficulty, 'perfect');
+  assert.throws(() => new AIPlayer('impossible'), /Unknown difficulty/);
+});
+
+test('easy plays a random empty cell, even when a win is on the board', () => {
+  // X to move could win at (0,2); the random source picks among the five empty cells
+  const game = gameAfter([[0, 0], [1, 0], [0, 1], [1, 1]]);
+  assert.deepEqual(new AIPlayer('easy', () => 0.5).chooseMove(game), { row: 2, col: 0 });
+  assert.deepEqual(new AIPlayer('easy', () => 0.99).chooseMove(game), { row: 2, col: 2 });
+});
+
+test('each level plays a random move at its own rate and searches otherwise', () => {
+  const game = gameAfter([[0, 0], [1, 0], [2, 2], [1, 1]]);
+  const roll = value => () => value;
+
+  // O threatens (1,2); a searched move blocks it, the random ones here do not
+  assert.deepEqual(new AIPlayer('medium', roll(0.3)).chooseMove(game), { row: 0, col: 2 });
+  assert.deepEqual(new AIPlayer('medium', roll(0.4)).chooseMove(game), { row: 1, col: 2 });
+  assert.deepEqual(new AIPlayer('hard', roll(0.05)).chooseMove(game), { row: 0, col: 1 });
+  assert.deepEqual(new AIPlayer('hard', roll(0.3)).chooseMove(game), { row: 1, col: 2 });
+});
+
+test('perfect play blocks a threat, and takes a win before blocking', () => {
+  const ai = new AIPlayer('perfect', () => 0);
+
+  // O must stop X at (0,2)
+  assert.deepEqual(ai.chooseMove(gameAfter([[0, 0], [1, 1], [0, 1]])), { row: 0, col: 2 });
+  // O wins at (1,2) rather than stopping X at (0,2)
+  assert.deepEqual(ai.chooseMove(gameAfter([[0, 0], [1, 0], [0, 1], [1, 1], [2, 2]])), { row: 1, col: 2 });
+});
+
+test('perfect play never loses on 3×3, as X or as O', () => {
+  const ai = new AIPlayer('perfect', () => 0);
+
+  for (const aiSymbol of ['X', 'O']) {
+    const results = playAllLines(ai, aiSymbol);
+    const opponent = aiSymbol === 'X' ? 'O' : 'X';
+    assert.ok(results.length > 0);
+    assert.equal(results.filter(winner => winner === opponent).length, 0, `${aiSymbol} lost a line`);
+  }
+});
+
+test('two perfect players draw', () => {
+  const ai = new AIPlayer('perfect', Math.random);
+  const game = gameAfter([]);
+  while (game.gameStatus === 'playing') {
+    const { row, col } = ai.chooseMove(game);
+    game.makeMove(row, col, game.seats[game.currentPlayer]);
+  }
+  assert.equal(game.endReason, 'draw');
+});
+
+test('on large boards the AI opens in the center and completes its line', () => {
+  const ai = new AIPlayer('perfect', () => 0);
+  assert.deepEqual(ai.chooseMove(gameAfter([], { boardSize: 9, winLength: 4 })), { row: 4, col: 4 });
+
+  // X holds four in a row, blocked at (3,0) and open at (3,5)
+  const game = gameAfter([[3, 2], [3, 0], [3, 3], [0, 8], [3, 4], [8, 0], [3, 1], [8, 8]], { boardSize: 9, winLength: 5 });
+  assert.deepEqual(ai.chooseMove(game), { row: 3, col: 5 });
+});
+
+test('a full board has no move to choose', () => {
+  const game = gameAfter([[0, 0], [0, 1], [0, 2], [1, 1], [1, 0], [1, 2], [2, 1], [2, 0], [2, 2]]);
+  assert.equal(new AIPlayer('perfect').chooseMove(game), null);
+});
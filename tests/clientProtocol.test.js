@@ -0,0 +1,83 @@
+/**
+ * Client protocol: version negotiation and request validation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  ERROR_CODES,
+  PLAYER_ID_PREFIXES,
+  negotiateVersion,
+  validateClientMessage
+} = require('../src/clientProtocol');
+
+test('clients that ask for no version get the oldest one', () => {
+  assert.equal(negotiateVersion(null), MIN_PROTOCOL_VERSION);
+  assert.equal(negotiateVersion(''), MIN_PROTOCOL_VERSION);
+});
+
+test('newer clients are answered with the newest version this server speaks', () => {
+  assert.equal(negotiateVersion('1'), 1);
+  assert.equal(negotiateVersion(String(PROTOCOL_VERSION)), PROTOCOL_VERSION);
+  assert.equal(negotiateVersion(String(PROTOCOL_VERSION + 5)), PROTOCOL_VERSION);
+});
+
+test('versions that are too old or not numbers are refused', () => {
+  assert.equal(negotiateVersion('0'), null);
+  assert.equal(negotiateVersion('two'), null);
+  assert.equal(negotiateVersion('1.5'), null);
+});
+
+test('well-formed requests pass', () => {
+  assert.equal(validateClientMessage({ type: 'move', row: 1, col: 2 }, 1), null);
+  assert.equal(validateClientMessage({ type: 'join', roomId: 'r1', requestId: 7 }, 2), null);
+  assert.equal(validateClientMessage({ type: 'createRoom', timeControl: '60+1', bestOf: 3, requestId: 'a' }, 2), null);
+  assert.equal(validateClientMessage({ type: 'findMatch', ratingToken: 'token', requestId: 1 }, 2), null);
+});
+
+test('fields not in the schema are ignored', () => {
+  assert.equal(validateClientMessage({ type: 'ping', extra: { nested: true } }, 1), null);
+});
+
+test('malformed requests are refused with INVALID_MESSAGE', () => {
+  const invalid = [
+    null,
+    [],
+    'move',
+    { type: 'move', row: 1 },
+    { type: 'move', row: '1', col: 2 },
+    { type: 'move', row: 1.5, col: 2 },
+    { type: 'resume' },
+    { type: 'respondTakeback', accept: 'yes' },
+    { type: 'createRoom', boardSize: '3' },
+    { type: 'createRoom', timeControl: [60, 1] },
+    { type: 'ping', requestId: 'x'.repeat(65) }
+  ];
+
+  invalid.forEach((message) => {
+    const problem = validateClientMessage(message, 1);
+    assert.equal(problem && problem.code, ERROR_CODES.INVALID_MESSAGE, JSON.stringify(message));
+  });
+});
+
+test('protocol version 2 requires a requestId', () => {
+  const problem = validateClientMessage({ type: 'ping' }, 2);
+  assert.equal(problem.code, ERROR_CODES.INVALID_MESSAGE);
+  assert.match(problem.message, /requestId is required/);
+  assert.equal(validateClientMessage({ type: 'ping' }, 1), null);
+});
+
+test('unknown request types are refused with UNKNOWN_MESSAGE_TYPE', () => {
+  assert.equal(validateClientMessage({ type: 'cheat' }, 1).code, ERROR_CODES.UNKNOWN_MESSAGE_TYPE);
+  assert.equal(validateClientMessage({}, 1).code, ERROR_CODES.UNKNOWN_MESSAGE_TYPE);
+});
+
+test('clients cannot join under player IDs the server hands out', () => {
+  Object.values(PLAYER_ID_PREFIXES).forEach((prefix) => {
+    const problem = validateClientMessage({ type: 'join', playerId: `${prefix}1234` }, 1);
+    assert.equal(problem.code, ERROR_CODES.INVALID_MESSAGE);
+  });
+  assert.equal(validateClientMessage({ type: 'join', playerId: 'player-1234' }, 1), null);
+});
@@ -0,0 +1,154 @@
+/**
+ * Two servers sharing one in-process sync transport: players on different
+ * servers play a game, both servers stay in step through takebacks, rematches
+ * and departures, and a diverged room is repaired
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServers, stopServers, connect, send, waitFor, waitUntil } = require('./helpers');
+
+const PORTS = [4601, 4602];
+
+const showsBoard = (board, row, col, symbol) => board && board[row][col] === symbol;
+// gameState messages carry the state at the top level, others under gameState
+const boardOf = message => (message.type === 'gameState' ? message.board : message.gameState && message.gameState.board);
+
+/**
+ * Seat alice on the first server and bob on the second, and wait until
+ * alice's server has learned the game started
+ */
+async function seatPlayers() {
+  const [alice, bob] = await Promise.all(PORTS.map(connect));
+  send(alice, { type: 'join' });
+  const aliceJoined = await waitFor(alice, message => message.type === 'joined');
+  send(bob, { type: 'join' });
+  const bobJoined = await waitFor(bob, message => message.type === 'joined');
+  await waitFor(alice, message => message.type === 'gameState' && message.gameStatus === 'playing');
+  return { alice, bob, aliceJoined, bobJoined };
+}
+
+/**
+ * Play [mover, watcher, row, col, symbol] moves in turn, waiting for each
+ * to show up on the watcher's server
+ */
+async function playMoves(moves) {
+  for (const [mover, watcher, row, col, symbol] of moves) {
+    const since = watcher.received.length;
+    send(mover, { type: 'move', row, col });
+    await waitFor(watcher, message => showsBoard(boardOf(message), row, col, symbol), { since });
+  }
+}
+
+test('players on two servers play one game', async (t) => {
+  const servers = await startServers(t, PORTS);
+  const { alice, bob, aliceJoined, bobJoined } = await seatPlayers();
+  try {
+    assert.equal(aliceJoined.playerSymbol, 'X');
+    assert.equal(bobJoined.playerSymbol, 'O');
+
+    await playMoves([[alice, bob, 0, 0, 'X'], [bob, alice, 1, 0, 'O'], [alice, bob, 0, 1, 'X'], [bob, alice, 1, 1, 'O']]);
+
+    send(alice, { type: 'move', row: 0, col: 2 });
+    const gameOver = await waitFor(bob, message => message.type === 'gameOver');
+    assert.equal(gameOver.winner, 'X');
+    assert.equal(gameOver.reason, 'line');
+
+    // Both servers hold the same final state
+    await waitFor(alice, message => message.type === 'gameOver');
+    const [first, second] = servers.map(server => server.rooms.getRoom('default').game);
+    assert.equal(first.version, second.version);
+    assert.equal(first.getFingerprint(), second.getFingerprint());
+    assert.equal(second.gameStatus, 'finished');
+  } finally {
+    await stopServers(servers, [alice, bob]);
+  }
+});
+
+/**
+ * Wait until both servers hold the same version of the default room, then
+ * check they agree on all of it
+ */
+async function assertInStep(servers) {
+  const games = () => servers.map(server => server.rooms.getRoom('default').game);
+  await waitUntil(() => games()[0].version === games()[1].version);
+  const [first, second] = games();
+  assert.equal(first.getFingerprint(), second.getFingerprint(), `v${first.version} differs`);
+}
+
+/**
+ * Send a heartbeat from every server and give the peers time to compare rooms
+ */
+async function exchangeHeartbeats(servers) {
+  await Promise.all(servers.map(server => server.syncManager.publishHeartbeat()));
+  await new Promise(resolve => setTimeout(resolve, 400));
+}
+
+test('takebacks, rematches and departures leave both servers with the same state', async (t) => {
+  const servers = await startServers(t, PORTS);
+  const { alice, bob, bobJoined } = await seatPlayers();
+  try {
+    await playMoves([[alice, bob, 0, 0, 'X'], [bob, alice, 1, 1, 'O']]);
+
+    // Bob, on the other server, agrees to take back alice's move and his reply
+    send(alice, { type: 'requestTakeback' });
+    await waitFor(bob, message => message.type === 'takeback' && message.action === 'request');
+    let since = alice.received.length;
+    send(bob, { type: 'respondTakeback', accept: true });
+    await waitFor(alice, message => message.type === 'gameState' && message.moveCount === 0, { since });
+    await assertInStep(servers);
+
+    await playMoves([[alice, bob, 0, 0, 'X'], [bob, alice, 1, 0, 'O'], [alice, bob, 0, 1, 'X'], [bob, alice, 1, 1, 'O']]);
+    send(alice, { type: 'move', row: 0, col: 2 });
+    await waitFor(bob, message => message.type === 'gameOver');
+    await assertInStep(servers);
+
+    // After the game a reset asks for a rematch, which bob's server relays
+    send(alice, { type: 'reset' });
+    await waitFor(bob, message => message.type === 'offer' && message.offer === 'rematch' && message.action === 'offer');
+    since = alice.received.length;
+    send(bob, { type: 'rematch' });
+    const rematch = await waitFor(alice, message => message.type === 'gameState' && message.gameStatus === 'playing' && message.moveCount === 0, { since });
+    assert.equal(rematch.seats.X, bobJoined.playerId);
+    await assertInStep(servers);
+
+    since = alice.received.length;
+    send(bob, { type: 'leaveRoom' });
+    await waitFor(alice, message => message.type === 'gameState' && message.gameStatus === 'waiting', { since });
+    await assertInStep(servers);
+
+    await exchangeHeartbeats(servers);
+    servers.forEach((server) => {
+      assert.equal(server.syncManager.metrics.divergences, 0, `${server.serverId} saw a divergence`);
+      assert.equal(server.syncManager.metrics.repairs, 0, `${server.serverId} repaired a room`);
+    });
+  } finally {
+    await stopServers(servers, [alice, bob]);
+  }
+});
+
+test('a room that diverged at the same version is repaired from the committed state', async (t) => {
+  const servers = await startServers(t, PORTS);
+  const { alice, bob } = await seatPlayers();
+  try {
+    await playMoves([[alice, bob, 0, 0, 'X'], [bob, alice, 1, 1, 'O']]);
+    await assertInStep(servers);
+
+    // Bob's server picks up a mark nobody played
+    const diverged = servers[1].rooms.getRoom('default').game;
+    diverged.board[2][2] = 'X';
+    const since = bob.received.length;
+
+    await exchangeHeartbeats(servers);
+    await waitUntil(() => diverged.board[2][2] === '');
+    await assertInStep(servers);
+    await waitFor(bob, message => message.type === 'gameState' && message.board[2][2] === '', { since });
+
+    assert.ok(servers[1].syncManager.metrics.divergences > 0);
+    assert.ok(servers[1].syncManager.metrics.repairs > 0);
+    assert.equal(servers[0].syncManager.metrics.repairs, 0);
+    assert.equal(diverged.board[0][0], 'X');
+  } finally {
+    await stopServers(servers, [alice, bob]);
+  }
+});
@@ -0,0 +1,102 @@
+/**
+ * Cluster membership: heartbeats, suspect and dead peers, departures
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ClusterMembership = require('../src/clusterMembership');
+
+const NOW = 1000000;
+const TIMINGS = { suspectAfterMs: 15000, deadAfterMs: 30000 };
+
+const heartbeat = (serverId, timestamp = NOW, extra = {}) => ({
+  serverId,
+  timestamp,
+  url: `ws://${serverId}`,
+  startedAt: NOW - 60000,
+  load: { connections: 2 },
+  ...extra
+});
+
+/**
+ * A membership table that records every status change
+ */
+function watchedMembership() {
+  const membership = new ClusterMembership('server-a', TIMINGS);
+  membership.changes = [];
+  membership.on('change', (member, previous) => membership.changes.push([member.serverId, previous, member.status]));
+  return membership;
+}
+
+test('a heartbeat adds the peer as alive; our own heartbeats are ignored', () => {
+  const membership = watchedMembership();
+
+  assert.equal(membership.recordHeartbeat(heartbeat('server-a'), NOW), null);
+  const member = membership.recordHeartbeat(heartbeat('server-b'), NOW);
+
+  assert.equal(member.status, 'alive');
+  assert.equal(member.url, 'ws://server-b');
+  assert.deepEqual(member.load, { connections: 2 });
+  assert.deepEqual(membership.changes, [['server-b', null, 'alive']]);
+  assert.deepEqual(membership.getLiveServerIds(), ['server-a', 'server-b']);
+});
+
+test('silent peers become suspect, then dead, and come back with a heartbeat', () => {
+  const membership = watchedMembership();
+  membership.recordHeartbeat(heartbeat('server-b'), NOW);
+
+  membership.sweep(NOW + 10000);
+  assert.equal(membership.getPeer('server-b').status, 'alive');
+  membership.sweep(NOW + 20000);
+  assert.equal(membership.getPeer('server-b').status, 'suspect');
+  // Suspect peers still own their rooms
+  assert.deepEqual(membership.getLiveServerIds(), ['server-a', 'server-b']);
+
+  membership.sweep(NOW + 40000);
+  assert.equal(membership.getPeer('server-b').status, 'dead');
+  assert.deepEqual(membership.getLiveServerIds(), ['server-a']);
+
+  membership.recordHeartbeat(heartbeat('server-b', NOW + 45000), NOW + 45000);
+  assert.equal(membership.getPeer('server-b').status, 'alive');
+  assert.deepEqual(membership.changes.map(change => change[2]), ['alive', 'suspect', 'dead', 'alive']);
+});
+
+test('liveness follows when heartbeats arrive, not the sender\'s clock', () => {
+  const membership = watchedMembership();
+  // The peer's clock runs 20 seconds behind ours
+  membership.recordHeartbeat(heartbeat('server-b', NOW - 20000), NOW);
+
+  membership.sweep(NOW + 10000);
+  assert.equal(membership.getPeer('server-b').status, 'alive');
+});
+
+test('replayed heartbeats older than the latest one are ignored', () => {
+  const membership = watchedMembership();
+  membership.recordHeartbeat(heartbeat('server-b', NOW, { load: { connections: 5 } }), NOW);
+
+  assert.equal(membership.recordHeartbeat(heartbeat('server-b', NOW - 5000), NOW + 100), null);
+  assert.deepEqual(membership.getPeer('server-b').load, { connections: 5 });
+});
+
+test('a heartbeat replayed from long ago does not revive a peer', () => {
+  const membership = watchedMembership();
+  const member = membership.recordHeartbeat(heartbeat('server-b', NOW - 60000), NOW);
+
+  assert.equal(member.status, 'dead');
+  assert.deepEqual(membership.getLiveServerIds(), ['server-a']);
+});
+
+test('leaving peers drop out at once and are forgotten later', () => {
+  const membership = watchedMembership();
+  membership.recordHeartbeat(heartbeat('server-b'), NOW);
+  membership.recordHeartbeat(heartbeat('server-c'), NOW);
+  membership.recordHeartbeat(heartbeat('server-b', NOW + 1000, { leaving: true }), NOW + 1000);
+
+  assert.equal(membership.getPeer('server-b').status, 'left');
+  assert.deepEqual(membership.getLiveServerIds(), ['server-a', 'server-c']);
+  assert.deepEqual(membership.getMembers().map(member => member.serverId), ['server-b', 'server-c']);
+
+  membership.sweep(NOW + 11 * 60 * 1000);
+  assert.equal(membership.getPeer('server-b'), null);
+  assert.equal(membership.getPeer('server-c').status, 'dead');
+});
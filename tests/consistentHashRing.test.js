@@ -0,0 +1,78 @@
+/**
+ * Consistent hash ring: stable ownership, even spread and small moves
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ConsistentHashRing = require('../src/consistentHashRing');
+
+const KEYS = Array.from({ length: 3000 }, (_, i) => `room-${i}`);
+
+const owners = ring => new Map(KEYS.map(key => [key, ring.getNode(key)]));
+
+test('an empty ring owns nothing', () => {
+  assert.equal(new ConsistentHashRing().getNode('room-1'), null);
+});
+
+test('every server builds the same ring from the same nodes, in any order', () => {
+  const first = new ConsistentHashRing();
+  const second = new ConsistentHashRing();
+  first.setNodes(['server-a', 'server-b', 'server-c']);
+  second.setNodes(['server-c', 'server-a', 'server-b', 'server-a']);
+
+  assert.deepEqual(second.getNodes(), ['server-a', 'server-b', 'server-c']);
+  assert.deepEqual(owners(first), owners(second));
+});
+
+test('setNodes reports whether the node set changed', () => {
+  const ring = new ConsistentHashRing();
+
+  assert.equal(ring.setNodes(['server-a', 'server-b']), true);
+  assert.equal(ring.setNodes(['server-b', 'server-a']), false);
+  assert.equal(ring.setNodes(['server-a']), true);
+});
+
+test('keys are spread evenly across the nodes', () => {
+  const ring = new ConsistentHashRing();
+  const nodes = ['server-a', 'server-b', 'server-c', 'server-d'];
+  ring.setNodes(nodes);
+
+  const counts = new Map(nodes.map(node => [node, 0]));
+  KEYS.forEach(key => counts.set(ring.getNode(key), counts.get(ring.getNode(key)) + 1));
+
+  const fairShare = KEYS.length / nodes.length;
+  counts.forEach((count, node) => {
+    assert.ok(count > fairShare * 0.6 && count < fairShare * 1.4, `${node} owns ${count} of ${KEYS.length}`);
+  });
+});
+
+test('removing a node moves only the keys it owned', () => {
+  const ring = new ConsistentHashRing();
+  ring.setNodes(['server-a', 'server-b', 'server-c']);
+  const before = owners(ring);
+
+  ring.setNodes(['server-a', 'server-c']);
+  const after = owners(ring);
+
+  KEYS.forEach((key) => {
+    if (before.get(key) !== 'server-b') assert.equal(after.get(key), before.get(key), key);
+    assert.notEqual(after.get(key), 'server-b');
+  });
+});
+
+test('adding a node takes keys only for itself', () => {
+  const ring = new ConsistentHashRing();
+  ring.setNodes(['server-a', 'server-b']);
+  const before = owners(ring);
+
+  ring.setNodes(['server-a', 'server-b', 'server-c']);
+  const after = owners(ring);
+
+  let moved = 0;
+  KEYS.forEach((key) => {
+    if (after.get(key) === before.get(key)) return;
+    assert.equal(after.get(key), 'server-c', key);
+    moved++;
+  });
+  assert.ok(moved > KEYS.length * 0.2 && moved < KEYS.length * 0.45, `${moved} keys moved`);
+});
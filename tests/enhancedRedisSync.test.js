@@ -0,0 +1,118 @@
+/**
+ * Lamport clocks and conflict resolution: every server orders concurrent
+ * states of a room the same way and logs why
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EnhancedRedisSyncManager = require('../src/enhancedRedisSync');
+const GameRoomManager = require('../src/roomManager');
+const MemoryTransport = require('../src/memoryTransport');
+const TicTacToeGame = require('../src/gameLogic');
+
+/**
+ * A sync manager that is never connected, with its logs muted
+ */
+function createManager(t, serverId) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  return new EnhancedRedisSyncManager(serverId, new GameRoomManager(serverId), new MemoryTransport(MemoryTransport.createHub()), {
+    syncSecret: 'test-secret'
+  });
+}
+
+/**
+ * State of a game between alice and bob after the given moves, at a version
+ * and produced by an event
+ */
+function stateAfter(moves, version, lastEvent) {
+  const game = new TicTacToeGame();
+  game.addPlayer('alice');
+  game.addPlayer('bob');
+  moves.forEach(([row, col]) => game.makeMove(row, col, game.seats[game.currentPlayer]));
+  return { ...game.getGameState(), version, lastEvent };
+}
+
+test('the clock ticks on local events and jumps past received ones', (t) => {
+  const manager = createManager(t, 'server-a');
+
+  assert.equal(manager.tick(), 1);
+  assert.equal(manager.tick(), 2);
+  manager.observeClock(10);
+  assert.equal(manager.logicalClock, 11);
+  // An older clock still moves ours on
+  manager.observeClock(3);
+  assert.equal(manager.logicalClock, 12);
+
+  const game = new TicTacToeGame();
+  manager.stampEvent(game);
+  assert.deepEqual(game.lastEvent, { clock: 13, serverId: 'server-a' });
+});
+
+test('states are ordered by version, then clock, then the lower server ID', (t) => {
+  const manager = createManager(t, 'server-a');
+  const at = (version, clock, serverId) => ({ version, lastEvent: { clock, serverId } });
+
+  assert.ok(manager.compareEvents(at(3, 1, 'server-b'), at(2, 9, 'server-a')) > 0);
+  assert.ok(manager.compareEvents(at(2, 5, 'server-b'), at(2, 4, 'server-a')) > 0);
+  assert.ok(manager.compareEvents(at(2, 5, 'server-a'), at(2, 5, 'server-b')) > 0);
+  assert.ok(manager.compareEvents(at(2, 5, 'server-b'), at(2, 5, 'server-a')) < 0);
+  assert.equal(manager.compareEvents(at(2, 5, 'server-a'), at(2, 5, 'server-a')), 0);
+  // States from before events were stamped lose to stamped ones
+  assert.ok(manager.compareEvents({ version: 2, lastEvent: null }, at(2, 1, 'server-z')) < 0);
+});
+
+test('both sides of a conflict pick the same winner and log the decision', (t) => {
+  const [first, second] = [createManager(t, 'server-a'), createManager(t, 'server-b')];
+  const fromA = stateAfter([[0, 0]], 1, { clock: 7, serverId: 'server-a' });
+  const fromB = stateAfter([[1, 1]], 1, { clock: 7, serverId: 'server-b' });
+
+  assert.equal(first.resolveConflict('room-1', fromA, fromB, 'server-b'), 'local');
+  assert.equal(second.resolveConflict('room-1', fromB, fromA, 'server-a'), 'remote');
+
+  assert.equal(first.metrics.conflicts, 1);
+  assert.equal(second.metrics.conflicts, 1);
+  assert.equal(first.conflictLog[0].roomId, 'room-1');
+  assert.equal(
+    first.conflictLog[0].decision,
+    'local (v1, clock 7 from server-a) vs server-b (v1, clock 7 from server-b): local wins'
+  );
+  assert.equal(
+    second.conflictLog[0].decision,
+    'local (v1, clock 7 from server-b) vs server-a (v1, clock 7 from server-a): server-a wins'
+  );
+});
+
+test('the conflict log keeps only the most recent decisions', (t) => {
+  const manager = createManager(t, 'server-a');
+  for (let n = 0; n < 60; n++) manager.recordConflict(`room-${n}`, 'local wins');
+
+  assert.equal(manager.metrics.conflicts, 60);
+  assert.equal(manager.conflictLog.length, 50);
+  assert.equal(manager.conflictLog[0].roomId, 'room-10');
+  assert.equal(manager.getMetrics().recentConflicts.length, 10);
+});
+
+test('without a committed state, a diverged room takes the later event', async (t) => {
+  const manager = createManager(t, 'server-a');
+  const room = manager.roomManager.createRoom({}, 'room-1');
+  room.game.updateState(stateAfter([[0, 0]], 2, { clock: 4, serverId: 'server-a' }));
+  const later = stateAfter([[2, 2]], 2, { clock: 6, serverId: 'server-b' });
+
+  await manager.resolveDivergence(room, later, 'server-b');
+  assert.equal(room.game.board[2][2], 'X');
+  assert.equal(room.game.board[0][0], '');
+  assert.equal(room.game.getFingerprint(), TicTacToeGame.fingerprint(later));
+  assert.equal(manager.metrics.repairs, 1);
+  // The peer already holds the winner, so nothing is sent back
+  assert.equal(manager.outbox.length, 0);
+
+  const earlier = stateAfter([[1, 1]], 2, { clock: 5, serverId: 'server-c' });
+  await manager.resolveDivergence(room, earlier, 'server-c');
+  assert.equal(room.game.board[2][2], 'X');
+  assert.equal(manager.metrics.repairs, 1);
+  assert.equal(manager.outbox.length, 1);
+  assert.equal(manager.outbox[0].type, 'sync_repair');
+  assert.equal(manager.outbox[0].targetServerId, 'server-c');
+  assert.equal(manager.metrics.conflicts, 2);
+});
@@ -0,0 +1,412 @@
+/**
+ * Game rules: boards, moves and wins, seats and seat holds, move history and
+ * takebacks, clocks, consent for resets, resigns and draws, rematches and series
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TicTacToeGame = require('../src/gameLogic');
+const { ERROR_CODES } = require('../src/clientProtocol');
+
+/**
+ * A game with alice as X and bob as O, already in play
+ */
+function startGame(options = {}) {
+  const game = new TicTacToeGame(options);
+  game.addPlayer('alice');
+  game.addPlayer('bob');
+  return game;
+}
+
+function play(game, moves) {
+  moves.forEach(([row, col]) => {
+    const playerId = game.seats[game.currentPlayer];
+    const result = game.makeMove(row, col, playerId);
+    assert.equal(result.success, true, `${playerId} at (${row},${col}): ${result.message}`);
+  });
+}
+
+// X completes the top row
+const X_WINS = [[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]];
+
+test('boards default to 3x3 and win length to the board size, up to 5', () => {
+  assert.deepEqual(TicTacToeGame.normalizeConfig(), { boardSize: 3, winLength: 3, timeControl: null, bestOf: null });
+  assert.equal(TicTacToeGame.normalizeConfig({ boardSize: 4 }).winLength, 4);
+  assert.equal(TicTacToeGame.normalizeConfig({ boardSize: 15 }).winLength, 5);
+  assert.equal(new TicTacToeGame({ boardSize: 7 }).board.length, 7);
+});
+
+test('board sizes and win lengths outside the limits are refused', () => {
+  assert.throws(() => TicTacToeGame.normalizeConfig({ boardSize: 2 }), /Board size/);
+  assert.throws(() => TicTacToeGame.normalizeConfig({ boardSize: 20 }), /Board size/);
+  assert.throws(() => TicTacToeGame.normalizeConfig({ boardSize: 3.5 }), /Board size/);
+  assert.throws(() => TicTacToeGame.normalizeConfig({ boardSize: 5, winLength: 6 }), /Win length/);
+  assert.throws(() => TicTacToeGame.normalizeConfig({ boardSize: 5, winLength: 2 }), /Win length/);
+});
+
+test('two players take X then O and start the game; later arrivals spectate', () => {
+  const game = new TicTacToeGame();
+  assert.equal(game.addPlayer('alice').playerSymbol, 'X');
+  assert.equal(game.gameStatus, 'waiting');
+  assert.equal(game.addPlayer('bob').playerSymbol, 'O');
+  assert.equal(game.gameStatus, 'playing');
+
+  const spectator = game.addPlayer('carol');
+  assert.equal(spectator.role, 'spectator');
+  assert.equal(spectator.playerSymbol, null);
+  assert.deepEqual(game.getGameState().spectators, ['carol']);
+  assert.equal(game.addPlayer('carol').code, ERROR_CODES.ALREADY_IN_GAME);
+  assert.equal(game.addPlayer('alice').code, ERROR_CODES.ALREADY_IN_GAME);
+  assert.equal(game.makeMove(0, 0, 'carol').code, ERROR_CODES.NOT_SEATED);
+});
+
+test('a player who leaves frees their seat for the next arrival', () => {
+  const game = startGame();
+  game.addPlayer('carol');
+  game.removePlayer('alice');
+
+  assert.deepEqual(game.seats, { X: null, O: 'bob' });
+  assert.equal(game.gameStatus, 'waiting');
+  // Spectators keep watching; the next arrival takes the free seat
+  assert.equal(game.addPlayer('dave').playerSymbol, 'X');
+  assert.equal(game.gameStatus, 'playing');
+  assert.deepEqual(game.getGameState().spectators, ['carol']);
+});
+
+test('a dropped player\'s seat is held until they return or forfeit', () => {
+  const game = startGame();
+  const before = Date.now();
+  const deadline = game.markDisconnected('alice', 30000);
+
+  assert.ok(deadline >= before + 30000);
+  assert.equal(game.isReconnecting('alice'), true);
+  assert.deepEqual(game.getGameState().reconnecting, { X: { playerId: 'alice', deadline } });
+  assert.equal(game.markDisconnected('carol', 30000), null);
+
+  assert.equal(game.markReconnected('alice'), true);
+  assert.equal(game.markReconnected('alice'), false);
+  assert.equal(game.isReconnecting('alice'), false);
+
+  game.markDisconnected('bob', 30000);
+  const result = game.forfeit('bob');
+  assert.equal(result.gameOver, true);
+  assert.equal(result.winner, 'X');
+  assert.equal(game.endReason, 'forfeit');
+  assert.deepEqual(game.seats, { X: 'alice', O: null });
+  assert.deepEqual(game.reconnecting, {});
+});
+
+test('moves must be in turn, on the board and on an empty cell', () => {
+  const game = startGame({ boardSize: 4 });
+
+  assert.equal(game.makeMove(0, 0, 'bob').code, ERROR_CODES.NOT_YOUR_TURN);
+  assert.equal(game.makeMove(4, 0, 'alice').code, ERROR_CODES.OUT_OF_BOUNDS);
+  assert.equal(game.makeMove(0, -1, 'alice').code, ERROR_CODES.OUT_OF_BOUNDS);
+  play(game, [[3, 3]]);
+  assert.equal(game.makeMove(3, 3, 'bob').code, ERROR_CODES.CELL_OCCUPIED);
+});
+
+test('a line of winLength marks wins, and a full board draws', () => {
+  const game = startGame({ boardSize: 5, winLength: 4 });
+  play(game, [[2, 0], [0, 0], [2, 1], [0, 1], [2, 2], [0, 2]]);
+  assert.equal(game.gameStatus, 'playing');
+  play(game, [[2, 3]]);
+  assert.equal(game.winner, 'X');
+  assert.equal(game.endReason, 'line');
+
+  const drawn = startGame();
+  play(drawn, [[0, 0], [0, 1], [0, 2], [1, 1], [1, 0], [1, 2], [2, 1], [2, 0], [2, 2]]);
+  assert.equal(drawn.gameStatus, 'finished');
+  assert.equal(drawn.winner, null);
+  assert.equal(drawn.endReason, 'draw');
+});
+
+test('wins along either diagonal report the whole line', () => {
+  const game = startGame({ boardSize: 6, winLength: 3 });
+  play(game, [[1, 4], [0, 0], [2, 3], [0, 1]]);
+  const result = game.makeMove(3, 2, 'alice');
+
+  assert.equal(result.gameOver, true);
+  assert.deepEqual(result.winningLine, [[1, 4], [2, 3], [3, 2]]);
+});
+
+test('every move is recorded in the history', () => {
+  const game = startGame();
+  play(game, [[1, 1], [0, 0]]);
+
+  assert.deepEqual(
+    game.moveHistory.map(({ moveNumber, symbol, row, col, playerId }) => ({ moveNumber, symbol, row, col, playerId })),
+    [
+      { moveNumber: 1, symbol: 'X', row: 1, col: 1, playerId: 'alice' },
+      { moveNumber: 2, symbol: 'O', row: 0, col: 0, playerId: 'bob' }
+    ]
+  );
+});
+
+test('an accepted takeback undoes the requester\'s last move and any reply', () => {
+  const game = startGame();
+  play(game, [[0, 0], [1, 1]]);
+
+  assert.equal(game.requestTakeback('alice').success, true);
+  assert.equal(game.requestTakeback('alice').code, ERROR_CODES.TAKEBACK_PENDING);
+  assert.equal(game.respondToTakeback('alice', true).code, ERROR_CODES.NOT_OPPONENT);
+
+  const result = game.respondToTakeback('bob', true);
+  assert.equal(result.accepted, true);
+  assert.deepEqual(result.undone.map(entry => [entry.row, entry.col]), [[1, 1], [0, 0]]);
+  assert.equal(game.moveCount, 0);
+  assert.equal(game.currentPlayer, 'X');
+  assert.equal(game.board[0][0], '');
+});
+
+test('a declined takeback leaves the board alone', () => {
+  const game = startGame();
+  play(game, [[0, 0]]);
+  game.requestTakeback('alice');
+
+  assert.equal(game.respondToTakeback('bob', false).accepted, false);
+  assert.equal(game.board[0][0], 'X');
+  assert.equal(game.pendingTakeback, null);
+});
+
+test('playing on answers a pending takeback', () => {
+  const game = startGame();
+  play(game, [[0, 0]]);
+  game.requestTakeback('alice');
+  play(game, [[1, 1]]);
+
+  assert.equal(game.pendingTakeback, null);
+  assert.equal(game.respondToTakeback('bob', true).code, ERROR_CODES.NO_TAKEBACK_PENDING);
+});
+
+test('takebacks need a move of one\'s own and a game in progress', () => {
+  const game = startGame();
+  play(game, [[0, 0]]);
+  assert.equal(game.requestTakeback('bob').code, ERROR_CODES.NOTHING_TO_TAKE_BACK);
+  assert.equal(game.requestTakeback('carol').code, ERROR_CODES.NOT_SEATED);
+
+  play(game, X_WINS.slice(1));
+  assert.equal(game.requestTakeback('alice').code, ERROR_CODES.GAME_NOT_PLAYING);
+});
+
+test('time controls are accepted in client, text and normalized form', () => {
+  const fischer = { type: 'fischer', baseMs: 300000, incrementMs: 2000 };
+  assert.deepEqual(TicTacToeGame.normalizeTimeControl('300+2'), fischer);
+  assert.deepEqual(TicTacToeGame.normalizeTimeControl({ initialSeconds: 300, incrementSeconds: 2 }), fischer);
+  assert.deepEqual(TicTacToeGame.normalizeTimeControl(fischer), fischer);
+  assert.deepEqual(TicTacToeGame.normalizeTimeControl('30/move'), { type: 'perMove', perMoveMs: 30000 });
+  assert.equal(TicTacToeGame.normalizeTimeControl(null), null);
+
+  assert.throws(() => TicTacToeGame.normalizeTimeControl('fast'), /Invalid time control/);
+  assert.throws(() => TicTacToeGame.normalizeTimeControl('0+1'), /Initial time/);
+  assert.throws(() => TicTacToeGame.normalizeTimeControl({ type: 'fischer', baseMs: 60000, incrementMs: -1 }), /Increment/);
+});
+
+test('Fischer clocks bank the time spent and add the increment', () => {
+  const game = startGame({ timeControl: '60+2' });
+  assert.deepEqual(game.clocks, { X: 60000, O: 60000 });
+
+  // X thinks for 5 seconds
+  game.turnStartedAt -= 5000;
+  play(game, [[0, 0]]);
+  assert.ok(game.clocks.X <= 57000 && game.clocks.X > 56900, `X has ${game.clocks.X}ms`);
+  assert.equal(game.currentPlayer, 'O');
+  assert.ok(game.getRemainingTime('O') <= 60000);
+});
+
+test('the player to move loses on time once the clock runs out', () => {
+  const game = startGame({ timeControl: '10+0' });
+  const started = game.turnStartedAt;
+
+  assert.equal(game.checkTimeout(started + 9999).gameOver, false);
+  const timeout = game.checkTimeout(started + 10000);
+  assert.equal(timeout.gameOver, true);
+  assert.equal(timeout.loser, 'X');
+  assert.equal(game.winner, 'O');
+  assert.equal(game.endReason, 'timeout');
+});
+
+test('a move after the flag fell is a loss on time', () => {
+  const game = startGame({ timeControl: '10+0' });
+  game.turnStartedAt -= 11000;
+
+  const result = game.makeMove(0, 0, 'alice');
+  assert.equal(result.success, false);
+  assert.equal(result.code, ERROR_CODES.TIME_EXPIRED);
+  assert.equal(game.winner, 'O');
+});
+
+test('per-move clocks restart every turn', () => {
+  const game = startGame({ timeControl: '5/move' });
+  game.turnStartedAt -= 4000;
+  play(game, [[0, 0]]);
+  assert.equal(game.clocks.O, 5000);
+  assert.ok(game.getRemainingTime('O') > 4900);
+});
+
+test('clocks do not run before both players are seated', () => {
+  const game = new TicTacToeGame({ timeControl: '60+0' });
+  game.addPlayer('alice');
+
+  assert.equal(game.turnStartedAt, null);
+  assert.equal(game.checkTimeout(Date.now() + 120000).gameOver, false);
+  assert.equal(game.getRemainingTime('X'), 60000);
+});
+
+test('a reset during a game needs the opponent\'s consent', () => {
+  const game = startGame();
+  play(game, [[0, 0], [1, 1]]);
+
+  const request = game.requestReset('alice');
+  assert.equal(request.offer.kind, 'reset');
+  assert.equal(game.board[0][0], 'X');
+  assert.equal(game.requestReset('bob').code, ERROR_CODES.OFFER_PENDING);
+  assert.equal(game.offerDraw('bob').code, ERROR_CODES.OFFER_PENDING);
+  assert.equal(game.respondToOffer('alice', 'reset', true).code, ERROR_CODES.NOT_OPPONENT);
+  assert.equal(game.respondToOffer('bob', 'draw', true).code, ERROR_CODES.NO_OFFER_PENDING);
+
+  assert.equal(game.respondToOffer('bob', 'reset', true).accepted, true);
+  assert.equal(game.moveCount, 0);
+  assert.equal(game.gameStatus, 'playing');
+  assert.equal(game.pendingOffer, null);
+});
+
+test('a declined reset, or a move, answers the offer and keeps the board', () => {
+  const game = startGame();
+  play(game, [[0, 0]]);
+  game.requestReset('alice');
+
+  assert.equal(game.respondToOffer('bob', 'reset', false).accepted, false);
+  assert.equal(game.board[0][0], 'X');
+
+  game.requestReset('alice');
+  play(game, [[1, 1]]);
+  assert.equal(game.pendingOffer, null);
+  assert.equal(game.respondToOffer('bob', 'reset', true).code, ERROR_CODES.NO_OFFER_PENDING);
+  assert.equal(game.requestReset('carol').code, ERROR_CODES.NOT_SEATED);
+});
+
+test('resigning concedes the game in progress to the opponent', () => {
+  const game = startGame();
+  play(game, [[0, 0]]);
+  assert.equal(game.resign('carol').code, ERROR_CODES.NOT_SEATED);
+
+  const result = game.resign('bob');
+  assert.equal(result.gameOver, true);
+  assert.equal(result.winner, 'X');
+  assert.equal(result.loser, 'O');
+  assert.equal(result.reason, 'resign');
+  assert.equal(game.endReason, 'resign');
+  assert.equal(game.resign('alice').code, ERROR_CODES.GAME_NOT_PLAYING);
+});
+
+test('a draw is agreed only when the opponent accepts the offer', () => {
+  const game = startGame();
+  play(game, [[0, 0]]);
+
+  assert.equal(game.offerDraw('alice').offer.kind, 'draw');
+  assert.equal(game.respondToOffer('bob', 'draw', false).accepted, false);
+  assert.equal(game.gameStatus, 'playing');
+
+  game.offerDraw('bob');
+  const result = game.respondToOffer('alice', 'draw', true);
+  assert.equal(result.gameOver, true);
+  assert.equal(result.winner, 'draw');
+  assert.equal(result.reason, 'agreement');
+  assert.equal(game.gameStatus, 'finished');
+  assert.equal(game.winner, null);
+  assert.equal(game.offerDraw('alice').code, ERROR_CODES.GAME_NOT_PLAYING);
+});
+
+test('a draw agreed after the flag fell is a loss on time', () => {
+  const game = startGame({ timeControl: '10+0' });
+  game.offerDraw('bob');
+  game.turnStartedAt -= 11000;
+
+  const result = game.respondToOffer('alice', 'draw', true);
+  assert.equal(result.success, false);
+  assert.equal(result.code, ERROR_CODES.TIME_EXPIRED);
+  assert.equal(game.winner, 'O');
+  assert.equal(game.endReason, 'timeout');
+});
+
+test('a best-of-3 series swaps colors each game and ends when decided', () => {
+  const game = startGame({ bestOf: 3 });
+  play(game, X_WINS);
+  assert.deepEqual(game.series.score, { alice: 1, bob: 0 });
+  assert.equal(game.series.finished, false);
+
+  // Both ask for a rematch; bob now plays X and moves first
+  assert.equal(game.requestRematch('alice').success, true);
+  assert.equal(game.requestRematch('bob').accepted, true);
+  assert.deepEqual(game.seats, { X: 'bob', O: 'alice' });
+  assert.equal(game.gameStatus, 'playing');
+
+  play(game, [[0, 0], [1, 0], [0, 1], [1, 1], [2, 2], [1, 2]]);
+  assert.equal(game.winner, 'O');
+  assert.equal(game.series.finished, true);
+  assert.equal(game.series.winner, 'alice');
+  assert.equal(game.series.gamesPlayed, 2);
+
+  // A rematch after a decided series starts a new one
+  game.requestRematch('bob');
+  game.requestRematch('alice');
+  assert.equal(game.series.gamesPlayed, 0);
+  assert.equal(game.series.finished, false);
+});
+
+test('draws and resignations count as played games', () => {
+  const drawn = startGame({ bestOf: 1 });
+  drawn.offerDraw('alice');
+  assert.equal(drawn.respondToOffer('bob', 'draw', true).reason, 'agreement');
+  assert.equal(drawn.series.draws, 1);
+  assert.equal(drawn.series.finished, true);
+  assert.equal(drawn.series.winner, null);
+
+  const resigned = startGame({ bestOf: 3 });
+  play(resigned, [[0, 0], [1, 1]]);
+  resigned.resign('bob');
+  assert.equal(resigned.series.gamesPlayed, 1);
+  assert.deepEqual(resigned.series.score, { alice: 1, bob: 0 });
+});
+
+test('rematches need both players and a finished game', () => {
+  const game = startGame();
+  assert.equal(game.requestRematch('alice').code, ERROR_CODES.GAME_NOT_FINISHED);
+  assert.equal(game.requestRematch('carol').code, ERROR_CODES.NOT_SEATED);
+
+  play(game, X_WINS);
+  game.requestRematch('alice');
+  assert.equal(game.requestRematch('alice').code, ERROR_CODES.OFFER_PENDING);
+  assert.equal(game.respondToOffer('bob', 'rematch', false).accepted, false);
+
+  game.removePlayer('bob');
+  assert.equal(game.requestRematch('alice').code, ERROR_CODES.NO_OPPONENT);
+});
+
+test('a reset after the game is a rematch the opponent must agree to', () => {
+  const game = startGame({ bestOf: 3 });
+  play(game, X_WINS);
+
+  const request = game.requestReset('alice');
+  assert.equal(request.offer.kind, 'rematch');
+  assert.equal(game.gameStatus, 'finished');
+
+  // Resetting too agrees to the rematch
+  const answer = game.requestReset('bob');
+  assert.equal(answer.accepted, true);
+  assert.equal(answer.offer.kind, 'rematch');
+  assert.deepEqual(game.seats, { X: 'bob', O: 'alice' });
+  assert.equal(game.gameStatus, 'playing');
+  assert.deepEqual(game.series.score, { alice: 1, bob: 0 });
+});
+
+test('with no opponent to ask, a reset after the game is immediate', () => {
+  const game = startGame();
+  play(game, X_WINS);
+  game.removePlayer('bob');
+
+  assert.equal(game.requestReset('alice').reset, true);
+  assert.equal(game.moveCount, 0);
+  assert.equal(game.seats.X, 'alice');
+});
@@ -0,0 +1,99 @@
+/**
+ * Shared helpers for tests that run real servers over the in-memory sync transport
+ */
+
+const WebSocket = require('ws');
+const EnhancedTicTacToeServer = require('../src/enhancedServer');
+const MemoryTransport = require('../src/memoryTransport');
+
+/**
+ * Start one server per port, all sharing one in-process sync hub. Server
+ * logs are muted and process.exit is stubbed for the rest of the test.
+ * @param {object} t - node:test context
+ * @param {Array<number>} ports - Ports to listen on
+ * @param {object} serverOptions - Extra options for every server
+ * @returns {Promise<Array<EnhancedTicTacToeServer>>} Started servers
+ */
+async function startServers(t, ports, serverOptions = {}) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  // gracefulShutdown ends the process once the servers are closed
+  t.mock.method(process, 'exit', () => {});
+
+  const hub = MemoryTransport.createHub();
+  const servers = ports.map(port => new EnhancedTicTacToeServer(port, {}, {
+    syncTransport: new MemoryTransport(hub),
+    syncSecret: 'test-secret',
+    // Seats of the players closed at the end are not held for long
+    reconnectGraceMs: 100,
+    ...serverOptions
+  }));
+  await Promise.all(servers.map(server => server.start()));
+  return servers;
+}
+
+/**
+ * Close the clients, then shut the servers down
+ */
+async function stopServers(servers, clients = []) {
+  clients.forEach(ws => ws.close());
+  await Promise.all(servers.map(server => server.gracefulShutdown()));
+}
+
+/**
+ * Connect a client that keeps every message it receives
+ * @param {number} port - Server port
+ * @returns {Promise<WebSocket>} Open socket with a received array
+ */
+function connect(port) {
+  const ws = new WebSocket(`ws://localhost:${port}`);
+  ws.received = [];
+  ws.on('message', raw => ws.received.push(JSON.parse(raw)));
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+/**
+ * Send a client message
+ */
+function send(ws, message) {
+  ws.send(JSON.stringify(message));
+}
+
+/**
+ * Wait for a message matching a predicate, checking every 20ms. Only
+ * messages received after `since` (an index into ws.received) count.
+ * @returns {Promise<object>} The first matching message
+ */
+async function waitFor(ws, predicate, { since = 0, timeoutMs = 3000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const message = ws.received.slice(since).find(predicate);
+    if (message) return message;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`No matching message within ${timeoutMs}ms`);
+}
+
+/**
+ * Wait until a condition on the servers holds, checking every 20ms
+ */
+async function waitUntil(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Condition not met within ${timeoutMs}ms`);
+}
+
+module.exports = {
+  startServers,
+  stopServers,
+  connect,
+  send,
+  waitFor,
+  waitUntil
+};
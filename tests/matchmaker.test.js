@@ -0,0 +1,70 @@
+/**
+ * Matchmaker: rating gaps that widen with waiting, pairing and Elo updates
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Matchmaker = require('../src/matchmaker');
+
+const NOW = 1000000;
+
+const ticket = (playerId, rating, waitedMs = 0) => ({
+  ticketId: `ticket-${playerId}`,
+  playerId,
+  rating,
+  queuedAt: NOW - waitedMs
+});
+
+const pairIds = pairs => pairs.map(pair => pair.map(entry => entry.playerId));
+
+test('the allowed gap widens while a player waits, up to the maximum', () => {
+  const matchmaker = new Matchmaker({ initialRatingGap: 100, gapGrowthPerSecond: 10, maxRatingGap: 300 });
+
+  assert.equal(matchmaker.allowedGap(ticket('a', 1200), NOW), 100);
+  assert.equal(matchmaker.allowedGap(ticket('a', 1200, 5000), NOW), 150);
+  assert.equal(matchmaker.allowedGap(ticket('a', 1200, 60000), NOW), 300);
+});
+
+test('players are paired only when both accept the rating gap', () => {
+  const matchmaker = new Matchmaker({ initialRatingGap: 100, gapGrowthPerSecond: 10 });
+
+  assert.deepEqual(matchmaker.findPairs([ticket('a', 1200), ticket('b', 1350)], NOW), []);
+  // a has waited long enough to accept b, but b has only just joined
+  assert.deepEqual(matchmaker.findPairs([ticket('a', 1200, 10000), ticket('b', 1350)], NOW), []);
+  assert.deepEqual(
+    pairIds(matchmaker.findPairs([ticket('a', 1200, 10000), ticket('b', 1350, 10000)], NOW)),
+    [['a', 'b']]
+  );
+});
+
+test('the longest waiting player gets the closest rating it accepts', () => {
+  const matchmaker = new Matchmaker();
+  const tickets = [ticket('c', 1260), ticket('a', 1200, 3000), ticket('b', 1230, 1000), ticket('d', 1500)];
+
+  assert.deepEqual(pairIds(matchmaker.findPairs(tickets, NOW)), [['a', 'b']]);
+});
+
+test('each ticket is used at most once, and never against the same player', () => {
+  const matchmaker = new Matchmaker();
+  const tickets = [ticket('a', 1200, 3000), ticket('a', 1200, 2000), ticket('b', 1200, 1000), ticket('c', 1200)];
+  const pairs = matchmaker.findPairs(tickets, NOW);
+
+  assert.equal(pairs.length, 2);
+  pairs.forEach(([first, second]) => assert.notEqual(first.playerId, second.playerId));
+  assert.equal(new Set(pairs.flat()).size, 4);
+});
+
+test('evenly rated players expect an even score', () => {
+  assert.equal(Matchmaker.expectedScore(1200, 1200), 0.5);
+  assert.ok(Math.abs(Matchmaker.expectedScore(1600, 1200) - 0.909) < 0.001);
+  assert.ok(Math.abs(Matchmaker.expectedScore(1200, 1600) + Matchmaker.expectedScore(1600, 1200) - 1) < 1e-9);
+});
+
+test('Elo updates move both ratings by the same amount', () => {
+  assert.deepEqual(Matchmaker.updateRatings(1200, 1200, 1), [1216, 1184]);
+  assert.deepEqual(Matchmaker.updateRatings(1200, 1200, 0), [1184, 1216]);
+  assert.deepEqual(Matchmaker.updateRatings(1200, 1200, 0.5), [1200, 1200]);
+  // An upset moves the ratings further than the expected result
+  assert.deepEqual(Matchmaker.updateRatings(1400, 1200, 1), [1408, 1192]);
+  assert.deepEqual(Matchmaker.updateRatings(1400, 1200, 0), [1376, 1224]);
+});
@@ -0,0 +1,132 @@
+/**
+ * In-memory sync transport: the shared log, versioned state, keys and hashes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryTransport = require('../src/memoryTransport');
+const { createSyncTransport, TRANSPORT_TYPES } = require('../src/syncTransport');
+
+const LOG = 'sync-log';
+
+/**
+ * Two connected transports sharing a fresh hub
+ */
+async function connectedPair() {
+  const hub = MemoryTransport.createHub();
+  const pair = [new MemoryTransport(hub), new MemoryTransport(hub)];
+  await Promise.all(pair.map(transport => transport.connect()));
+  return pair;
+}
+
+const entry = n => ({ message: `message-${n}` });
+
+test('transports are created by name', () => {
+  assert.deepEqual(TRANSPORT_TYPES, ['redis', 'memory']);
+  assert.ok(createSyncTransport('memory') instanceof MemoryTransport);
+  assert.throws(() => createSyncTransport('carrier-pigeon'), /Unknown sync transport/);
+});
+
+test('entries appended by one transport are read by the others on the hub', async () => {
+  const [writer, reader] = await connectedPair();
+  const ids = await writer.appendLog(LOG, [entry(1), entry(2)], 100);
+
+  assert.equal(ids.length, 2);
+  assert.match(ids[0], /^\d+-\d+$/);
+  const read = await reader.readLog(LOG, '0-0', { blockMs: 10, count: 10 });
+  assert.deepEqual(read, [{ id: ids[0], fields: entry(1) }, { id: ids[1], fields: entry(2) }]);
+  assert.deepEqual(await reader.readLog(LOG, ids[0], { blockMs: 10, count: 10 }), [{ id: ids[1], fields: entry(2) }]);
+  assert.deepEqual(await reader.readLog(LOG, '0-0', { blockMs: 10, count: 1 }), [read[0]]);
+
+  // Another hub is another cluster
+  const outsider = new MemoryTransport(MemoryTransport.createHub());
+  await outsider.connect();
+  assert.deepEqual(await outsider.readLog(LOG, '0-0', { blockMs: 10, count: 10 }), []);
+});
+
+test('IDs keep increasing within the same millisecond', async () => {
+  const [writer] = await connectedPair();
+  const ids = await writer.appendLog(LOG, Array.from({ length: 50 }, (_, n) => entry(n)), 100);
+  const sorted = [...ids].sort((a, b) => {
+    const [aMs, aSeq] = a.split('-').map(Number);
+    const [bMs, bSeq] = b.split('-').map(Number);
+    return aMs - bMs || aSeq - bSeq;
+  });
+  assert.deepEqual(ids, sorted);
+  assert.equal(new Set(ids).size, 50);
+});
+
+test('a blocked read wakes up on the next append, or after blockMs', async () => {
+  const [writer, reader] = await connectedPair();
+
+  const waiting = reader.readLog(LOG, '0-0', { blockMs: 2000, count: 10 });
+  const [id] = await writer.appendLog(LOG, [entry(1)], 100);
+  assert.deepEqual(await waiting, [{ id, fields: entry(1) }]);
+
+  const started = Date.now();
+  assert.deepEqual(await reader.readLog(LOG, id, { blockMs: 50, count: 10 }), []);
+  assert.ok(Date.now() - started >= 40);
+});
+
+test('disconnecting wakes a blocked read, and closed transports cannot read', async () => {
+  const [, reader] = await connectedPair();
+  const waiting = reader.readLog(LOG, '0-0', { blockMs: 5000, count: 10 });
+  await reader.disconnect();
+
+  assert.deepEqual(await waiting, []);
+  await assert.rejects(reader.readLog(LOG, '0-0', { blockMs: 10, count: 10 }), /closed/);
+});
+
+test('the log is capped at maxLength and trimmed by entry time', async () => {
+  const [writer] = await connectedPair();
+  await writer.appendLog(LOG, [entry(1), entry(2), entry(3)], 2);
+  const bounds = await writer.getLogBounds(LOG);
+  const read = await writer.readLog(LOG, '0-0', { blockMs: 10, count: 10 });
+
+  assert.deepEqual(read.map(item => item.fields), [entry(2), entry(3)]);
+  assert.deepEqual(bounds, { firstId: read[0].id, lastId: read[1].id });
+
+  await writer.trimLog(LOG, Date.now() + 1000);
+  assert.deepEqual(await writer.getLogBounds(LOG), { firstId: null, lastId: null });
+});
+
+test('state commits only on top of the expected version', async () => {
+  const [first, second] = await connectedPair();
+  const options = { updatedBy: 'server-a', ttlMs: 60000 };
+
+  assert.deepEqual(await first.commitState('room', 0, 1, 'state-1', options), { committed: true, version: 1, state: null });
+  assert.deepEqual(await second.commitState('room', 0, 1, 'other', options), { committed: false, version: 1, state: 'state-1' });
+  assert.equal((await second.commitState('room', 1, 2, 'state-2', options)).committed, true);
+  assert.deepEqual(await first.getState('room'), { version: 2, state: 'state-2' });
+});
+
+test('keys expire after their TTL', async () => {
+  const [transport] = await connectedPair();
+  await transport.setValue('short', 'gone soon', 20);
+  await transport.setValue('kept', 'stays');
+  assert.equal(await transport.getValue('short'), 'gone soon');
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(await transport.getValue('short'), null);
+  assert.equal(await transport.getValue('kept'), 'stays');
+  await transport.deleteKey('kept');
+  assert.equal(await transport.getValue('kept'), null);
+});
+
+test('hash compare-and-set changes every field or none', async () => {
+  const [transport] = await connectedPair();
+  await transport.hashSet('queue', 'alice', 'ticket-1');
+
+  assert.equal(await transport.hashCompareAndSet('queue', [
+    { field: 'alice', expected: 'ticket-1', value: null },
+    { field: 'bob', expected: 'ticket-9', value: null }
+  ]), false);
+  assert.deepEqual(await transport.hashGetAll('queue'), { alice: 'ticket-1' });
+
+  assert.equal(await transport.hashCompareAndSet('queue', [
+    { field: 'alice', expected: 'ticket-1' },
+    { field: 'bob', value: 'ticket-2' }
+  ]), true);
+  assert.deepEqual(await transport.hashGetAll('queue'), { bob: 'ticket-2' });
+  assert.equal(await transport.hashGet('queue', 'alice'), null);
+});
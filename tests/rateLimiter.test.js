@@ -0,0 +1,117 @@
+/**
+ * Rate limiter: token buckets, refill and configuration overrides
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../src/rateLimiter');
+
+const NOW = 1000000;
+
+test('a bucket allows its capacity, then refills over time', () => {
+  const limiter = new RateLimiter({ connection: { capacity: 3, refillPerSecond: 2 } });
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(limiter.allowMessage('c1', 'ip1', 'move', NOW).allowed, true);
+  }
+  const rejected = limiter.allowMessage('c1', 'ip1', 'move', NOW);
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.scope, 'connection');
+  assert.equal(rejected.retryAfterMs, 500);
+
+  // Half a second brings back one token, and only one
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'move', NOW + 500).allowed, true);
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'move', NOW + 500).allowed, false);
+});
+
+test('a bucket never refills past its capacity', () => {
+  const limiter = new RateLimiter({ connection: { capacity: 2, refillPerSecond: 10 } });
+
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'ping', NOW).allowed, true);
+  const later = NOW + 60000;
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'ping', later).allowed, true);
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'ping', later).allowed, true);
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'ping', later).allowed, false);
+});
+
+test('message types have their own buckets per connection', () => {
+  const limiter = new RateLimiter();
+  const { capacity } = RateLimiter.DEFAULT_LIMITS.messageTypes.getStats;
+
+  for (let i = 0; i < capacity; i++) {
+    assert.equal(limiter.allowMessage('c1', 'ip1', 'getStats', NOW).allowed, true);
+  }
+  const rejected = limiter.allowMessage('c1', 'ip1', 'getStats', NOW);
+  assert.equal(rejected.scope, 'messageType');
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'move', NOW).allowed, true);
+  assert.equal(limiter.allowMessage('c2', 'ip1', 'getStats', NOW).allowed, true);
+  assert.deepEqual(limiter.getStats().rejectedByType, { getStats: 1 });
+});
+
+test('unknown message types share one bucket', () => {
+  const limiter = new RateLimiter({ messageTypes: { default: { capacity: 2 } } });
+
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'madeUp1', NOW).allowed, true);
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'madeUp2', NOW).allowed, true);
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'madeUp3', NOW).allowed, false);
+});
+
+test('overrides are merged with the defaults per bucket and per message type', () => {
+  const limiter = new RateLimiter({
+    connection: { capacity: 5 },
+    messageTypes: { move: { refillPerSecond: 1 }, chat: { capacity: 4 } }
+  });
+  const defaults = RateLimiter.DEFAULT_LIMITS;
+
+  assert.deepEqual(limiter.limits.connection, { capacity: 5, refillPerSecond: defaults.connection.refillPerSecond });
+  assert.deepEqual(limiter.limits.ip, defaults.ip);
+  assert.deepEqual(limiter.limits.messageTypes.move, { capacity: defaults.messageTypes.move.capacity, refillPerSecond: 1 });
+  assert.deepEqual(limiter.limits.messageTypes.join, defaults.messageTypes.join);
+  // A type without a default of its own starts from the default type bucket
+  assert.deepEqual(limiter.limits.messageTypes.chat, {
+    capacity: 4,
+    refillPerSecond: defaults.messageTypes.default.refillPerSecond
+  });
+});
+
+test('invalid overrides are refused', () => {
+  assert.throws(() => new RateLimiter({ connnection: { capacity: 5 } }), /Unknown rate limit connnection/);
+  assert.throws(() => new RateLimiter({ ip: { capacity: 0 } }), /ip.capacity must be a positive number/);
+  assert.throws(() => new RateLimiter({ ip: { refillPerSecond: '3' } }), /ip.refillPerSecond/);
+  assert.throws(() => new RateLimiter({ messageTypes: { move: 5 } }), /messageTypes.move must be an object/);
+});
+
+test('connections whose rejected messages drain the abuse bucket are flagged', () => {
+  const limiter = new RateLimiter({
+    connection: { capacity: 1, refillPerSecond: 0.001 },
+    abuse: { capacity: 2, refillPerSecond: 0.001 }
+  });
+
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'move', NOW).allowed, true);
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'move', NOW).abusive, false);
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'move', NOW).abusive, false);
+  assert.equal(limiter.allowMessage('c1', 'ip1', 'move', NOW).abusive, true);
+  assert.equal(limiter.getStats().disconnects, 1);
+});
+
+test('new connections are limited per IP', () => {
+  const limiter = new RateLimiter({ newConnections: { capacity: 2, refillPerSecond: 1 } });
+
+  assert.equal(limiter.allowConnection('ip1', NOW), true);
+  assert.equal(limiter.allowConnection('ip1', NOW), true);
+  assert.equal(limiter.allowConnection('ip1', NOW), false);
+  assert.equal(limiter.allowConnection('ip2', NOW), true);
+  assert.equal(limiter.allowConnection('ip1', NOW + 1000), true);
+  assert.equal(limiter.getStats().rejectedConnections, 1);
+});
+
+test('prune forgets only buckets that have refilled', () => {
+  const limiter = new RateLimiter({ connection: { capacity: 2, refillPerSecond: 1 } });
+  limiter.allowConnection('ip1', NOW);
+  limiter.allowMessage('c1', 'ip1', 'move', NOW);
+
+  limiter.prune(NOW + 500);
+  assert.ok(limiter.getStats().trackedBuckets > 0);
+  limiter.prune(NOW + 60000);
+  assert.equal(limiter.getStats().trackedBuckets, 0);
+});
@@ -0,0 +1,89 @@
+/**
+ * Reconnection grace period: a dropped player's seat is held, can be resumed
+ * with the token from the joined message, and is forfeited once the window ends
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES } = require('../src/clientProtocol');
+const { startServers, stopServers, connect, send, waitFor } = require('./helpers');
+
+const PORT = 4611;
+const GRACE_MS = 600;
+
+/**
+ * Seat alice and bob on the server
+ */
+async function seatPlayers() {
+  const [alice, bob] = await Promise.all([connect(PORT), connect(PORT)]);
+  send(alice, { type: 'join' });
+  const joined = await waitFor(alice, message => message.type === 'joined');
+  send(bob, { type: 'join' });
+  await waitFor(bob, message => message.type === 'gameState' && message.gameStatus === 'playing');
+  return { alice, bob, joined };
+}
+
+test('a dropped player resumes their seat with the resume token', async (t) => {
+  const [server] = await startServers(t, [PORT], { reconnectGraceMs: GRACE_MS });
+  const { alice, bob, joined } = await seatPlayers();
+  let returned = null;
+  try {
+    assert.equal(typeof joined.resumeToken, 'string');
+    assert.equal(joined.reconnectGraceMs, GRACE_MS);
+
+    alice.close();
+    const held = await waitFor(bob, message => message.type === 'playerReconnecting');
+    assert.equal(held.playerId, joined.playerId);
+    assert.equal(held.playerSymbol, 'X');
+    assert.equal(server.rooms.getRoom('default').game.isReconnecting(joined.playerId), true);
+
+    returned = await connect(PORT);
+    send(returned, { type: 'resume', token: joined.resumeToken });
+    const resumed = await waitFor(returned, message => message.type === 'joined');
+    assert.equal(resumed.resumed, true);
+    assert.equal(resumed.playerId, joined.playerId);
+    assert.equal(resumed.playerSymbol, 'X');
+    await waitFor(bob, message => message.type === 'playerReconnected');
+
+    // The seat is no longer held, so the window ending later changes nothing
+    await new Promise(resolve => setTimeout(resolve, GRACE_MS + 100));
+    const game = server.rooms.getRoom('default').game;
+    assert.equal(game.isReconnecting(joined.playerId), false);
+    assert.equal(game.gameStatus, 'playing');
+    assert.equal(game.seats.X, joined.playerId);
+  } finally {
+    await stopServers([server], [bob, returned].filter(Boolean));
+  }
+});
+
+test('a seat not resumed within the window is forfeited', async (t) => {
+  const [server] = await startServers(t, [PORT], { reconnectGraceMs: GRACE_MS });
+  const { alice, bob, joined } = await seatPlayers();
+  try {
+    alice.close();
+    const gameOver = await waitFor(bob, message => message.type === 'gameOver', { timeoutMs: GRACE_MS + 2000 });
+    assert.equal(gameOver.winner, 'O');
+    assert.equal(gameOver.reason, 'forfeit');
+    assert.equal(server.rooms.getRoom('default').game.seats.X, null);
+
+    // The token went with the seat
+    const late = await connect(PORT);
+    send(late, { type: 'resume', token: joined.resumeToken });
+    await waitFor(late, message => message.type === 'resumeFailed');
+    late.close();
+  } finally {
+    await stopServers([server], [bob]);
+  }
+});
+
+test('unknown resume tokens are refused', async (t) => {
+  const [server] = await startServers(t, [PORT]);
+  const ws = await connect(PORT);
+  try {
+    send(ws, { type: 'resume', token: 'not-a-token' });
+    const failed = await waitFor(ws, message => message.type === 'resumeFailed');
+    assert.equal(failed.code, ERROR_CODES.RESUME_FAILED);
+  } finally {
+    await stopServers([server], [ws]);
+  }
+});
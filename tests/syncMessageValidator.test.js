@@ -0,0 +1,189 @@
+/**
+ * Sync message validation: signatures, the replay window and payload schemas
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SyncMessageValidator = require('../src/syncMessageValidator');
+const TicTacToeGame = require('../src/gameLogic');
+
+const NOW = 1700000000000;
+const WINDOW_MS = 60000;
+
+const createValidator = () => new SyncMessageValidator('cluster-secret', { replayWindowMs: WINDOW_MS });
+
+/**
+ * A game state between alice and bob after the given moves
+ */
+function gameState(moves = [], options = {}) {
+  const game = new TicTacToeGame(options);
+  game.addPlayer('alice');
+  game.addPlayer('bob');
+  moves.forEach(([row, col]) => game.makeMove(row, col, game.seats[game.currentPlayer]));
+  return game.getGameState();
+}
+
+/**
+ * A stamped sync message from server-b about room-1
+ */
+function message(validator, type, fields = {}) {
+  const data = { type, serverId: 'server-b', roomId: 'room-1', timestamp: NOW, clock: 3, ...fields };
+  validator.stamp(data, NOW);
+  return data;
+}
+
+test('a secret is required, and signatures only verify with the same secret', () => {
+  assert.throws(() => new SyncMessageValidator(''), /sync secret is required/);
+
+  const validator = createValidator();
+  const serialized = validator.stamp({ type: 'roomClosed' }, NOW);
+  const signature = validator.sign(serialized);
+
+  assert.equal(validator.verifySignature(serialized, signature), true);
+  assert.equal(new SyncMessageValidator('other-secret').verifySignature(serialized, signature), false);
+  assert.equal(validator.verifySignature(serialized.replace('roomClosed', 'roomCreated'), signature), false);
+  assert.equal(validator.verifySignature(serialized, signature.slice(0, 10)), false);
+  assert.equal(validator.verifySignature(serialized, undefined), false);
+});
+
+test('stamping gives every message its own ID and the send time', () => {
+  const validator = createValidator();
+  const first = message(validator, 'roomClosed');
+  const second = message(validator, 'roomClosed');
+
+  assert.notEqual(first.messageId, second.messageId);
+  assert.equal(first.sentAt, NOW);
+});
+
+test('envelopes need a known type, sender, timestamp and logical clock', () => {
+  const validator = createValidator();
+
+  assert.equal(validator.validate(message(validator, 'roomClosed'), NOW), null);
+  assert.equal(validator.validate(message(validator, 'teleport'), NOW), 'unknown type teleport');
+  assert.equal(validator.validate(message(validator, 'roomClosed', { serverId: '' }), NOW), 'missing serverId');
+  assert.equal(validator.validate(message(validator, 'roomClosed', { clock: -1 }), NOW), 'missing logical clock');
+  assert.equal(validator.validate(message(validator, 'roomClosed', { roomId: undefined }), NOW), 'missing roomId');
+  assert.equal(validator.validate({ ...message(validator, 'roomClosed'), sentAt: undefined }, NOW), 'missing messageId or sentAt');
+});
+
+test('messages logged outside the replay window, or twice, are replays', () => {
+  const validator = createValidator();
+
+  assert.equal(validator.validate(message(validator, 'roomClosed'), NOW + WINDOW_MS + 1), 'outside the replay window');
+  assert.equal(validator.validate(message(validator, 'roomClosed'), NOW - WINDOW_MS - 1), 'outside the replay window');
+  assert.equal(validator.validate(message(validator, 'roomClosed'), NOW + WINDOW_MS - 1), null);
+
+  const once = message(validator, 'roomClosed');
+  assert.equal(validator.validate(once, NOW), null);
+  assert.equal(validator.validate(once, NOW + 1), 'already received');
+});
+
+test('seen message IDs are forgotten once two replay windows have passed', () => {
+  const validator = createValidator();
+  const old = message(validator, 'roomClosed');
+  validator.validate(old, NOW);
+
+  validator.remember({ messageId: 'later', sentAt: NOW + WINDOW_MS / 2 }, NOW + WINDOW_MS / 2);
+  assert.equal(validator.seenMessages.has(old.messageId), true);
+  validator.remember({ messageId: 'much-later', sentAt: NOW + 3 * WINDOW_MS }, NOW + 3 * WINDOW_MS);
+  assert.equal(validator.seenMessages.has(old.messageId), false);
+  assert.equal(validator.seenMessages.has('much-later'), true);
+});
+
+test('game snapshots from a real game pass', () => {
+  const validator = createValidator();
+  const states = [
+    gameState(),
+    gameState([[0, 0], [1, 1], [2, 2]]),
+    gameState([[0, 0]], { boardSize: 7, winLength: 4, timeControl: '60+2', bestOf: 5 })
+  ];
+
+  states.forEach(state => assert.equal(validator.validateGameState(state), null));
+});
+
+test('impossible boards, turns and counters are refused', () => {
+  const validator = createValidator();
+  const problems = [
+    [state => { state.board = state.board.slice(1); }, 'board size 2'],
+    [state => { state.boardSize = 4; }, 'boardSize does not match the board'],
+    [state => { state.board[0] = ['X', 'O']; }, 'board is not square'],
+    [state => { state.board[0][0] = 'Z'; }, 'cell value "Z"'],
+    [state => { state.board[2][2] = 'X'; }, 'moveCount does not match the board'],
+    [state => { state.board[2][2] = 'X'; state.board[2][1] = 'X'; state.moveCount = 3; }, 'mark counts are impossible'],
+    [state => { state.currentPlayer = 'Z'; }, 'currentPlayer Z'],
+    [state => { state.gameStatus = 'paused'; }, 'gameStatus paused'],
+    [state => { state.endReason = 'boredom'; }, 'endReason boredom'],
+    [state => { state.moveHistory = [{ symbol: 'X', row: 5, col: 0 }]; }, 'moveHistory entry'],
+    [state => { state.lastEvent = { clock: 'soon', serverId: 'server-b' }; }, 'lastEvent']
+  ];
+
+  problems.forEach(([corrupt, problem]) => {
+    const state = gameState([[0, 0]]);
+    corrupt(state);
+    assert.equal(validator.validateGameState(state), problem);
+  });
+});
+
+test('time controls and series lengths must be ones the game accepts', () => {
+  const validator = createValidator();
+  const withField = fields => ({ ...gameState(), ...fields });
+
+  assert.equal(validator.validateGameState(withField({ timeControl: { type: 'fischer', baseMs: 0, incrementMs: 0 } })), 'timeControl');
+  assert.equal(validator.validateGameState(withField({ timeControl: '300+2' })), 'timeControl');
+  assert.equal(validator.validateGameState(withField({ timeControl: { type: 'perMove', perMoveMs: 30000 } })), null);
+
+  [0, 2, 4, 101, 3.5, '3'].forEach((bestOf) => {
+    assert.equal(validator.validateGameState(withField({ bestOf })), 'bestOf', `bestOf ${bestOf}`);
+  });
+  [1, 3, 99, null].forEach((bestOf) => {
+    assert.equal(validator.validateGameState(withField({ bestOf })), null, `bestOf ${bestOf}`);
+  });
+});
+
+test('moves must name a cell that the resulting board shows taken', () => {
+  const validator = createValidator();
+  const state = gameState([[1, 1]]);
+  const move = fields => message(validator, 'move', { gameState: state, move: { row: 1, col: 1, playerId: 'alice', ...fields } });
+
+  assert.equal(validator.validate(move(), NOW), null);
+  assert.equal(validator.validate(move({ row: 3 }), NOW), 'move is off the board');
+  assert.equal(validator.validate(move({ row: 0 }), NOW), 'move cell is empty in the resulting board');
+  assert.equal(validator.validate(move({ playerId: '' }), NOW), 'move has no player');
+  assert.equal(validator.validate(message(validator, 'move', { gameState: state }), NOW), 'invalid move');
+});
+
+test('room summaries follow the same rules as the game', () => {
+  const validator = createValidator();
+  const room = fields => message(validator, 'roomCreated', {
+    room: { roomId: 'room-1', boardSize: 5, winLength: 4, timeControl: null, bestOf: 3, ...fields }
+  });
+
+  assert.equal(validator.validate(room(), NOW), null);
+  assert.equal(validator.validate(room({ roomId: 'room-2' }), NOW), 'room does not match roomId');
+  assert.equal(validator.validate(room({ winLength: 6 }), NOW), 'room winLength 6');
+  assert.equal(validator.validate(room({ timeControl: { type: 'sundial' } }), NOW), 'room timeControl');
+  assert.equal(validator.validate(room({ bestOf: 4 }), NOW), 'room bestOf 4');
+});
+
+test('typed fields are checked per message type', () => {
+  const validator = createValidator();
+  const action = fields => message(validator, 'roomAction', {
+    targetServerId: 'server-a',
+    requestId: 'request-1',
+    action: { kind: 'move', playerId: 'alice', row: 0, col: 0 },
+    ttlMs: 5000,
+    ...fields
+  });
+
+  assert.equal(validator.validate(action(), NOW), null);
+  assert.equal(validator.validate(action({ action: { kind: 'teleport' } }), NOW), 'invalid action');
+  assert.equal(validator.validate(action({ ttlMs: -1 }), NOW), 'invalid ttlMs');
+  assert.equal(
+    validator.validate(message(validator, 'takeback', { gameState: gameState(), action: 'undo', playerId: 'alice' }), NOW),
+    'invalid action'
+  );
+  assert.equal(
+    validator.validate(message(validator, 'heartbeat', { roomId: undefined, leaving: 'yes' }), NOW),
+    'invalid leaving'
+  );
+});